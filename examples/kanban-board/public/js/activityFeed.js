@@ -0,0 +1,124 @@
+import { activityApi } from './api.js';
+import Toast from './toast.js';
+
+const ActivityFeed = {
+  panel: null,
+  list: null,
+  loadMoreBtn: null,
+  boardId: null,
+  items: [],
+  nextCursor: null,
+
+  init(panel) {
+    this.panel = panel;
+    this.list = panel.querySelector('#activity-list');
+    this.loadMoreBtn = panel.querySelector('#activity-load-more');
+
+    this.loadMoreBtn.addEventListener('click', () => this.loadMore());
+
+    const closeBtn = panel.querySelector('#activity-close-btn');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.toggle(false));
+    }
+  },
+
+  isOpen() {
+    return !this.panel.classList.contains('hidden');
+  },
+
+  async toggle(open = !this.isOpen()) {
+    this.panel.classList.toggle('hidden', !open);
+
+    if (open) {
+      await this.reload();
+    }
+  },
+
+  async setBoard(boardId) {
+    this.boardId = boardId;
+    this.items = [];
+    this.nextCursor = null;
+
+    if (this.isOpen()) {
+      await this.reload();
+    } else {
+      this.render();
+    }
+  },
+
+  async reload() {
+    this.items = [];
+    this.nextCursor = null;
+    await this.loadMore();
+  },
+
+  async loadMore() {
+    if (!this.boardId) {
+      this.render();
+      return;
+    }
+
+    try {
+      const page = await activityApi.getByBoard(this.boardId, { cursor: this.nextCursor });
+      this.items = this.items.concat(page.items);
+      this.nextCursor = page.next_cursor;
+      this.render();
+    } catch (error) {
+      Toast.error('Failed to load activity');
+      console.error('ActivityFeed.loadMore failed:', error);
+    }
+  },
+
+  applyEvent(event) {
+    if (event.type !== 'activity.created' || event.board_id !== this.boardId) {
+      return;
+    }
+
+    if (!this.items.some(item => item.id === event.data.id)) {
+      this.items.unshift(event.data);
+      this.render();
+    }
+  },
+
+  render() {
+    this.list.innerHTML = '';
+
+    if (this.items.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'activity-empty';
+      empty.textContent = 'No activity yet';
+      this.list.appendChild(empty);
+    }
+
+    this.items.forEach(item => {
+      const itemEl = document.createElement('li');
+      itemEl.className = 'activity-item';
+
+      const summary = document.createElement('div');
+      summary.className = 'activity-summary';
+      summary.textContent = item.actor ? `${item.actor.name}: ${item.summary}` : item.summary;
+
+      const time = document.createElement('div');
+      time.className = 'activity-time';
+      time.textContent = this.formatTime(item.created_at);
+      time.title = new Date(item.created_at).toLocaleString();
+
+      itemEl.appendChild(summary);
+      itemEl.appendChild(time);
+      this.list.appendChild(itemEl);
+    });
+
+    this.loadMoreBtn.classList.toggle('hidden', this.nextCursor === null);
+  },
+
+  formatTime(timestamp) {
+    const seconds = Math.floor((Date.now() - new Date(timestamp)) / 1000);
+
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    return new Date(timestamp).toLocaleDateString();
+  }
+};
+
+export default ActivityFeed;
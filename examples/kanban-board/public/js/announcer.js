@@ -0,0 +1,31 @@
+/**
+ * Screen reader announcements
+ * Writes messages into a visually hidden live region, for changes that
+ * aren't otherwise spoken (e.g. a card moved with the keyboard).
+ */
+const Announcer = {
+  region: null,
+
+  /**
+   * @param {HTMLElement} region - The #live-region element (aria-live="polite")
+   */
+  init(region) {
+    this.region = region;
+  },
+
+  /**
+   * Announce a message
+   * @param {string} message - Text to read out
+   */
+  announce(message) {
+    if (!this.region) return;
+
+    // Clear first so the same message twice in a row is read again
+    this.region.textContent = '';
+    setTimeout(() => {
+      this.region.textContent = message;
+    }, 50);
+  }
+};
+
+export default Announcer;
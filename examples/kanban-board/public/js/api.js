@@ -1,42 +1,182 @@
 // API module for handling all HTTP requests to the backend
 
+/**
+ * Thrown when an update was based on a stale version (HTTP 409)
+ * `current` holds the server's copy of the record.
+ */
+class ConflictError extends Error {
+  constructor(message, current) {
+    super(message);
+    this.name = 'ConflictError';
+    this.current = current;
+  }
+}
+
+/**
+ * Thrown when the server rejects a request body (HTTP 400 with field errors)
+ * `fields` maps each invalid field to its message. Board imports also report
+ * `rows`, one { row, fields } per card that failed.
+ */
+class ValidationError extends Error {
+  constructor(message, fields, rows = []) {
+    super(message);
+    this.name = 'ValidationError';
+    this.fields = fields;
+    this.rows = rows;
+  }
+}
+
+/**
+ * Thrown when a card would go into a column that is at its WIP limit (HTTP 409)
+ * Retry with override_wip_limit to go over it anyway.
+ */
+class WipLimitError extends Error {
+  constructor(message, wipLimit, count) {
+    super(message);
+    this.name = 'WipLimitError';
+    this.wipLimit = wipLimit;
+    this.count = count;
+  }
+}
+
+/**
+ * Thrown when the request needs a signed-in user (HTTP 401)
+ */
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+// Called when a request is rejected because the session ended
+let unauthorizedHandler = null;
+
+/**
+ * Set the function called when any request (other than sign-in calls) gets a 401
+ * @param {function(): void} handler
+ */
+function setUnauthorizedHandler(handler) {
+  unauthorizedHandler = handler;
+}
+
 /**
  * Internal helper function to make HTTP requests
  * @param {string} method - HTTP method (GET, POST, PUT, DELETE)
  * @param {string} path - API endpoint path
- * @param {object} [body] - Request body (will be JSON stringified)
+ * @param {object|string} [body] - Request body (JSON stringified unless a contentType is given)
+ * @param {object} [requestOptions] - Extra options { version?: number, authRequest?: boolean, contentType?: string }
+ *   version is sent as If-Match; authRequest skips the unauthorized handler on 401;
+ *   contentType sends a string body as-is with that type
  * @returns {Promise<any>} Parsed JSON response
+ * @throws {ConflictError} On 409 when the version is stale
+ * @throws {WipLimitError} On 409 when the target column is at its WIP limit
+ * @throws {ValidationError} On 400 with field-level errors
+ * @throws {AuthError} On 401 when not signed in
  * @throws {Error} On non-ok response with error message from API
  */
-async function request(method, path, body) {
+async function request(method, path, body, requestOptions = {}) {
   const options = {
     method,
     headers: {}
   };
 
-  if (body !== undefined) {
+  if (body !== undefined && requestOptions.contentType) {
+    options.headers['Content-Type'] = requestOptions.contentType;
+    options.body = body;
+  } else if (body !== undefined) {
     options.headers['Content-Type'] = 'application/json';
     options.body = JSON.stringify(body);
   }
 
+  if (requestOptions.version !== undefined) {
+    options.headers['If-Match'] = `"${requestOptions.version}"`;
+  }
+
   const response = await fetch(path, options);
 
   if (!response.ok) {
     let errorMessage = response.statusText;
+    let errorData = null;
     try {
-      const errorData = await response.json();
+      errorData = await response.json();
       if (errorData.error) {
         errorMessage = errorData.error;
       }
     } catch (e) {
       // If parsing error response fails, use statusText
     }
+
+    if (response.status === 409 && errorData && errorData.current) {
+      throw new ConflictError(errorMessage, errorData.current);
+    }
+
+    if (response.status === 409 && errorData && errorData.wip_limit !== undefined) {
+      throw new WipLimitError(errorMessage, errorData.wip_limit, errorData.count);
+    }
+
+    if (response.status === 401) {
+      if (!requestOptions.authRequest && unauthorizedHandler) {
+        unauthorizedHandler();
+      }
+      throw new AuthError(errorMessage);
+    }
+
+    if (response.status === 400 && errorData && errorData.fields) {
+      const rows = errorData.rows || [];
+      const messages = [
+        ...Object.values(errorData.fields),
+        ...rows.map(({ row, fields }) => `Row ${row}: ${Object.values(fields).join(', ')}`)
+      ];
+      throw new ValidationError(messages.join('. '), errorData.fields, rows);
+    }
+
     throw new Error(errorMessage);
   }
 
   return await response.json();
 }
 
+// Auth API
+const authApi = {
+  /**
+   * Get the signed-in user
+   * @returns {Promise<User>}
+   * @throws {AuthError} If not signed in
+   */
+  async me() {
+    return await request('GET', '/api/auth/me', undefined, { authRequest: true });
+  },
+
+  /**
+   * Create an account and sign in
+   * @param {object} data - { email: string, name: string, password: string }
+   * @returns {Promise<User>}
+   */
+  async register(data) {
+    return await request('POST', '/api/auth/register', data, { authRequest: true });
+  },
+
+  /**
+   * Sign in
+   * @param {string} email
+   * @param {string} password
+   * @returns {Promise<User>}
+   * @throws {AuthError} If the email or password is wrong
+   */
+  async login(email, password) {
+    return await request('POST', '/api/auth/login', { email, password }, { authRequest: true });
+  },
+
+  /**
+   * Sign out
+   * @returns {Promise<{ success: boolean }>}
+   */
+  async logout() {
+    return await request('POST', '/api/auth/logout', undefined, { authRequest: true });
+  }
+};
+
 // Boards API
 const boardsApi = {
   /**
@@ -59,29 +199,205 @@ const boardsApi = {
   /**
    * Create a new board
    * @param {string} name - Board name (NOT an object, just the string)
+   * @param {string|null} [templateId=null] - Template to copy columns, labels and starter cards from
    * @returns {Promise<Board>}
    */
-  async create(name) {
-    return await request('POST', '/api/boards', { name });
+  async create(name, templateId = null) {
+    return await request('POST', '/api/boards', templateId ? { name, template_id: templateId } : { name });
+  },
+
+  /**
+   * Copy a board into a new one owned by the signed-in user
+   * @param {string} id - Board ID
+   * @param {object} [data] - { name?: string, include_cards?: boolean } (cards are copied unless false)
+   * @returns {Promise<Board>}
+   */
+  async duplicate(id, data = {}) {
+    return await request('POST', `/api/boards/${id}/duplicate`, data);
   },
 
   /**
    * Update board
    * @param {string} id - Board ID
    * @param {object} data - Update data { name?: string }
+   * @param {number} version - Version the update is based on
    * @returns {Promise<Board>}
+   * @throws {ConflictError} If the board changed since that version
    */
-  async update(id, data) {
-    return await request('PUT', `/api/boards/${id}`, data);
+  async update(id, data, version) {
+    return await request('PUT', `/api/boards/${id}`, data, { version });
   },
 
   /**
-   * Delete board
+   * Move board to the trash
    * @param {string} id - Board ID
    * @returns {Promise<{ success: boolean }>}
    */
   async delete(id) {
     return await request('DELETE', `/api/boards/${id}`);
+  },
+
+  /**
+   * Get the download URL of a board export
+   * @param {string} id - Board ID
+   * @param {'json'|'csv'} format - JSON export document, or CSV with one row per card
+   * @returns {string}
+   */
+  exportUrl(id, format) {
+    return `/api/boards/${id}/export?format=${format}`;
+  },
+
+  /**
+   * Create a board from a JSON export document
+   * @param {object} document - Parsed export document
+   * @returns {Promise<Board>}
+   * @throws {ValidationError} With `fields` for the document and `rows` for bad cards
+   */
+  async import(document) {
+    return await request('POST', '/api/boards/import', document);
+  },
+
+  /**
+   * Create a board from a CSV export
+   * @param {string} csv - CSV text with a header row
+   * @param {string} name - Name for the new board
+   * @returns {Promise<Board>}
+   * @throws {ValidationError} With `fields` for the file and `rows` for bad cards
+   */
+  async importCsv(csv, name) {
+    return await request('POST', `/api/boards/import?name=${encodeURIComponent(name)}`, csv, { contentType: 'text/csv' });
+  },
+
+  /**
+   * Create a board from a Trello JSON export, or preview what it would hold
+   * @param {object} data - Parsed Trello export
+   * @param {boolean} [dryRun=false] - Only summarize; create nothing
+   * @returns {Promise<{ summary: object, board?: Board, dry_run?: boolean }>}
+   *   `board` is present once created
+   * @throws {ValidationError} If the file isn't a Trello board export
+   */
+  async importTrello(data, dryRun = false) {
+    return await request('POST', `/api/boards/import/trello${dryRun ? '?dry_run=true' : ''}`, data);
+  }
+};
+
+// Templates API
+const templatesApi = {
+  /**
+   * Get the built-in templates and the signed-in user's saved ones
+   * @returns {Promise<Template[]>}
+   */
+  async getAll() {
+    return await request('GET', '/api/templates');
+  },
+
+  /**
+   * Save a board as a template
+   * @param {string} boardId - Board to copy columns and labels from
+   * @param {string} name - Template name
+   * @param {boolean} [includeCards=false] - Keep the board's cards as starter cards
+   * @returns {Promise<Template>}
+   */
+  async create(boardId, name, includeCards = false) {
+    return await request('POST', '/api/templates', { board_id: boardId, name, include_cards: includeCards });
+  },
+
+  /**
+   * Delete one of the signed-in user's templates
+   * @param {string} id - Template ID
+   * @returns {Promise<{ success: boolean }>}
+   */
+  async delete(id) {
+    return await request('DELETE', `/api/templates/${id}`);
+  }
+};
+
+// Members API
+const membersApi = {
+  /**
+   * Get a board's members
+   * @param {string} boardId - Board ID
+   * @returns {Promise<Member[]>}
+   */
+  async getByBoard(boardId) {
+    return await request('GET', `/api/boards/${boardId}/members`);
+  },
+
+  /**
+   * Add a registered user to a board
+   * @param {string} boardId - Board ID
+   * @param {string} email - The user's email
+   * @param {string} role - 'viewer', 'editor' or 'owner'
+   * @returns {Promise<Member>}
+   */
+  async add(boardId, email, role) {
+    return await request('POST', `/api/boards/${boardId}/members`, { email, role });
+  },
+
+  /**
+   * Change a member's role
+   * @param {string} boardId - Board ID
+   * @param {string} userId - Member's user ID
+   * @param {string} role - 'viewer', 'editor' or 'owner'
+   * @returns {Promise<Member>}
+   */
+  async update(boardId, userId, role) {
+    return await request('PUT', `/api/boards/${boardId}/members/${userId}`, { role });
+  },
+
+  /**
+   * Remove a member (or leave, when userId is your own)
+   * @param {string} boardId - Board ID
+   * @param {string} userId - Member's user ID
+   * @returns {Promise<{ success: boolean }>}
+   */
+  async remove(boardId, userId) {
+    return await request('DELETE', `/api/boards/${boardId}/members/${userId}`);
+  }
+};
+
+// Labels API
+const labelsApi = {
+  /**
+   * Get a board's label catalog, sorted by name
+   * @param {string} boardId - Board ID
+   * @returns {Promise<Label[]>}
+   */
+  async getByBoard(boardId) {
+    return await request('GET', `/api/boards/${boardId}/labels`);
+  },
+
+  /**
+   * Add a label to a board
+   * @param {string} boardId - Board ID
+   * @param {object} data - { name: string, color: string }
+   * @returns {Promise<Label>}
+   */
+  async create(boardId, data) {
+    return await request('POST', `/api/boards/${boardId}/labels`, data);
+  },
+
+  /**
+   * Update a label
+   * @param {string} boardId - Board ID
+   * @param {string} id - Label ID
+   * @param {object} data - Update data { name?: string, color?: string }
+   * @param {number} version - Version the update is based on
+   * @returns {Promise<Label>}
+   * @throws {ConflictError} If the label changed since that version
+   */
+  async update(boardId, id, data, version) {
+    return await request('PUT', `/api/boards/${boardId}/labels/${id}`, data, { version });
+  },
+
+  /**
+   * Delete a label, taking it off every card on the board
+   * @param {string} boardId - Board ID
+   * @param {string} id - Label ID
+   * @returns {Promise<{ success: boolean }>}
+   */
+  async delete(boardId, id) {
+    return await request('DELETE', `/api/boards/${boardId}/labels/${id}`);
   }
 };
 
@@ -110,15 +426,17 @@ const columnsApi = {
   /**
    * Update column
    * @param {string} id - Column ID
-   * @param {object} data - Update data { title?: string, position?: number }
+   * @param {object} data - Update data { title?: string, position?: number, wip_limit?: number|null }
+   * @param {number} version - Version the update is based on
    * @returns {Promise<Column>}
+   * @throws {ConflictError} If the column changed since that version
    */
-  async update(id, data) {
-    return await request('PUT', `/api/columns/${id}`, data);
+  async update(id, data, version) {
+    return await request('PUT', `/api/columns/${id}`, data, { version });
   },
 
   /**
-   * Delete column
+   * Move column to the trash
    * @param {string} id - Column ID
    * @returns {Promise<{ success: boolean }>}
    */
@@ -126,6 +444,16 @@ const columnsApi = {
     return await request('DELETE', `/api/columns/${id}`);
   },
 
+  /**
+   * Reorder all columns on a board
+   * @param {string} boardId - Board ID
+   * @param {string[]} columnIds - Ordered array of column IDs
+   * @returns {Promise<{ success: boolean }>}
+   */
+  async reorderColumns(boardId, columnIds) {
+    return await request('PUT', `/api/boards/${boardId}/columns/reorder`, { column_ids: columnIds });
+  },
+
   /**
    * Reorder cards in a column
    * @param {string} id - Column ID
@@ -148,11 +476,20 @@ const cardsApi = {
     return await request('GET', `/api/columns/${columnId}/cards`);
   },
 
+  /**
+   * Get the cards assigned to the signed-in user across all their boards
+   * @returns {Promise<Array<Card & { board_id: string, board_name: string, column_title: string }>>}
+   */
+  async getMine() {
+    return await request('GET', '/api/me/cards');
+  },
+
   /**
    * Create a new card
    * @param {string} columnId - Column ID
-   * @param {object} data - Card data { title: string, description?: string, position?: number, labels?: string[], due_date?: string }
+   * @param {object} data - Card data { title: string, description?: string, position?: number, labels?: string[], due_date?: string, assignees?: string[], override_wip_limit?: boolean }
    * @returns {Promise<Card>}
+   * @throws {WipLimitError} If the column is full and override_wip_limit isn't set
    */
   async create(columnId, data) {
     return await request('POST', `/api/columns/${columnId}/cards`, data);
@@ -161,21 +498,273 @@ const cardsApi = {
   /**
    * Update card
    * @param {string} id - Card ID
-   * @param {object} data - Update data { title?: string, description?: string, column_id?: string, position?: number, labels?: string[], due_date?: string }
+   * @param {object} data - Update data { title?: string, description?: string, column_id?: string, position?: number, labels?: string[], due_date?: string, assignees?: string[] }
+   * @param {number} version - Version the update is based on
    * @returns {Promise<Card>}
+   * @throws {ConflictError} If the card changed since that version
    */
-  async update(id, data) {
-    return await request('PUT', `/api/cards/${id}`, data);
+  async update(id, data, version) {
+    return await request('PUT', `/api/cards/${id}`, data, { version });
   },
 
   /**
-   * Delete card
+   * Move card to a column and position (the server re-sequences both columns)
+   * @param {string} id - Card ID
+   * @param {string} columnId - Target column ID (must be on the same board)
+   * @param {number} [position] - Index in the target column; appended if omitted
+   * @param {boolean} [overrideWipLimit] - Move even if the target column is at its WIP limit
+   * @returns {Promise<Card>}
+   * @throws {WipLimitError} If the target column is full and overrideWipLimit isn't set
+   */
+  async move(id, columnId, position, overrideWipLimit = false) {
+    return await request('POST', `/api/cards/${id}/move`, {
+      column_id: columnId,
+      position,
+      override_wip_limit: overrideWipLimit || undefined
+    });
+  },
+
+  /**
+   * Move card to the trash
    * @param {string} id - Card ID
    * @returns {Promise<{ success: boolean }>}
    */
   async delete(id) {
     return await request('DELETE', `/api/cards/${id}`);
+  },
+
+  /**
+   * Apply one action to several cards on a board; all of them change or none do
+   * @param {string[]} ids - Card IDs (a move keeps this order)
+   * @param {'move'|'add_label'|'remove_label'|'set_due_date'|'delete'} action - What to do
+   * @param {object} [data] - { column_id?: string, position?: number, label_id?: string, due_date?: string|null, override_wip_limit?: boolean }
+   *   column_id/position: where a move goes; label_id: the label to add or remove;
+   *   due_date: the date to set (null clears it)
+   * @returns {Promise<{ cards: Card[] }>} The cards that changed
+   * @throws {WipLimitError} If a move would go over the target column's WIP limit and override_wip_limit isn't set
+   */
+  async bulk(ids, action, data = {}) {
+    return await request('POST', '/api/cards/bulk', { card_ids: ids, action, ...data });
+  }
+};
+
+// Comments API
+const commentsApi = {
+  /**
+   * Get a card's comments, oldest first
+   * @param {string} cardId - Card ID
+   * @returns {Promise<Array<Comment & { author: { id: string, name: string } }>>}
+   */
+  async getByCard(cardId) {
+    return await request('GET', `/api/cards/${cardId}/comments`);
+  },
+
+  /**
+   * Add a comment to a card
+   * @param {string} cardId - Card ID
+   * @param {string} body - Comment text
+   * @returns {Promise<Comment>}
+   */
+  async create(cardId, body) {
+    return await request('POST', `/api/cards/${cardId}/comments`, { body });
+  },
+
+  /**
+   * Edit one of your own comments
+   * @param {string} cardId - Card ID
+   * @param {string} id - Comment ID
+   * @param {string} body - New comment text
+   * @param {number} version - Version the edit is based on
+   * @returns {Promise<Comment>}
+   * @throws {ConflictError} If the comment changed since that version
+   */
+  async update(cardId, id, body, version) {
+    return await request('PUT', `/api/cards/${cardId}/comments/${id}`, { body }, { version });
+  },
+
+  /**
+   * Delete a comment
+   * @param {string} cardId - Card ID
+   * @param {string} id - Comment ID
+   * @returns {Promise<{ success: boolean }>}
+   */
+  async delete(cardId, id) {
+    return await request('DELETE', `/api/cards/${cardId}/comments/${id}`);
+  }
+};
+
+// Checklists API
+const checklistsApi = {
+  /**
+   * Get a card's checklists with their items
+   * @param {string} cardId - Card ID
+   * @returns {Promise<Checklist[]>}
+   */
+  async getByCard(cardId) {
+    return await request('GET', `/api/cards/${cardId}/checklists`);
+  },
+
+  /**
+   * Add an empty checklist to a card
+   * @param {string} cardId - Card ID
+   * @param {string} title - Checklist title
+   * @returns {Promise<Checklist>}
+   */
+  async create(cardId, title) {
+    return await request('POST', `/api/cards/${cardId}/checklists`, { title });
+  },
+
+  /**
+   * Rename a checklist
+   * @param {string} cardId - Card ID
+   * @param {string} id - Checklist ID
+   * @param {string} title - New title
+   * @returns {Promise<Checklist>}
+   */
+  async rename(cardId, id, title) {
+    return await request('PUT', `/api/cards/${cardId}/checklists/${id}`, { title });
+  },
+
+  /**
+   * Delete a checklist and its items
+   * @param {string} cardId - Card ID
+   * @param {string} id - Checklist ID
+   * @returns {Promise<{ success: boolean }>}
+   */
+  async delete(cardId, id) {
+    return await request('DELETE', `/api/cards/${cardId}/checklists/${id}`);
+  },
+
+  /**
+   * Add an item to the end of a checklist
+   * @param {string} cardId - Card ID
+   * @param {string} id - Checklist ID
+   * @param {string} text - Item text
+   * @returns {Promise<Checklist>}
+   */
+  async addItem(cardId, id, text) {
+    return await request('POST', `/api/cards/${cardId}/checklists/${id}/items`, { text });
+  },
+
+  /**
+   * Update an item
+   * @param {string} cardId - Card ID
+   * @param {string} id - Checklist ID
+   * @param {string} itemId - Item ID
+   * @param {object} data - Update data { text?: string, done?: boolean }
+   * @returns {Promise<Checklist>}
+   */
+  async updateItem(cardId, id, itemId, data) {
+    return await request('PUT', `/api/cards/${cardId}/checklists/${id}/items/${itemId}`, data);
+  },
+
+  /**
+   * Reorder a checklist's items
+   * @param {string} cardId - Card ID
+   * @param {string} id - Checklist ID
+   * @param {string[]} itemIds - Ordered array of item IDs
+   * @returns {Promise<Checklist>}
+   */
+  async reorderItems(cardId, id, itemIds) {
+    return await request('PUT', `/api/cards/${cardId}/checklists/${id}/items/reorder`, { item_ids: itemIds });
+  },
+
+  /**
+   * Delete an item
+   * @param {string} cardId - Card ID
+   * @param {string} id - Checklist ID
+   * @param {string} itemId - Item ID
+   * @returns {Promise<Checklist>}
+   */
+  async deleteItem(cardId, id, itemId) {
+    return await request('DELETE', `/api/cards/${cardId}/checklists/${id}/items/${itemId}`);
   }
 };
 
-export { boardsApi, columnsApi, cardsApi };
+// Search API
+const searchApi = {
+  /**
+   * Find the cards on a board that match every filter
+   * @param {string} boardId - Board ID
+   * @param {object} [filters] - { q?: string, labels?: string[] (label IDs), due?: 'overdue'|'week'|'none' }
+   * @returns {Promise<Card[]>}
+   */
+  async search(boardId, { q, labels, due } = {}) {
+    const params = new URLSearchParams();
+    if (q) params.set('q', q);
+    if (labels && labels.length > 0) params.set('labels', labels.join(','));
+    if (due) params.set('due', due);
+
+    const query = params.toString();
+    return await request('GET', `/api/boards/${boardId}/search${query ? `?${query}` : ''}`);
+  }
+};
+
+// Activity API
+const activityApi = {
+  /**
+   * Get one page of a board's activity log, newest first
+   * @param {string} boardId - Board ID
+   * @param {object} [options] - { cursor?: number, limit?: number }
+   * @returns {Promise<{ items: Activity[], next_cursor: number|null }>}
+   */
+  async getByBoard(boardId, { cursor, limit } = {}) {
+    const params = new URLSearchParams();
+    if (cursor !== undefined && cursor !== null) params.set('cursor', cursor);
+    if (limit !== undefined) params.set('limit', limit);
+
+    const query = params.toString();
+    return await request('GET', `/api/boards/${boardId}/activity${query ? `?${query}` : ''}`);
+  }
+};
+
+// Trash API
+const trashApi = {
+  /**
+   * Get restorable trashed items, newest first
+   * @returns {Promise<TrashItem[]>}
+   */
+  async getAll() {
+    return await request('GET', '/api/trash');
+  },
+
+  /**
+   * Restore a trashed item to its original place
+   * @param {string} type - 'board', 'column' or 'card'
+   * @param {string} id - Item ID
+   * @returns {Promise<Board|Column|Card>}
+   */
+  async restore(type, id) {
+    return await request('POST', `/api/trash/${type}/${id}/restore`);
+  },
+
+  /**
+   * Permanently delete a trashed item
+   * @param {string} type - 'board', 'column' or 'card'
+   * @param {string} id - Item ID
+   * @returns {Promise<{ success: boolean }>}
+   */
+  async purge(type, id) {
+    return await request('DELETE', `/api/trash/${type}/${id}`);
+  }
+};
+
+export {
+  authApi,
+  boardsApi,
+  templatesApi,
+  membersApi,
+  labelsApi,
+  columnsApi,
+  cardsApi,
+  commentsApi,
+  checklistsApi,
+  searchApi,
+  activityApi,
+  trashApi,
+  setUnauthorizedHandler,
+  ConflictError,
+  ValidationError,
+  WipLimitError,
+  AuthError
+};
@@ -1,15 +1,35 @@
 import BoardManager from './boardManager.js';
 import ColumnManager from './columnManager.js';
 import DragDropManager from './dragDrop.js';
+import KeyboardNav from './keyboardNav.js';
+import Announcer from './announcer.js';
+import BulkActionBar from './bulkActionBar.js';
+import SyncManager from './sync.js';
+import ActivityFeed from './activityFeed.js';
+import CommandHistory from './commandHistory.js';
+import TrashView from './trashView.js';
+import MyCardsView from './myCardsView.js';
+import FilterBar from './filterBar.js';
+import AuthManager from './authManager.js';
+import MembersPanel from './membersPanel.js';
+import LabelsPanel from './labelsPanel.js';
+import CommentThread from './commentThread.js';
+import ChecklistEditor from './checklistEditor.js';
 import Toast from './toast.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
   try {
+    // Sign in first; every API call below needs a session
+    const user = await AuthManager.init();
+
     // Get DOM references
     const columnsContainer = document.getElementById('columns-container');
     const addColumnBtn = document.getElementById('add-column-btn');
     const deleteBoardBtn = document.getElementById('delete-board-btn');
     const boardTitle = document.getElementById('board-title');
+    const activityToggleBtn = document.getElementById('activity-toggle-btn');
+    const membersBtn = document.getElementById('members-btn');
+    const labelsBtn = document.getElementById('labels-btn');
 
     // Initialize ColumnManager
     ColumnManager.init(columnsContainer);
@@ -17,9 +37,47 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Initialize DragDropManager
     DragDropManager.init(columnsContainer);
 
+    // Initialize keyboard navigation and moves, announced through the live region
+    Announcer.init(document.getElementById('live-region'));
+    KeyboardNav.init(columnsContainer);
+
+    // Initialize the bulk action bar, shown while cards are selected
+    BulkActionBar.init(document.getElementById('bulk-action-bar'));
+    ColumnManager.setOnSelectionChange((cardIds) => BulkActionBar.update(cardIds));
+
+    // Initialize undo/redo (Ctrl+Z / Ctrl+Shift+Z), refreshing the board after each step
+    CommandHistory.init(async () => {
+      await ColumnManager.loadColumns(BoardManager.getCurrentBoardId());
+    });
+
+    // Initialize ActivityFeed
+    ActivityFeed.init(document.getElementById('activity-panel'));
+
+    // Initialize MembersPanel and LabelsPanel
+    MembersPanel.init(document.getElementById('members-modal'), user.id);
+    LabelsPanel.init(document.getElementById('labels-modal'));
+
+    // Initialize the checklists and comment thread inside the card editor
+    ChecklistEditor.init(document.getElementById('card-modal-checklists'));
+    CommentThread.init(document.getElementById('card-modal-comments'), user.id);
+
+    // Initialize FilterBar (restores any filters from the URL)
+    FilterBar.init(document.getElementById('filter-bar'));
+
+    // Initialize MyCardsView; opening a card switches to its board first
+    MyCardsView.init(document.getElementById('my-cards-view'), async (card) => {
+      await BoardManager.selectBoard(card.board_id);
+      if (BoardManager.canEdit()) {
+        ColumnManager.editCard(card.id);
+      }
+    });
+
     // Set up BoardManager callback
     BoardManager.setOnBoardSelect(async (boardId) => {
       try {
+        // Undo history only applies to the board it was recorded on
+        CommandHistory.clear();
+
         // Get the current board's data to update title
         const boards = BoardManager.boards || [];
         const currentBoard = boards.find(board => board.id === boardId);
@@ -30,12 +88,28 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         // Load columns for selected board
         await ColumnManager.loadColumns(boardId);
+        await FilterBar.setBoard(boardId);
+        await ActivityFeed.setBoard(boardId);
       } catch (err) {
         Toast.error('Failed to load board data');
         console.error('Board select callback failed:', err);
       }
     });
 
+    // Subscribe to live changes from other users
+    SyncManager.onEvent(event => BoardManager.applyEvent(event));
+    SyncManager.onEvent(event => ColumnManager.applyEvent(event));
+    SyncManager.onEvent(event => ActivityFeed.applyEvent(event));
+    SyncManager.onEvent(event => TrashView.applyEvent(event));
+    SyncManager.onEvent(event => MyCardsView.applyEvent(event));
+    SyncManager.onEvent(event => FilterBar.applyEvent(event));
+    SyncManager.onEvent(event => MembersPanel.applyEvent(event));
+    SyncManager.onEvent(event => LabelsPanel.applyEvent(event));
+    SyncManager.onEvent(event => CommentThread.applyEvent(event));
+    SyncManager.onEvent(event => ChecklistEditor.applyEvent(event));
+    SyncManager.onReconnect(() => BoardManager.refresh());
+    SyncManager.init();
+
     // Initialize BoardManager (loads boards and auto-selects first one)
     await BoardManager.init();
 
@@ -59,6 +133,24 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
     });
 
+    membersBtn.addEventListener('click', () => {
+      const boardId = BoardManager.getCurrentBoardId();
+      if (boardId) {
+        MembersPanel.show(boardId, BoardManager.getCurrentRole());
+      }
+    });
+
+    labelsBtn.addEventListener('click', () => {
+      const boardId = BoardManager.getCurrentBoardId();
+      if (boardId) {
+        LabelsPanel.show(boardId, BoardManager.canEdit());
+      }
+    });
+
+    activityToggleBtn.addEventListener('click', () => {
+      ActivityFeed.toggle();
+    });
+
     deleteBoardBtn.addEventListener('click', async () => {
       await BoardManager.deleteBoard();
     });
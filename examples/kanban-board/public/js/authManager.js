@@ -0,0 +1,135 @@
+import { authApi, setUnauthorizedHandler, AuthError, ValidationError } from './api.js';
+import Toast from './toast.js';
+
+const AuthManager = {
+  user: null,
+  mode: 'login',
+
+  /**
+   * Make sure someone is signed in, showing the sign-in screen until they are
+   * @returns {Promise<User>} The signed-in user
+   */
+  async init() {
+    try {
+      this.user = await authApi.me();
+    } catch (error) {
+      if (!(error instanceof AuthError)) {
+        throw error;
+      }
+      this.user = await this.showSignIn();
+    }
+
+    // A session that ends later (expired, signed out elsewhere) starts over at sign-in
+    setUnauthorizedHandler(() => window.location.reload());
+
+    this.renderUser();
+
+    const logoutBtn = document.getElementById('logout-btn');
+    if (logoutBtn) {
+      logoutBtn.addEventListener('click', () => this.logout());
+    }
+
+    return this.user;
+  },
+
+  /**
+   * Show the sign-in / register screen
+   * @returns {Promise<User>} Resolves once the user has signed in
+   */
+  showSignIn() {
+    return new Promise((resolve) => {
+      const screen = document.getElementById('auth-screen');
+      const form = document.getElementById('auth-form');
+      const nameInput = document.getElementById('auth-name');
+      const emailInput = document.getElementById('auth-email');
+      const passwordInput = document.getElementById('auth-password');
+      const switchBtn = document.getElementById('auth-switch-btn');
+
+      const controller = new AbortController();
+      const signal = controller.signal;
+
+      screen.classList.remove('hidden');
+      this.setMode('login');
+      emailInput.focus();
+
+      switchBtn.addEventListener('click', () => {
+        this.setMode(this.mode === 'login' ? 'register' : 'login');
+      }, { signal });
+
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        this.showErrors(null);
+
+        try {
+          const user = this.mode === 'login'
+            ? await authApi.login(emailInput.value, passwordInput.value)
+            : await authApi.register({
+              name: nameInput.value,
+              email: emailInput.value,
+              password: passwordInput.value
+            });
+
+          screen.classList.add('hidden');
+          form.reset();
+          controller.abort();
+          resolve(user);
+        } catch (error) {
+          if (error instanceof ValidationError) {
+            this.showErrors(error.fields);
+          } else if (error instanceof AuthError) {
+            this.showErrors({ form: error.message });
+          } else {
+            Toast.error('Failed to sign in');
+            console.error('AuthManager.showSignIn failed:', error);
+          }
+        }
+      }, { signal });
+    });
+  },
+
+  setMode(mode) {
+    this.mode = mode;
+    const registering = mode === 'register';
+
+    document.getElementById('auth-heading').textContent = registering ? 'Create an account' : 'Sign in';
+    document.getElementById('auth-submit').textContent = registering ? 'Create account' : 'Sign in';
+    document.getElementById('auth-switch-text').textContent = registering ? 'Already have an account?' : 'No account yet?';
+    document.getElementById('auth-switch-btn').textContent = registering ? 'Sign in' : 'Create one';
+    document.getElementById('auth-name-group').classList.toggle('hidden', !registering);
+    document.getElementById('auth-password').autocomplete = registering ? 'new-password' : 'current-password';
+
+    this.showErrors(null);
+  },
+
+  showErrors(fields) {
+    document.querySelectorAll('#auth-form [data-error-for]').forEach(errorEl => {
+      const message = fields && fields[errorEl.dataset.errorFor];
+      errorEl.textContent = message || '';
+      errorEl.classList.toggle('hidden', !message);
+    });
+  },
+
+  renderUser() {
+    const userName = document.getElementById('user-name');
+    if (userName) {
+      userName.textContent = this.user.name;
+      userName.title = this.user.email;
+    }
+  },
+
+  async logout() {
+    try {
+      await authApi.logout();
+      window.location.reload();
+    } catch (error) {
+      Toast.error('Failed to sign out');
+      console.error('AuthManager.logout failed:', error);
+    }
+  },
+
+  getUserId() {
+    return this.user ? this.user.id : null;
+  }
+};
+
+export default AuthManager;
@@ -0,0 +1,48 @@
+// Avatar helpers: initials on a color picked from the user ID
+
+const AVATAR_COLORS = ['#5c6bc0', '#26a69a', '#ef6c00', '#ab47bc', '#42a5f5', '#ec407a', '#7cb342', '#8d6e63'];
+
+const Avatar = {
+  /**
+   * Get up to two initials from a name
+   * @param {string} name
+   * @returns {string}
+   */
+  initials(name) {
+    return (name || '?')
+      .split(/\s+/)
+      .filter(Boolean)
+      .slice(0, 2)
+      .map(part => part[0].toUpperCase())
+      .join('');
+  },
+
+  /**
+   * Pick a stable background color for a user
+   * @param {string} userId
+   * @returns {string} CSS color
+   */
+  color(userId) {
+    let hash = 0;
+    for (const char of userId) {
+      hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    return AVATAR_COLORS[hash % AVATAR_COLORS.length];
+  },
+
+  /**
+   * Create an avatar element
+   * @param {{ user_id: string, name: string }} member
+   * @returns {HTMLSpanElement}
+   */
+  create(member) {
+    const avatar = document.createElement('span');
+    avatar.className = 'avatar';
+    avatar.textContent = this.initials(member.name);
+    avatar.title = member.name;
+    avatar.style.backgroundColor = this.color(member.user_id);
+    return avatar;
+  }
+};
+
+export default Avatar;
@@ -1,11 +1,19 @@
-import { boardsApi } from './api.js';
+import { boardsApi, templatesApi, ConflictError, ValidationError } from './api.js';
 import Toast from './toast.js';
-import { InputModal, ConfirmModal } from './modal.js';
+import InlineEdit from './inlineEdit.js';
+import { ConfirmModal, NewBoardModal, BoardCopyModal } from './modal.js';
+import TrashView from './trashView.js';
+import MyCardsView from './myCardsView.js';
+import AuthManager from './authManager.js';
+
+// Roles from least to most privileged (mirrors server/members.js)
+const ROLES = ['viewer', 'editor', 'owner'];
 
 const BoardManager = {
   currentBoardId: null,
   boards: [],
   onBoardSelect: null,
+  activeView: null,
 
   async init() {
     try {
@@ -18,6 +26,53 @@ const BoardManager = {
         newBoardBtn.addEventListener('click', () => this.createBoard());
       }
 
+      // Double-clicking the board title renames the board in place
+      const boardTitle = document.getElementById('board-title');
+      boardTitle.addEventListener('dblclick', () => {
+        if (this.currentBoardId && !this.activeView && !InlineEdit.isEditing(boardTitle)) {
+          this.renameBoard(this.currentBoardId, boardTitle);
+        }
+      });
+
+      // Set up copying the current board, as a new board or a template
+      document.getElementById('duplicate-board-btn').addEventListener('click', () => this.duplicateBoard());
+      document.getElementById('save-template-btn').addEventListener('click', () => this.saveAsTemplate());
+
+      // Set up export downloads and the import file picker
+      document.getElementById('export-json-btn').addEventListener('click', () => this.exportBoard('json'));
+      document.getElementById('export-csv-btn').addEventListener('click', () => this.exportBoard('csv'));
+
+      const importInput = document.getElementById('import-board-input');
+      document.getElementById('import-board-btn').addEventListener('click', () => importInput.click());
+      importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        // Clear the picker so the same file can be chosen again after fixing it
+        importInput.value = '';
+        if (file) {
+          await this.importBoard(file);
+        }
+      });
+
+      // Sidebar items are divs, so Enter and Space need to work like a click
+      document.getElementById('sidebar').addEventListener('keydown', (e) => {
+        if ((e.key === 'Enter' || e.key === ' ') && e.target.classList.contains('board-list-item')) {
+          e.preventDefault();
+          e.target.click();
+        }
+      });
+
+      // Set up "My cards" and trash links below the board list
+      const myCardsNav = document.getElementById('my-cards-nav');
+      if (myCardsNav) {
+        myCardsNav.addEventListener('click', () => this.showView('my-cards'));
+      }
+
+      const trashNav = document.getElementById('trash-nav');
+      if (trashNav) {
+        TrashView.init(document.getElementById('trash-view'));
+        trashNav.addEventListener('click', () => this.showView('trash'));
+      }
+
       // Auto-select first board if boards exist
       if (this.boards.length > 0) {
         this.selectBoard(this.boards[0].id);
@@ -42,10 +97,41 @@ const BoardManager = {
     }
   },
 
+  /**
+   * Reload the board list and the open board, to catch up on changes missed
+   * while the event stream was disconnected
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    try {
+      await this.loadBoards();
+    } catch (err) {
+      // loadBoards has already shown the error
+      return;
+    }
+
+    if (!this.currentBoardId || this.activeView) return;
+
+    if (this.boards.some(b => b.id === this.currentBoardId)) {
+      await this.selectBoard(this.currentBoardId);
+    } else {
+      this.leaveCurrentBoard('This board was deleted or you no longer have access to it');
+    }
+  },
+
   renderBoardList() {
     const container = document.getElementById('board-list');
     if (!container) return;
 
+    // A rename in progress re-renders the list when it ends
+    if (InlineEdit.isEditing(container)) return;
+
+    // Keep keyboard focus on the same board across the rebuild
+    const focusedItem = document.activeElement && container.contains(document.activeElement)
+      ? document.activeElement
+      : null;
+    const focusedBoardId = focusedItem ? focusedItem.dataset.boardId : null;
+
     // Clear container
     container.innerHTML = '';
 
@@ -55,10 +141,13 @@ const BoardManager = {
       boardItem.className = 'board-list-item';
       boardItem.dataset.boardId = board.id;
       boardItem.textContent = board.name;
+      boardItem.tabIndex = 0;
+      boardItem.setAttribute('role', 'button');
 
-      // Add active class to current board
-      if (board.id === this.currentBoardId) {
+      // Add active class to current board (unless another view is shown)
+      if (board.id === this.currentBoardId && !this.activeView) {
         boardItem.classList.add('board-list-item-active');
+        boardItem.setAttribute('aria-current', 'true');
       }
 
       // Add click handler to select board
@@ -66,13 +155,38 @@ const BoardManager = {
         this.selectBoard(board.id);
       });
 
+      // Double-click or F2 renames (editors and owners only)
+      if (this.canEditBoard(board)) {
+        boardItem.title = 'Double-click or press F2 to rename';
+        boardItem.addEventListener('dblclick', () => this.renameBoard(board.id, boardItem));
+        boardItem.addEventListener('keydown', (e) => {
+          if (e.key === 'F2' && e.target === boardItem) {
+            e.preventDefault();
+            this.renameBoard(board.id, boardItem);
+          }
+        });
+      }
+
       container.appendChild(boardItem);
+
+      if (board.id === focusedBoardId) {
+        boardItem.focus();
+      }
     });
   },
 
-  selectBoard(boardId) {
+  /**
+   * Show a board
+   * @param {string} boardId - Board ID
+   * @returns {Promise<void>} Settles once the board's content has loaded
+   */
+  async selectBoard(boardId) {
     // Set current board ID
     this.currentBoardId = boardId;
+    this.applyRole();
+
+    // Leave the trash or "My cards" view if one is open
+    this.showView(null);
 
     // Update active class in list
     const container = document.getElementById('board-list');
@@ -81,31 +195,126 @@ const BoardManager = {
       items.forEach(item => {
         if (item.dataset.boardId === boardId) {
           item.classList.add('board-list-item-active');
+          item.setAttribute('aria-current', 'true');
         } else {
           item.classList.remove('board-list-item-active');
+          item.removeAttribute('aria-current');
         }
       });
     }
 
     // Call onBoardSelect callback
     if (this.onBoardSelect && typeof this.onBoardSelect === 'function') {
-      this.onBoardSelect(boardId);
+      await this.onBoardSelect(boardId);
+    }
+  },
+
+  /**
+   * Get the signed-in user's role on the current board
+   * @returns {string|null} 'viewer', 'editor', 'owner', or null with no board
+   */
+  getCurrentRole() {
+    const board = this.boards.find(b => b.id === this.currentBoardId);
+    return board ? board.role : null;
+  },
+
+  /**
+   * Check whether the signed-in user can change the current board's columns and cards
+   * @returns {boolean}
+   */
+  canEdit() {
+    return this.canEditBoard(this.boards.find(b => b.id === this.currentBoardId));
+  },
+
+  // Whether the signed-in user's role on a board lets them change it
+  canEditBoard(board) {
+    return Boolean(board) && ROLES.indexOf(board.role) >= ROLES.indexOf('editor');
+  },
+
+  // Only offer the header actions the user's role allows
+  applyRole() {
+    const role = this.getCurrentRole();
+
+    const addColumnBtn = document.getElementById('add-column-btn');
+    if (addColumnBtn) {
+      addColumnBtn.classList.toggle('hidden', !this.canEdit());
+    }
+
+    const deleteBoardBtn = document.getElementById('delete-board-btn');
+    if (deleteBoardBtn) {
+      deleteBoardBtn.classList.toggle('hidden', role !== 'owner');
+    }
+
+    ['duplicate-board-btn', 'save-template-btn', 'export-json-btn', 'export-csv-btn'].forEach(id => {
+      document.getElementById(id).classList.toggle('hidden', !role);
+    });
+  },
+
+  // Move off the current board after losing it (deleted, or access removed)
+  leaveCurrentBoard(message) {
+    Toast.info(message);
+    if (this.boards.length > 0) {
+      this.selectBoard(this.boards[0].id);
+    } else {
+      this.currentBoardId = null;
+      if (this.onBoardSelect && typeof this.onBoardSelect === 'function') {
+        this.onBoardSelect(null);
+      }
+    }
+  },
+
+  /**
+   * Swap the board for one of the sidebar views, or back
+   * @param {'trash'|'my-cards'|null} view - View to show; null shows the current board
+   */
+  showView(view) {
+    this.activeView = view;
+
+    TrashView.hide();
+    MyCardsView.hide();
+
+    const hidden = view !== null;
+    document.getElementById('board-actions').classList.toggle('hidden', hidden);
+    document.getElementById('filter-bar').classList.toggle('hidden', hidden);
+    document.getElementById('columns-container').classList.toggle('hidden', hidden);
+    if (hidden) {
+      document.getElementById('empty-state').classList.add('hidden');
+    }
+
+    // Highlight the view's link instead of a board while it is shown
+    document.getElementById('trash-nav').classList.toggle('board-list-item-active', view === 'trash');
+    document.getElementById('my-cards-nav').classList.toggle('board-list-item-active', view === 'my-cards');
+    if (hidden) {
+      document.querySelectorAll('#board-list .board-list-item').forEach(item => {
+        item.classList.remove('board-list-item-active');
+        item.removeAttribute('aria-current');
+      });
+    }
+
+    if (view === 'trash') {
+      TrashView.show();
+    } else if (view === 'my-cards') {
+      MyCardsView.show();
     }
   },
 
   async createBoard() {
     try {
-      // Show input modal for board name
-      const name = await InputModal.show('New Board', 'Enter board name');
-
-      // If user cancels, do nothing
-      if (name === null) {
-        return;
+      // Offer the templates alongside a blank board; without them, a blank board still works
+      let templates = [];
+      try {
+        templates = await templatesApi.getAll();
+      } catch (err) {
+        console.error('BoardManager.createBoard could not load templates:', err);
       }
 
-      // If empty string, show error
-      if (name === '') {
-        Toast.error('Board name is required');
+      // Show the new board modal for name and template
+      const choice = await NewBoardModal.show(templates, {
+        onDeleteTemplate: template => this.deleteTemplate(template)
+      });
+
+      // If user cancels, do nothing
+      if (choice === null) {
         return;
       }
 
@@ -116,7 +325,7 @@ const BoardManager = {
       }
 
       // Create board via API (pass name as string, not object)
-      const newBoard = await boardsApi.create(name);
+      const newBoard = await boardsApi.create(choice.name, choice.templateId);
 
       // Show success message
       Toast.success('Board created');
@@ -125,7 +334,7 @@ const BoardManager = {
       await this.loadBoards();
       this.selectBoard(newBoard.id);
     } catch (err) {
-      Toast.error('Failed to create board');
+      Toast.error(err instanceof ValidationError ? err.message : 'Failed to create board');
       console.error('BoardManager.createBoard failed:', err);
     } finally {
       // Remove loading class
@@ -136,6 +345,230 @@ const BoardManager = {
     }
   },
 
+  /**
+   * Rename a board in place, showing the new name at once and putting the
+   * old one back if the save fails
+   * @param {string} boardId - Board ID
+   * @param {HTMLElement} element - The sidebar item or board title showing its name
+   */
+  async renameBoard(boardId, element) {
+    const board = this.boards.find(b => b.id === boardId);
+    if (!this.canEditBoard(board)) {
+      return;
+    }
+
+    const name = await InlineEdit.edit(element, { label: 'Board name', maxLength: 100 });
+    if (name === null) {
+      this.renderBoardList();
+      return;
+    }
+
+    const previousName = board.name;
+    board.name = name;
+    this.showBoardName(board);
+
+    try {
+      Object.assign(board, await boardsApi.update(boardId, { name }, board.version));
+    } catch (err) {
+      if (err instanceof ConflictError) {
+        Object.assign(board, err.current);
+        Toast.error('Someone else changed this board; your rename was not saved');
+      } else {
+        board.name = previousName;
+        Toast.error(err instanceof ValidationError ? err.message : 'Failed to rename board');
+        console.error('BoardManager.renameBoard failed:', err);
+      }
+      this.showBoardName(board);
+    }
+  },
+
+  // Show a board's current name in the sidebar and, if it is open, the header
+  showBoardName(board) {
+    this.renderBoardList();
+
+    const boardTitle = document.getElementById('board-title');
+    if (board.id === this.currentBoardId && !this.activeView && !InlineEdit.isEditing(boardTitle)) {
+      boardTitle.textContent = board.name;
+    }
+  },
+
+  /**
+   * Delete one of the user's saved templates, after asking
+   * @param {object} template - Template
+   * @returns {Promise<boolean>} True if it was deleted
+   */
+  async deleteTemplate(template) {
+    const confirmed = await ConfirmModal.show('Delete Template', `Delete the template "${template.name}"? Boards made from it are not affected.`);
+    if (!confirmed) {
+      return false;
+    }
+
+    try {
+      await templatesApi.delete(template.id);
+      Toast.success(`Deleted template "${template.name}"`);
+      return true;
+    } catch (err) {
+      Toast.error(`Failed to delete template: ${err.message}`);
+      console.error('BoardManager.deleteTemplate failed:', err);
+      return false;
+    }
+  },
+
+  async duplicateBoard() {
+    const board = this.boards.find(b => b.id === this.currentBoardId);
+    if (!board) {
+      return;
+    }
+
+    const choice = await BoardCopyModal.show('Duplicate Board', `Copy of ${board.name}`, { submitLabel: 'Duplicate' });
+    if (choice === null) {
+      return;
+    }
+
+    try {
+      const newBoard = await boardsApi.duplicate(board.id, { name: choice.name, include_cards: choice.includeCards });
+      Toast.success(`Created "${newBoard.name}"`);
+      await this.loadBoards();
+      this.selectBoard(newBoard.id);
+    } catch (err) {
+      Toast.error(err instanceof ValidationError ? err.message : 'Failed to duplicate board');
+      console.error('BoardManager.duplicateBoard failed:', err);
+    }
+  },
+
+  async saveAsTemplate() {
+    const board = this.boards.find(b => b.id === this.currentBoardId);
+    if (!board) {
+      return;
+    }
+
+    const choice = await BoardCopyModal.show('Save as Template', board.name, { submitLabel: 'Save Template', includeCards: false });
+    if (choice === null) {
+      return;
+    }
+
+    try {
+      const template = await templatesApi.create(board.id, choice.name, choice.includeCards);
+      Toast.success(`Saved template "${template.name}"; pick it when creating a board`);
+    } catch (err) {
+      Toast.error(err instanceof ValidationError ? err.message : 'Failed to save template');
+      console.error('BoardManager.saveAsTemplate failed:', err);
+    }
+  },
+
+  /**
+   * Download the current board
+   * @param {'json'|'csv'} format - JSON export document, or CSV with one row per card
+   */
+  exportBoard(format) {
+    if (!this.currentBoardId) {
+      return;
+    }
+
+    // The server names the file after the board
+    const link = document.createElement('a');
+    link.href = boardsApi.exportUrl(this.currentBoardId, format);
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  },
+
+  /**
+   * Create a board from an export file and switch to it
+   * @param {File} file - A .json export document, a .csv export or a Trello JSON export
+   */
+  async importBoard(file) {
+    const container = document.getElementById('board-list');
+
+    try {
+      const text = await file.text();
+      const isCsv = /\.csv$/i.test(file.name);
+
+      let exportDocument = null;
+      if (!isCsv) {
+        try {
+          exportDocument = JSON.parse(text);
+        } catch (parseErr) {
+          Toast.error(`"${file.name}" is not a JSON or CSV board export`);
+          return;
+        }
+      }
+
+      // Trello exports are previewed first, since they are mapped rather than copied
+      const isTrello = exportDocument && !exportDocument.format &&
+        Array.isArray(exportDocument.lists) && Array.isArray(exportDocument.cards);
+      if (isTrello) {
+        const { summary } = await boardsApi.importTrello(exportDocument, true);
+        const confirmed = await ConfirmModal.show('Import from Trello', this.describeTrelloImport(summary));
+        if (!confirmed) {
+          return;
+        }
+      }
+
+      if (container) {
+        container.classList.add('loading');
+      }
+
+      // A CSV board is named after its file
+      let newBoard;
+      if (isCsv) {
+        newBoard = await boardsApi.importCsv(text, file.name.replace(/\.csv$/i, ''));
+      } else if (isTrello) {
+        newBoard = (await boardsApi.importTrello(exportDocument)).board;
+      } else {
+        newBoard = await boardsApi.import(exportDocument);
+      }
+
+      Toast.success(`Imported "${newBoard.name}"`);
+      await this.loadBoards();
+      this.selectBoard(newBoard.id);
+    } catch (err) {
+      if (err instanceof ValidationError) {
+        Toast.error(`Could not import "${file.name}": ${this.describeImportErrors(err)}`);
+      } else {
+        Toast.error('Failed to import board');
+      }
+      console.error('BoardManager.importBoard failed:', err);
+    } finally {
+      if (container) {
+        container.classList.remove('loading');
+      }
+    }
+  },
+
+  // Describe what a Trello import will create, for the confirmation dialog
+  describeTrelloImport(summary) {
+    const lines = [
+      `Create the board "${summary.name}" with ${summary.columns} column(s), ${summary.cards} card(s), ` +
+        `${summary.labels.length} label(s) and ${summary.checklists} checklist(s).`
+    ];
+
+    if (summary.archived_columns || summary.archived_cards) {
+      lines.push(`${summary.archived_columns} archived list(s) and ${summary.archived_cards} archived card(s) will go to the trash.`);
+    }
+
+    const recolored = summary.labels.filter(label => label.trello_color !== label.color);
+    if (recolored.length > 0) {
+      lines.push(`Recolored labels: ${recolored.map(label => `${label.name} (${label.trello_color || 'no color'} → ${label.color})`).join(', ')}.`);
+    }
+
+    summary.warnings.forEach(warning => lines.push(`${warning}.`));
+    return lines.join('\n');
+  },
+
+  // Summarize an import's errors, listing only the first few bad rows
+  describeImportErrors(err) {
+    const messages = Object.values(err.fields);
+    err.rows.slice(0, 3).forEach(({ row, fields }) => {
+      messages.push(`row ${row}: ${Object.values(fields).join(', ')}`);
+    });
+    if (err.rows.length > 3) {
+      messages.push(`and ${err.rows.length - 3} more rows`);
+    }
+    return messages.join('; ');
+  },
+
   async deleteBoard() {
     // If no current board, return
     if (!this.currentBoardId) {
@@ -150,7 +583,7 @@ const BoardManager = {
       // Show confirmation modal
       const confirmed = await ConfirmModal.show(
         'Delete Board',
-        `Delete "${boardName}" and all its contents?`
+        `Move "${boardName}" and all its contents to the trash?`
       );
 
       // If not confirmed, return
@@ -168,7 +601,7 @@ const BoardManager = {
       await boardsApi.delete(this.currentBoardId);
 
       // Show success message
-      Toast.success('Board deleted');
+      Toast.success('Board moved to trash');
 
       // Reload boards
       await this.loadBoards();
@@ -194,6 +627,67 @@ const BoardManager = {
     }
   },
 
+  applyEvent(event) {
+    const { type, data } = event;
+
+    if (type === 'board.created') {
+      // Only the creator is a member of a brand-new board
+      if (!this.boards.some(b => b.id === data.id)) {
+        this.boards.push({ ...data, role: 'owner' });
+        this.renderBoardList();
+      }
+    } else if (type === 'board.restored') {
+      if (!this.boards.some(b => b.id === data.id)) {
+        this.loadBoards();
+      }
+    } else if (type === 'board.updated') {
+      const board = this.boards.find(b => b.id === data.id);
+      if (board) {
+        Object.assign(board, data);
+        this.showBoardName(board);
+      }
+    } else if (type === 'board.deleted') {
+      this.boards = this.boards.filter(b => b.id !== data.id);
+      this.renderBoardList();
+
+      // Someone else deleted the board we're looking at
+      if (data.id === this.currentBoardId && !this.activeView) {
+        this.leaveCurrentBoard('This board was deleted');
+      }
+    } else if (type.startsWith('member.') && data.user_id === AuthManager.getUserId()) {
+      this.applyMembershipEvent(event);
+    }
+  },
+
+  // Apply a change to the signed-in user's own membership
+  applyMembershipEvent(event) {
+    const { type, board_id: boardId, data } = event;
+
+    if (type === 'member.added') {
+      if (!this.boards.some(b => b.id === boardId)) {
+        this.boards.push(data.board);
+        this.renderBoardList();
+        Toast.info(`You were added to "${data.board.name}"`);
+      }
+    } else if (type === 'member.updated') {
+      const board = this.boards.find(b => b.id === boardId);
+      if (board) {
+        board.role = data.role;
+        if (boardId === this.currentBoardId && !this.activeView) {
+          Toast.info(`Your role on this board is now ${data.role}`);
+          this.selectBoard(boardId);
+        }
+      }
+    } else if (type === 'member.removed') {
+      this.boards = this.boards.filter(b => b.id !== boardId);
+      this.renderBoardList();
+
+      if (boardId === this.currentBoardId && !this.activeView) {
+        this.leaveCurrentBoard('You no longer have access to this board');
+      }
+    }
+  },
+
   getCurrentBoardId() {
     return this.currentBoardId;
   },
@@ -0,0 +1,219 @@
+/**
+ * Normalized store for the open board
+ * Columns and cards are kept by ID, with the column order and each column's
+ * card order held separately, so a response or a live event can replace
+ * one card without touching the rest. ColumnManager renders from here and
+ * patches only the cards and columns that changed.
+ */
+const BoardStore = {
+  columns: new Map(),
+  cards: new Map(),
+  columnOrder: [],
+  // Column ID -> card IDs, top to bottom
+  cardOrder: new Map(),
+
+  /**
+   * Replace the store with a board as GET /api/boards/:id returns it
+   * @param {{ columns: Array<Column & { cards: Card[] }> }} board
+   */
+  load(board) {
+    this.clear();
+
+    board.columns.forEach(({ cards, ...column }) => {
+      this.columns.set(column.id, column);
+      this.columnOrder.push(column.id);
+      this.cardOrder.set(column.id, cards.map(card => card.id));
+      cards.forEach(card => this.cards.set(card.id, card));
+    });
+
+    this.sortColumns();
+    this.columnOrder.forEach(columnId => this.sortCards(columnId));
+  },
+
+  clear() {
+    this.columns = new Map();
+    this.cards = new Map();
+    this.columnOrder = [];
+    this.cardOrder = new Map();
+  },
+
+  getColumn(columnId) {
+    return this.columns.get(columnId) || null;
+  },
+
+  getCard(cardId) {
+    return this.cards.get(cardId) || null;
+  },
+
+  getColumnIds() {
+    return this.columnOrder;
+  },
+
+  getCardIds(columnId) {
+    return this.cardOrder.get(columnId) || [];
+  },
+
+  /**
+   * Get a column's cards in order
+   * @param {string} columnId
+   * @returns {Card[]}
+   */
+  getCards(columnId) {
+    return this.getCardIds(columnId).map(cardId => this.cards.get(cardId));
+  },
+
+  /**
+   * Get the board the nested way (each column with its cards), for code
+   * that walks the whole board
+   * @returns {Array<Column & { cards: Card[] }>}
+   */
+  getColumns() {
+    return this.columnOrder.map(columnId => ({ ...this.columns.get(columnId), cards: this.getCards(columnId) }));
+  },
+
+  /**
+   * Add a column, or merge changes into the one with its ID
+   * @param {Column} column
+   */
+  setColumn(column) {
+    const existing = this.columns.get(column.id);
+    this.columns.set(column.id, existing ? { ...existing, ...column } : column);
+
+    if (!existing) {
+      this.columnOrder.push(column.id);
+      this.cardOrder.set(column.id, []);
+    }
+    this.sortColumns();
+  },
+
+  // Drops the column's cards with it
+  removeColumn(columnId) {
+    this.getCardIds(columnId).forEach(cardId => this.cards.delete(cardId));
+    this.columns.delete(columnId);
+    this.cardOrder.delete(columnId);
+    this.columnOrder = this.columnOrder.filter(id => id !== columnId);
+  },
+
+  /**
+   * Put the columns in a new order, renumbering their positions
+   * @param {string[]} columnIds
+   */
+  setColumnOrder(columnIds) {
+    this.columnOrder = columnIds.filter(columnId => this.columns.has(columnId));
+    this.columnOrder.forEach((columnId, position) => this.setPosition(this.columns, columnId, position));
+  },
+
+  /**
+   * Add or replace a card from a response or event, filed under its column by
+   * position. Cards from events lack the comment count and checklist progress
+   * that only the board load sends, so those carry over.
+   * @param {Card} card
+   */
+  setCard(card) {
+    const existing = this.cards.get(card.id);
+    this.detachCard(card.id);
+
+    this.cards.set(card.id, {
+      comment_count: existing ? existing.comment_count : 0,
+      checklist_progress: existing ? existing.checklist_progress : { done: 0, total: 0 },
+      ...card
+    });
+
+    if (this.cardOrder.has(card.column_id)) {
+      this.cardOrder.get(card.column_id).push(card.id);
+      this.sortCards(card.column_id);
+    } else {
+      // Its column isn't on this board (yet); nothing would show it
+      this.cards.delete(card.id);
+    }
+  },
+
+  /**
+   * Merge changes into a card without moving it
+   * @param {string} cardId
+   * @param {object} changes
+   */
+  patchCard(cardId, changes) {
+    const card = this.cards.get(cardId);
+    if (card) {
+      this.cards.set(cardId, { ...card, ...changes });
+    }
+  },
+
+  removeCard(cardId) {
+    this.detachCard(cardId);
+    this.cards.delete(cardId);
+  },
+
+  /**
+   * Put cards into their (shared) column at an index, as a move does, and
+   * renumber every column they left or joined
+   * @param {Card[]} cards - Moved cards, in order
+   * @param {number} [index] - Index among the column's other cards; the end if omitted
+   */
+  insertCards(cards, index) {
+    if (cards.length === 0) return;
+
+    const columnId = cards[0].column_id;
+    const affected = new Set([columnId]);
+    cards.forEach(card => {
+      const existing = this.cards.get(card.id);
+      if (existing) {
+        affected.add(existing.column_id);
+      }
+      this.detachCard(card.id);
+      this.cards.set(card.id, { ...existing, ...card });
+    });
+
+    const order = this.cardOrder.get(columnId);
+    if (!order) return;
+
+    const at = index === undefined ? order.length : Math.min(index, order.length);
+    order.splice(at, 0, ...cards.map(card => card.id));
+    affected.forEach(id => this.renumberCards(id));
+  },
+
+  /**
+   * Put a column's cards in a new order, renumbering their positions
+   * @param {string} columnId
+   * @param {string[]} cardIds
+   */
+  setCardOrder(columnId, cardIds) {
+    if (!this.cardOrder.has(columnId)) return;
+
+    this.cardOrder.set(columnId, cardIds.filter(cardId => this.cards.has(cardId)));
+    this.renumberCards(columnId);
+  },
+
+  // Take a card out of whichever column's order has it
+  detachCard(cardId) {
+    const card = this.cards.get(cardId);
+    if (!card || !this.cardOrder.has(card.column_id)) return;
+
+    this.cardOrder.set(card.column_id, this.cardOrder.get(card.column_id).filter(id => id !== cardId));
+  },
+
+  sortColumns() {
+    this.columnOrder.sort((a, b) => this.columns.get(a).position - this.columns.get(b).position);
+  },
+
+  // Stable, so cards that share a position keep their current order
+  sortCards(columnId) {
+    this.getCardIds(columnId).sort((a, b) => this.cards.get(a).position - this.cards.get(b).position);
+  },
+
+  // Match positions to the order, as the server does after a move
+  renumberCards(columnId) {
+    this.getCardIds(columnId).forEach((cardId, position) => this.setPosition(this.cards, cardId, position));
+  },
+
+  // Replace rather than mutate, so a changed entity is a new object
+  setPosition(entities, id, position) {
+    const entity = entities.get(id);
+    if (entity.position !== position) {
+      entities.set(id, { ...entity, position });
+    }
+  }
+};
+
+export default BoardStore;
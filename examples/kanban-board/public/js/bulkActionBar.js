@@ -0,0 +1,129 @@
+import ColumnManager from './columnManager.js';
+import CommandHistory from './commandHistory.js';
+import Toast from './toast.js';
+
+/**
+ * Bulk action bar
+ * Shown while cards are selected (Ctrl/Cmd-click, Shift-click or
+ * Shift+Space). Each action goes to POST /api/cards/bulk in one request
+ * and is undone as one step.
+ */
+const BulkActionBar = {
+  bar: null,
+  count: null,
+  moveSelect: null,
+  addLabelSelect: null,
+  removeLabelSelect: null,
+  dueDateInput: null,
+  cardIds: [],
+
+  init(bar) {
+    this.bar = bar;
+    this.count = bar.querySelector('#bulk-count');
+    this.moveSelect = bar.querySelector('#bulk-move');
+    this.addLabelSelect = bar.querySelector('#bulk-add-label');
+    this.removeLabelSelect = bar.querySelector('#bulk-remove-label');
+    this.dueDateInput = bar.querySelector('#bulk-due-date');
+
+    // Columns and labels can change while the bar is up
+    bar.addEventListener('focusin', (e) => {
+      if (e.target.tagName === 'SELECT') {
+        this.fillOptions();
+      }
+    });
+
+    this.moveSelect.addEventListener('change', () => {
+      const columnId = this.moveSelect.value;
+      this.moveSelect.value = '';
+      if (columnId) {
+        ColumnManager.moveCards(this.cardIds, columnId);
+      }
+    });
+
+    this.addLabelSelect.addEventListener('change', () => {
+      const labelId = this.addLabelSelect.value;
+      this.addLabelSelect.value = '';
+      if (labelId) {
+        ColumnManager.labelCards(this.cardIds, labelId, true);
+      }
+    });
+
+    this.removeLabelSelect.addEventListener('change', () => {
+      const labelId = this.removeLabelSelect.value;
+      this.removeLabelSelect.value = '';
+      if (labelId) {
+        ColumnManager.labelCards(this.cardIds, labelId, false);
+      }
+    });
+
+    bar.querySelector('#bulk-set-due-btn').addEventListener('click', () => {
+      if (!this.dueDateInput.value) {
+        Toast.error('Pick a due date first');
+        this.dueDateInput.focus();
+        return;
+      }
+      ColumnManager.setCardsDueDate(this.cardIds, this.dueDateInput.value);
+    });
+
+    bar.querySelector('#bulk-clear-due-btn').addEventListener('click', () => {
+      ColumnManager.setCardsDueDate(this.cardIds, null);
+    });
+
+    bar.querySelector('#bulk-delete-btn').addEventListener('click', () => {
+      ColumnManager.deleteCards(this.cardIds);
+    });
+
+    bar.querySelector('#bulk-clear-btn').addEventListener('click', () => {
+      ColumnManager.clearSelection();
+    });
+
+    // Escape drops the selection, unless it was meant for a field, a modal or a held card
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !e.defaultPrevented && this.cardIds.length > 0 && !CommandHistory.isTyping(e.target)) {
+        ColumnManager.clearSelection();
+      }
+    });
+  },
+
+  /**
+   * Show the bar for the current selection, or hide it when nothing is selected
+   * @param {string[]} cardIds - Selected card IDs
+   */
+  update(cardIds) {
+    this.cardIds = cardIds;
+    this.bar.classList.toggle('hidden', cardIds.length === 0);
+    this.count.textContent = cardIds.length === 1 ? '1 card selected' : `${cardIds.length} cards selected`;
+
+    if (cardIds.length > 0) {
+      this.fillOptions();
+    }
+  },
+
+  // Rebuild the column and label choices from the board
+  fillOptions() {
+    const columns = ColumnManager.getColumns().map(column => ({ value: column.id, text: column.title }));
+    const labels = ColumnManager.getLabels().map(label => ({ value: label.id, text: label.name }));
+
+    this.setOptions(this.moveSelect, columns);
+    this.setOptions(this.addLabelSelect, labels);
+    this.setOptions(this.removeLabelSelect, labels);
+  },
+
+  /**
+   * Replace a select's options, keeping its first (placeholder) option
+   * @param {HTMLSelectElement} select
+   * @param {Array<{ value: string, text: string }>} options
+   */
+  setOptions(select, options) {
+    const placeholder = select.options[0];
+    select.replaceChildren(placeholder, ...options.map(({ value, text }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      return option;
+    }));
+    select.disabled = options.length === 0;
+  }
+};
+
+export default BulkActionBar;
@@ -0,0 +1,327 @@
+import { checklistsApi, ValidationError } from './api.js';
+import Toast from './toast.js';
+import BoardManager from './boardManager.js';
+import { InputModal, ConfirmModal } from './modal.js';
+
+// Checklist editor shown inside the card editor. Changes save as they are made.
+const ChecklistEditor = {
+  section: null,
+  list: null,
+  form: null,
+  titleInput: null,
+  errorEl: null,
+  cardId: null,
+  checklists: [],
+
+  /**
+   * Wire up the editor
+   * @param {HTMLElement} section - The #card-modal-checklists element
+   */
+  init(section) {
+    this.section = section;
+    this.list = section.querySelector('#card-modal-checklist-list');
+    this.form = section.querySelector('#card-modal-checklist-form');
+    this.titleInput = section.querySelector('#card-modal-checklist-title');
+    this.errorEl = section.querySelector('#card-modal-checklist-error');
+
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.create();
+    });
+
+    this.list.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const checklist = this.checklistFor(e.target);
+      if (checklist) {
+        this.addItem(checklist, e.target.querySelector('input'));
+      }
+    });
+
+    this.list.addEventListener('change', (e) => {
+      if (e.target.dataset.itemAction === 'toggle') {
+        this.updateItem(this.checklistFor(e.target), e.target.closest('[data-item-id]').dataset.itemId, { done: e.target.checked });
+      }
+    });
+
+    this.list.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-checklist-action], button[data-item-action]');
+      if (!button) return;
+
+      const checklist = this.checklistFor(button);
+      if (!checklist) return;
+
+      if (button.dataset.checklistAction === 'rename') {
+        this.rename(checklist);
+      } else if (button.dataset.checklistAction === 'delete') {
+        this.remove(checklist);
+      } else {
+        const itemId = button.closest('[data-item-id]').dataset.itemId;
+        if (button.dataset.itemAction === 'delete') {
+          this.deleteItem(checklist, itemId);
+        } else {
+          this.moveItem(checklist, itemId, button.dataset.itemAction === 'up' ? -1 : 1);
+        }
+      }
+    });
+  },
+
+  /**
+   * Show a card's checklists (hidden for cards that don't exist yet)
+   * @param {string|null} cardId - Card ID
+   */
+  async open(cardId) {
+    this.cardId = cardId;
+    this.checklists = [];
+    this.form.reset();
+    this.showError(null);
+
+    this.section.classList.toggle('hidden', !cardId);
+    this.form.classList.toggle('hidden', !BoardManager.canEdit());
+    if (!cardId) return;
+
+    this.render();
+    await this.load();
+  },
+
+  close() {
+    this.cardId = null;
+  },
+
+  async load() {
+    const cardId = this.cardId;
+
+    try {
+      const checklists = await checklistsApi.getByCard(cardId);
+      // Ignore a response for a card that has since been closed
+      if (cardId !== this.cardId) return;
+
+      this.checklists = checklists;
+      this.render();
+    } catch (error) {
+      Toast.error('Failed to load checklists');
+      console.error('ChecklistEditor.load failed:', error);
+    }
+  },
+
+  checklistFor(element) {
+    const checklistEl = element.closest('[data-checklist-id]');
+    return checklistEl ? this.checklists.find(c => c.id === checklistEl.dataset.checklistId) : null;
+  },
+
+  // Put a checklist from a response or event in place (or at the end if new)
+  upsert(checklist) {
+    const index = this.checklists.findIndex(c => c.id === checklist.id);
+    if (index !== -1 && this.checklists[index].version > checklist.version) {
+      return;
+    }
+
+    if (index === -1) {
+      this.checklists.push(checklist);
+    } else {
+      this.checklists[index] = checklist;
+    }
+    this.checklists.sort((a, b) => a.position - b.position);
+    this.render();
+  },
+
+  render() {
+    // Keep focus in an item input across re-renders so items can be typed in a row
+    const focused = document.activeElement && this.list.contains(document.activeElement)
+      ? this.checklistFor(document.activeElement)
+      : null;
+
+    this.list.innerHTML = '';
+    const editable = BoardManager.canEdit();
+
+    this.checklists.forEach(checklist => {
+      const done = checklist.items.filter(item => item.done).length;
+      const total = checklist.items.length;
+
+      const checklistEl = document.createElement('div');
+      checklistEl.className = 'checklist';
+      checklistEl.dataset.checklistId = checklist.id;
+      checklistEl.innerHTML = `
+        <div class="checklist-header">
+          <span class="checklist-title"></span>
+          <span class="checklist-count">${done}/${total}</span>
+          <span class="checklist-actions"></span>
+        </div>
+        <div class="checklist-progress">
+          <div class="checklist-progress-bar" style="width: ${total ? Math.round((done / total) * 100) : 0}%"></div>
+        </div>
+        <ul class="checklist-items"></ul>
+      `;
+      checklistEl.querySelector('.checklist-title').textContent = checklist.title;
+
+      if (editable) {
+        checklistEl.querySelector('.checklist-actions').append(
+          this.actionButton('checklist', 'rename', 'Rename'),
+          this.actionButton('checklist', 'delete', 'Delete')
+        );
+      }
+
+      const itemsEl = checklistEl.querySelector('.checklist-items');
+      checklist.items.forEach((item, index) => {
+        const itemEl = document.createElement('li');
+        itemEl.className = `checklist-item${item.done ? ' checklist-item-done' : ''}`;
+        itemEl.dataset.itemId = item.id;
+        itemEl.innerHTML = `
+          <label class="checklist-item-label">
+            <input type="checkbox" data-item-action="toggle"${item.done ? ' checked' : ''}${editable ? '' : ' disabled'}>
+            <span class="checklist-item-text"></span>
+          </label>
+          <span class="checklist-item-actions"></span>
+        `;
+        itemEl.querySelector('.checklist-item-text').textContent = item.text;
+
+        if (editable) {
+          const up = this.actionButton('item', 'up', '↑', 'Move item up');
+          const down = this.actionButton('item', 'down', '↓', 'Move item down');
+          up.disabled = index === 0;
+          down.disabled = index === checklist.items.length - 1;
+          itemEl.querySelector('.checklist-item-actions').append(up, down, this.actionButton('item', 'delete', '×', 'Delete item'));
+        }
+
+        itemsEl.appendChild(itemEl);
+      });
+
+      if (editable) {
+        const itemForm = document.createElement('form');
+        itemForm.className = 'checklist-item-form';
+        itemForm.noValidate = true;
+        itemForm.innerHTML = `
+          <input type="text" class="form-input" placeholder="Add an item">
+          <button type="submit" class="btn btn-secondary">Add</button>
+        `;
+        checklistEl.appendChild(itemForm);
+      }
+
+      this.list.appendChild(checklistEl);
+    });
+
+    if (focused) {
+      const input = this.list.querySelector(`[data-checklist-id="${focused.id}"] .checklist-item-form input`);
+      if (input) {
+        input.focus();
+      }
+    }
+  },
+
+  actionButton(kind, action, text, label) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn-link';
+    button.dataset[`${kind}Action`] = action;
+    button.textContent = text;
+    if (label) {
+      button.setAttribute('aria-label', label);
+      button.title = label;
+    }
+    return button;
+  },
+
+  showError(message) {
+    this.errorEl.textContent = message || '';
+    this.errorEl.classList.toggle('hidden', !message);
+  },
+
+  // Run a checklist change, showing the server's message if it fails
+  async run(action, description) {
+    this.showError(null);
+
+    try {
+      return await action();
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        this.showError(error.message);
+      } else {
+        Toast.error(`Failed to ${description}: ${error.message}`);
+        console.error(`ChecklistEditor failed to ${description}:`, error);
+      }
+      return null;
+    }
+  },
+
+  async create() {
+    const checklist = await this.run(() => checklistsApi.create(this.cardId, this.titleInput.value), 'add checklist');
+    if (checklist) {
+      this.titleInput.value = '';
+      this.upsert(checklist);
+    }
+  },
+
+  async rename(checklist) {
+    const title = await InputModal.show('Rename Checklist', 'Checklist title', checklist.title);
+    if (!title || title === checklist.title) return;
+
+    const updated = await this.run(() => checklistsApi.rename(this.cardId, checklist.id, title), 'rename checklist');
+    if (updated) {
+      this.upsert(updated);
+    }
+  },
+
+  async remove(checklist) {
+    const confirmed = await ConfirmModal.show(
+      'Delete Checklist',
+      `Delete "${checklist.title}" and its ${checklist.items.length} item(s)? This cannot be undone.`
+    );
+    if (!confirmed) return;
+
+    const result = await this.run(() => checklistsApi.delete(this.cardId, checklist.id), 'delete checklist');
+    if (result) {
+      await this.load();
+    }
+  },
+
+  async addItem(checklist, input) {
+    const updated = await this.run(() => checklistsApi.addItem(this.cardId, checklist.id, input.value), 'add item');
+    if (updated) {
+      this.upsert(updated);
+    }
+  },
+
+  async updateItem(checklist, itemId, data) {
+    const updated = await this.run(() => checklistsApi.updateItem(this.cardId, checklist.id, itemId, data), 'update item');
+    // On failure, re-render to put the checkbox back
+    this.upsert(updated || checklist);
+  },
+
+  async moveItem(checklist, itemId, offset) {
+    const itemIds = checklist.items.map(item => item.id);
+    const index = itemIds.indexOf(itemId);
+    const target = index + offset;
+    if (target < 0 || target >= itemIds.length) return;
+
+    itemIds.splice(index, 1);
+    itemIds.splice(target, 0, itemId);
+
+    const updated = await this.run(() => checklistsApi.reorderItems(this.cardId, checklist.id, itemIds), 'reorder items');
+    if (updated) {
+      this.upsert(updated);
+    }
+  },
+
+  async deleteItem(checklist, itemId) {
+    const updated = await this.run(() => checklistsApi.deleteItem(this.cardId, checklist.id, itemId), 'delete item');
+    if (updated) {
+      this.upsert(updated);
+    }
+  },
+
+  applyEvent(event) {
+    if (!this.cardId || !event.type.startsWith('checklist.') || event.data.card_id !== this.cardId) {
+      return;
+    }
+
+    if (event.type === 'checklist.deleted') {
+      // Deleting renumbers the others, so refetch
+      this.load();
+      return;
+    }
+
+    const { progress, ...checklist } = event.data;
+    this.upsert(checklist);
+  }
+};
+
+export default ChecklistEditor;
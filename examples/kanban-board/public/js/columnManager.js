@@ -1,11 +1,49 @@
-import { columnsApi, cardsApi } from './api.js';
+import {
+  boardsApi,
+  columnsApi,
+  cardsApi,
+  membersApi,
+  labelsApi,
+  trashApi,
+  ConflictError,
+  ValidationError,
+  WipLimitError
+} from './api.js';
 import Toast from './toast.js';
 import { InputModal, ConfirmModal, CardModal } from './modal.js';
+import CommandHistory from './commandHistory.js';
+import BoardManager from './boardManager.js';
+import Avatar from './avatar.js';
+import InlineEdit from './inlineEdit.js';
+import BoardStore from './boardStore.js';
+
+// Columns with more cards than this mount only the cards in view
+const VIRTUALIZE_AFTER = 100;
+// How far above and below the visible part of a long column cards stay mounted, in pixels
+const OVERSCAN = 600;
+// Height assumed for a card that hasn't been mounted yet, gap included
+const ESTIMATED_CARD_HEIGHT = 80;
+// The gap between cards and the padding above them in .column-cards
+const CARD_GAP = 8;
+const LIST_PADDING = 12;
 
 const ColumnManager = {
   container: null,
   currentBoardId: null,
-  columns: [],
+  members: [],
+  labels: [],
+  renderPending: false,
+  cardFilter: null,
+  // Elements from the last render, with the markup they were built from
+  renderedCards: new Map(),
+  renderedColumns: new Map(),
+  // Card ID -> measured height (gap included) and column ID -> pending frame, for long columns
+  cardHeights: new Map(),
+  windowFrames: new Map(),
+  // Cards picked with Ctrl/Cmd-click or Shift-click for bulk actions
+  selectedCardIds: new Set(),
+  selectionAnchor: null,
+  onSelectionChange: null,
 
   init(container) {
     this.container = container;
@@ -20,85 +58,501 @@ const ColumnManager = {
         this.deleteColumn(columnId);
       }
 
+      // Handle WIP limit button
+      if (e.target.classList.contains('column-wip-btn')) {
+        const columnId = e.target.dataset.columnId;
+        this.setWipLimit(columnId);
+      }
+
       // Handle add card button
       if (e.target.classList.contains('column-add-card-btn')) {
         const columnId = e.target.dataset.columnId;
         this.createCard(columnId);
       }
 
-      // Handle card click
-      if (e.target.closest('.card')) {
+      // Handle card click (viewers can't edit); Ctrl/Cmd-click and Shift-click select instead
+      if (e.target.closest('.card') && BoardManager.canEdit()) {
         const card = e.target.closest('.card');
         const cardId = card.dataset.cardId;
-        this.editCard(cardId);
+        if (e.ctrlKey || e.metaKey) {
+          this.toggleCardSelection(cardId);
+        } else if (e.shiftKey) {
+          this.selectCardRange(cardId);
+        } else {
+          this.clearSelection();
+          this.editCard(cardId);
+        }
+      }
+    });
+
+    // Double-clicking a column title (or Enter/F2 on it) renames it in place
+    this.container.addEventListener('dblclick', (e) => {
+      const titleEl = e.target.closest('.column-title');
+      if (titleEl && BoardManager.canEdit() && !InlineEdit.isEditing(titleEl)) {
+        this.renameColumn(titleEl.closest('.column').dataset.columnId, titleEl);
+      }
+    });
+
+    // Long columns mount more cards as they scroll (scroll doesn't bubble, so listen in capture)
+    this.container.addEventListener('scroll', (e) => {
+      if (e.target.classList && e.target.classList.contains('column-cards')) {
+        this.scheduleWindowUpdate(e.target.dataset.columnId);
+      }
+    }, true);
+
+    this.container.addEventListener('keydown', (e) => {
+      const titleEl = e.target;
+      if ((e.key === 'Enter' || e.key === 'F2') && titleEl.classList.contains('column-title') &&
+          BoardManager.canEdit() && !InlineEdit.isEditing(titleEl)) {
+        e.preventDefault();
+        this.renameColumn(titleEl.closest('.column').dataset.columnId, titleEl);
       }
     });
   },
 
+  /**
+   * Load a board in one request (columns with their cards nested), plus the
+   * members and labels its card tiles show, and render it
+   * @param {string} boardId - Board ID
+   */
   async loadColumns(boardId) {
     try {
+      if (boardId !== this.currentBoardId) {
+        this.cardHeights.clear();
+      }
       this.currentBoardId = boardId;
 
-      // Fetch columns
-      const columns = await columnsApi.getByBoard(boardId);
-
-      // Fetch cards for each column
-      this.columns = await Promise.all(
-        columns.map(async (column) => {
-          const cards = await cardsApi.getByColumn(column.id);
-          return { ...column, cards };
-        })
-      );
+      const [board, members, labels] = await Promise.all([
+        boardsApi.getById(boardId),
+        membersApi.getByBoard(boardId),
+        labelsApi.getByBoard(boardId)
+      ]);
+      this.members = members;
+      this.labels = labels;
+      BoardStore.load(board);
 
       this.renderColumns();
-
-      // Show/hide empty state
-      const emptyState = document.getElementById('empty-state');
-      if (this.columns.length === 0) {
-        emptyState.classList.remove('hidden');
-      } else {
-        emptyState.classList.add('hidden');
-      }
+      this.updateEmptyState();
     } catch (error) {
       Toast.error('Failed to load columns');
       console.error('loadColumns failed:', error);
     }
   },
 
+  updateEmptyState() {
+    // Show/hide empty state
+    const emptyState = document.getElementById('empty-state');
+    if (BoardStore.getColumnIds().length === 0) {
+      emptyState.classList.remove('hidden');
+    } else {
+      emptyState.classList.add('hidden');
+    }
+  },
+
+  /**
+   * Bring the DOM in line with the store. Columns and cards are keyed by ID
+   * and rebuilt only when their markup changes; the rest are moved into
+   * place, so scroll positions and focus survive. Long columns mount only
+   * the cards in view (see patchCardList).
+   */
   renderColumns() {
-    this.container.innerHTML = '';
-
-    this.columns.forEach((column) => {
-      const columnEl = document.createElement('div');
-      columnEl.className = 'column';
-      columnEl.dataset.columnId = column.id;
-
-      const cardsHtml = column.cards.map(card => this.renderCard(card)).join('');
-
-      columnEl.innerHTML = `
-        <div class="column-header">
-          <div>
-            <span class="column-title">${this.escapeHtml(column.title)}</span>
-            <span class="column-card-count">(${column.cards.length})</span>
-          </div>
-          <div class="column-actions">
-            <button class="btn btn-icon column-delete-btn" data-column-id="${column.id}">🗑️</button>
-          </div>
+    // Moving the focused element blurs it, so find it again afterwards
+    const focusedSelector = this.focusedSelector();
+
+    // Forget selected cards that have left the board
+    const selectionSize = this.selectedCardIds.size;
+    this.selectedCardIds.forEach(cardId => {
+      if (!BoardStore.getCard(cardId)) {
+        this.selectedCardIds.delete(cardId);
+      }
+    });
+
+    // Viewers get the board without drag handles or edit buttons
+    const editable = BoardManager.canEdit();
+    const columnIds = BoardStore.getColumnIds();
+
+    const views = columnIds.map(columnId => this.patchColumn(BoardStore.getColumn(columnId), editable));
+    this.patchChildren(this.container, views.map(view => view.element));
+
+    // Lists are filled once in the page, where long ones can measure what is in view
+    columnIds.forEach((columnId, i) => this.patchCardList(columnId, views[i], editable));
+
+    // Drop what was removed so a column that comes back is built fresh
+    this.renderedColumns.forEach((view, columnId) => {
+      if (!columnIds.includes(columnId)) this.renderedColumns.delete(columnId);
+    });
+    this.forgetUnmountedCards();
+
+    const focused = focusedSelector && this.container.querySelector(focusedSelector);
+    if (focused && focused !== document.activeElement) {
+      focused.focus();
+    }
+
+    if (this.selectedCardIds.size !== selectionSize) {
+      this.notifySelection();
+    }
+  },
+
+  /**
+   * Get a column's element, updating the parts whose markup changed. Its
+   * card list stays the same element, keeping the list's scroll position.
+   * @param {Column} column
+   * @param {boolean} editable
+   * @returns {{ element: HTMLElement, list: HTMLElement, spacers: HTMLElement[], virtual: boolean }}
+   */
+  patchColumn(column, editable) {
+    const cards = BoardStore.getCards(column.id);
+    const cardCount = this.cardFilter
+      ? `${cards.filter(card => this.cardFilter.has(card.id)).length}/${cards.length}`
+      : cards.length;
+    const title = this.escapeAttribute(column.title);
+
+    const headerHtml = `
+      <div class="column-header" draggable="${editable}">
+        <div>
+          <span class="column-title"${editable ? ' tabindex="0" title="Double-click or press Enter to rename"' : ''}>${this.escapeHtml(column.title)}</span>
+          <span class="column-card-count">(${cardCount})</span>
+          ${column.wip_limit ? `<span class="column-wip-limit" title="Work-in-progress limit">max ${column.wip_limit}</span>` : ''}
         </div>
-        <div class="column-cards" data-column-id="${column.id}">
-          ${cardsHtml}
+        <div class="column-actions">
+          ${editable ? `<button class="btn btn-icon column-wip-btn" data-column-id="${column.id}" title="Set WIP limit" aria-label="Set WIP limit for ${title}">🚦</button>` : ''}
+          ${editable ? `<button class="btn btn-icon column-delete-btn" data-column-id="${column.id}" title="Delete column" aria-label="Delete column ${title}">🗑️</button>` : ''}
         </div>
-        <button class="btn btn-secondary column-add-card-btn" data-column-id="${column.id}">+ Add Card</button>
-      `;
+      </div>`;
+    const footerHtml = editable
+      ? `<button class="btn btn-secondary column-add-card-btn" data-column-id="${column.id}" aria-label="Add a card to ${title}">+ Add Card</button>`
+      : '';
+
+    let view = this.renderedColumns.get(column.id);
+    if (!view) {
+      const element = document.createElement('div');
+      element.className = 'column';
+      element.dataset.columnId = column.id;
+      element.innerHTML = `${headerHtml}<div class="column-cards" data-column-id="${column.id}" role="list"></div>${footerHtml}`;
+
+      view = { element, list: element.querySelector('.column-cards'), spacers: [], virtual: false, headerHtml, footerHtml };
+      this.renderedColumns.set(column.id, view);
+    }
+
+    if (view.headerHtml !== headerHtml) {
+      view.element.querySelector('.column-header').replaceWith(this.createElement(headerHtml));
+      view.headerHtml = headerHtml;
+    }
+    if (view.footerHtml !== footerHtml) {
+      const footer = view.element.querySelector('.column-add-card-btn');
+      if (footer) footer.remove();
+      if (footerHtml) view.element.appendChild(this.createElement(footerHtml));
+      view.footerHtml = footerHtml;
+    }
+
+    view.list.setAttribute('aria-label', `${column.title} cards`);
+
+    // Highlight a column that is full, and more strongly one that is over
+    const overLimit = column.wip_limit && cards.length > column.wip_limit;
+    const atLimit = column.wip_limit && cards.length === column.wip_limit;
+    view.element.classList.toggle('column-over-limit', Boolean(overLimit));
+    view.element.classList.toggle('column-at-limit', Boolean(atLimit));
+
+    return view;
+  },
+
+  /**
+   * Patch a column's cards into its list. A column with more than
+   * VIRTUALIZE_AFTER cards mounts only those within OVERSCAN pixels of the
+   * visible part of the list, plus any being dragged or holding focus;
+   * spacers stand in for the rest at their measured (or estimated) heights,
+   * so the scrollbar and drop positions match the whole column.
+   * @param {string} columnId
+   * @param {{ list: HTMLElement, spacers: HTMLElement[], virtual: boolean }} view - From patchColumn
+   * @param {boolean} editable
+   */
+  patchCardList(columnId, view, editable) {
+    const { list } = view;
+    const order = this.renderOrder(columnId, list);
+    const virtual = order.length > VIRTUALIZE_AFTER;
+    const pinned = virtual ? this.pinnedCardIds(list) : null;
+
+    // A list that isn't laid out yet (e.g. behind the trash view) assumes a window's height
+    const top = list.scrollTop - OVERSCAN;
+    const bottom = list.scrollTop + (list.clientHeight || window.innerHeight) + OVERSCAN;
+    const elements = [];
+    const mounted = [];
+    let offset = LIST_PADDING;
+    let skipped = 0;
+
+    order.forEach(cardId => {
+      const height = virtual ? this.cardHeight(cardId) : 0;
+
+      if (!virtual || pinned.has(cardId) || (offset + height >= top && offset <= bottom)) {
+        if (skipped > 0) {
+          elements.push(this.spacer(view, elements.length, skipped));
+          skipped = 0;
+        }
+        elements.push(this.patchCard(BoardStore.getCard(cardId), editable));
+        mounted.push(cardId);
+      } else {
+        skipped += height;
+      }
+      offset += height;
+    });
+    if (skipped > 0) {
+      elements.push(this.spacer(view, elements.length, skipped));
+    }
+
+    this.patchChildren(list, elements);
+
+    if (virtual) {
+      // Only part of the list is in the DOM, so say where each card sits in all of it
+      const visibleIds = order.filter(cardId => this.cardHeight(cardId) > 0);
+      mounted.forEach(cardId => {
+        const { element } = this.renderedCards.get(cardId);
+        element.setAttribute('aria-posinset', visibleIds.indexOf(cardId) + 1);
+        element.setAttribute('aria-setsize', visibleIds.length);
+        if (element.offsetHeight > 0) {
+          this.cardHeights.set(cardId, element.offsetHeight + CARD_GAP);
+        }
+      });
+    } else if (view.virtual) {
+      mounted.forEach(cardId => {
+        const { element } = this.renderedCards.get(cardId);
+        element.removeAttribute('aria-posinset');
+        element.removeAttribute('aria-setsize');
+      });
+    }
+    view.virtual = virtual;
+  },
+
+  /**
+   * Get a column's cards in the order to show them: the store's order,
+   * except that a card being moved with the keyboard stays where it has
+   * been put, even in another column, until it is dropped
+   * @param {string} columnId
+   * @param {HTMLElement} list - The column's .column-cards
+   * @returns {string[]}
+   */
+  renderOrder(columnId, list) {
+    const order = BoardStore.getCardIds(columnId);
+    const held = this.container.querySelector('.card-held');
+    if (!held) return order;
+
+    const heldId = held.dataset.cardId;
+    const others = order.filter(cardId => cardId !== heldId);
+    if (held.parentElement === list) {
+      others.splice(this.positionOf(held), 0, heldId);
+    }
+    return others;
+  },
+
+  /**
+   * Get where a card element sits among the other cards of the list it is
+   * in, counting the cards a long column hasn't mounted. Keyboard moves
+   * place the element first and save from here.
+   * @param {HTMLElement} cardEl
+   * @returns {number}
+   */
+  positionOf(cardEl) {
+    const list = cardEl.closest('.column-cards');
+    const others = BoardStore.getCardIds(list.dataset.columnId).filter(cardId => cardId !== cardEl.dataset.cardId);
+
+    const previous = this.siblingCard(cardEl, 'previousElementSibling');
+    if (previous) {
+      return others.indexOf(previous.dataset.cardId) + 1;
+    }
+    const next = this.siblingCard(cardEl, 'nextElementSibling');
+    return next ? Math.max(others.indexOf(next.dataset.cardId), 0) : 0;
+  },
+
+  // Nearest card element before or after this one, skipping spacers and drop indicators
+  siblingCard(cardEl, direction) {
+    let sibling = cardEl[direction];
+    while (sibling && !sibling.classList.contains('card')) {
+      sibling = sibling[direction];
+    }
+    return sibling;
+  },
+
+  // Cards a long column keeps mounted wherever they are: dragged ones and the focused one
+  pinnedCardIds(list) {
+    const pinned = new Set(Array.from(list.querySelectorAll('.card.dragging')).map(card => card.dataset.cardId));
+    const focused = document.activeElement && list.contains(document.activeElement)
+      ? document.activeElement.closest('.card')
+      : null;
+    if (focused) {
+      pinned.add(focused.dataset.cardId);
+    }
+    return pinned;
+  },
+
+  /**
+   * Height a card takes in its list, gap included: measured once it has been
+   * mounted, estimated before then, and nothing while the filter bar hides it
+   * @param {string} cardId
+   * @returns {number}
+   */
+  cardHeight(cardId) {
+    if (this.cardFilter && !this.cardFilter.has(cardId)) {
+      return 0;
+    }
+    return this.cardHeights.get(cardId) || ESTIMATED_CARD_HEIGHT;
+  },
+
+  /**
+   * Get a spacer standing in for unmounted cards, reusing the list's spacer elements
+   * @param {{ spacers: HTMLElement[] }} view
+   * @param {number} index - Where it goes among the list's elements (spacers are reused by this)
+   * @param {number} height - Height of the cards it replaces, gaps included
+   * @returns {HTMLElement}
+   */
+  spacer(view, index, height) {
+    let spacer = view.spacers[index];
+    if (!spacer) {
+      spacer = document.createElement('div');
+      spacer.className = 'card-spacer';
+      spacer.setAttribute('aria-hidden', 'true');
+      view.spacers[index] = spacer;
+    }
+
+    // The spacer gets a gap of its own, like any item in the list
+    spacer.style.height = `${Math.max(height - CARD_GAP, 0)}px`;
+    return spacer;
+  },
+
+  /**
+   * Mount the cards that have scrolled into view in a long column, once per frame
+   * @param {string} columnId
+   */
+  scheduleWindowUpdate(columnId) {
+    if (this.windowFrames.has(columnId) || BoardStore.getCardIds(columnId).length <= VIRTUALIZE_AFTER) {
+      return;
+    }
+
+    this.windowFrames.set(columnId, requestAnimationFrame(() => {
+      this.windowFrames.delete(columnId);
+
+      const view = this.renderedColumns.get(columnId);
+      if (view && view.list.isConnected) {
+        this.patchCardList(columnId, view, BoardManager.canEdit());
+        this.forgetUnmountedCards();
+      }
+    }));
+  },
+
+  /**
+   * Scroll a long column until a card is mounted, and get its element
+   * @param {string} cardId
+   * @returns {HTMLElement|null}
+   */
+  revealCard(cardId) {
+    const card = BoardStore.getCard(cardId);
+    const view = card ? this.renderedColumns.get(card.column_id) : null;
+    if (!view) return null;
+
+    const selector = `.card[data-card-id="${cardId}"]`;
+    if (!view.list.querySelector(selector)) {
+      const order = this.renderOrder(card.column_id, view.list);
+      const before = order.slice(0, order.indexOf(cardId));
+      view.list.scrollTop = before.reduce((top, id) => top + this.cardHeight(id), 0);
+      this.patchCardList(card.column_id, view, BoardManager.canEdit());
+      this.forgetUnmountedCards();
+    }
+    return view.list.querySelector(selector);
+  },
 
-      this.container.appendChild(columnEl);
+  // Let go of cards no longer in the DOM, so they are built fresh when they come back
+  forgetUnmountedCards() {
+    this.renderedCards.forEach((view, cardId) => {
+      if (!view.element.isConnected) this.renderedCards.delete(cardId);
     });
   },
 
-  renderCard(card) {
-    const labelsHtml = card.labels && card.labels.length > 0
+  /**
+   * Get a card's element, rebuilding it only if its markup changed
+   * @param {Card} card
+   * @param {boolean} editable
+   * @returns {HTMLElement}
+   */
+  patchCard(card, editable) {
+    const html = this.renderCard(card, editable);
+    const view = this.renderedCards.get(card.id);
+    if (view && view.html === html) {
+      return view.element;
+    }
+
+    const element = this.createElement(html);
+    if (view) {
+      view.element.replaceWith(element);
+    }
+    this.renderedCards.set(card.id, { html, element });
+    return element;
+  },
+
+  /**
+   * Make a parent's children exactly these elements, in order, moving only
+   * the ones that are out of place
+   * @param {HTMLElement} parent
+   * @param {HTMLElement[]} elements
+   */
+  patchChildren(parent, elements) {
+    elements.forEach((element, i) => {
+      let current = parent.children[i];
+
+      // Moving the focused element would blur it, so move the others around it
+      if (element.parentNode === parent && element.contains(document.activeElement)) {
+        while (current !== element) {
+          if (elements.includes(current)) {
+            parent.appendChild(current);
+          } else {
+            current.remove();
+          }
+          current = parent.children[i];
+        }
+        return;
+      }
+
+      if (current !== element) {
+        parent.insertBefore(element, current || null);
+      }
+    });
+
+    // Whatever is left over (removed cards, stray drop indicators) goes
+    while (parent.children.length > elements.length) {
+      parent.lastElementChild.remove();
+    }
+  },
+
+  createElement(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html.trim();
+    return template.content.firstElementChild;
+  },
+
+  /**
+   * Get a selector for the focused card or column title, to find it again after a render
+   * @returns {string|null}
+   */
+  focusedSelector() {
+    const focused = document.activeElement;
+    if (!focused || !this.container.contains(focused)) {
+      return null;
+    }
+
+    const card = focused.closest('.card');
+    if (card) {
+      return `.card[data-card-id="${card.dataset.cardId}"]`;
+    }
+    if (focused.classList.contains('column-title')) {
+      return `.column[data-column-id="${focused.closest('.column').dataset.columnId}"] .column-title`;
+    }
+    return null;
+  },
+
+  renderCard(card, editable = true) {
+    const labels = (card.labels || [])
+      .map(labelId => this.labels.find(label => label.id === labelId))
+      .filter(Boolean);
+    const labelsHtml = labels.length > 0
       ? `<div class="card-labels">
-          ${card.labels.map(color => `<span class="card-label card-label-${color}"></span>`).join('')}
+          ${labels.map(label => `<span class="card-label card-label-${label.color}">${this.escapeHtml(label.name)}</span>`).join('')}
         </div>`
       : '';
 
@@ -124,11 +578,34 @@ const ColumnManager = {
       dueDateHtml = `<div class="${classes.join(' ')}">📅 ${formattedDate}</div>`;
     }
 
+    // Cards hidden by the filter bar stay in the DOM so drop positions still count them
+    const hiddenClass = this.cardFilter && !this.cardFilter.has(card.id) ? ' hidden' : '';
+    const selectedClass = this.selectedCardIds.has(card.id) ? ' card-selected' : '';
+
+    const assignees = (card.assignees || [])
+      .map(userId => this.members.find(member => member.user_id === userId))
+      .filter(Boolean);
+    const assigneesHtml = assignees.length > 0
+      ? `<div class="card-assignees">${assignees.map(member => Avatar.create(member).outerHTML).join('')}</div>`
+      : '';
+
+    const commentCountHtml = card.comment_count > 0
+      ? `<div class="card-comment-count" title="${card.comment_count} comment(s)">💬 ${card.comment_count}</div>`
+      : '';
+
+    const progress = card.checklist_progress;
+    const checklistHtml = progress && progress.total > 0
+      ? `<div class="card-checklist-progress${progress.done === progress.total ? ' card-checklist-complete' : ''}" title="Checklist items done">☑ ${progress.done}/${progress.total}</div>`
+      : '';
+
     return `
-      <div class="card" data-card-id="${card.id}" draggable="true">
+      <div class="card${hiddenClass}${selectedClass}" data-card-id="${card.id}" draggable="${editable}" tabindex="0" role="listitem"${editable ? ' aria-describedby="card-keyboard-help"' : ''}>
         <div class="card-title">${this.escapeHtml(card.title)}</div>
         ${labelsHtml}
         ${dueDateHtml}
+        ${checklistHtml}
+        ${commentCountHtml}
+        ${assigneesHtml}
       </div>
     `;
   },
@@ -144,6 +621,11 @@ const ColumnManager = {
     return div.innerHTML;
   },
 
+  // escapeHtml leaves quotes alone, which attribute values need escaped too
+  escapeAttribute(text) {
+    return this.escapeHtml(text).replace(/"/g, '&quot;');
+  },
+
   async createColumn(boardId) {
     try {
       const title = await InputModal.show('New Column', 'Enter column title');
@@ -157,32 +639,151 @@ const ColumnManager = {
         return;
       }
 
-      const position = this.columns.length;
+      const position = BoardStore.getColumnIds().length;
+
+      const column = await columnsApi.create(boardId, title, position);
+      CommandHistory.record({
+        label: 'Create column',
+        undo: async () => {
+          await columnsApi.delete(CommandHistory.resolveId(column.id));
+        },
+        redo: async () => {
+          const recreated = await columnsApi.create(boardId, title, position);
+          CommandHistory.aliasId(CommandHistory.resolveId(column.id), recreated.id);
+        }
+      });
 
-      await columnsApi.create(boardId, title, position);
       Toast.success('Column created');
-      await this.loadColumns(boardId);
+      BoardStore.setColumn(column);
+      this.renderColumns();
+      this.updateEmptyState();
     } catch (error) {
-      Toast.error('Failed to create column');
+      Toast.error(error instanceof ValidationError ? error.message : 'Failed to create column');
       console.error('createColumn failed:', error);
     }
   },
 
+  async renameColumn(columnId, titleEl) {
+    const column = BoardStore.getColumn(columnId);
+    if (!column) return;
+
+    // Text can't be selected inside a draggable header
+    const header = titleEl.closest('.column-header');
+    header.draggable = false;
+    const title = await InlineEdit.edit(titleEl, { label: 'Column title', maxLength: 100 });
+    header.draggable = true;
+
+    if (title === null) {
+      this.flushPendingRender();
+      return;
+    }
+
+    // Show the new title right away; put the old one back if the save fails
+    const previousTitle = column.title;
+    BoardStore.setColumn({ id: columnId, title });
+    this.renderPending = false;
+    this.renderColumns();
+
+    try {
+      const updated = await columnsApi.update(columnId, { title }, column.version);
+      BoardStore.setColumn(updated);
+
+      CommandHistory.record({
+        label: 'Rename column',
+        undo: () => this.updateColumnLatest(columnId, { title: previousTitle }),
+        redo: () => this.updateColumnLatest(columnId, { title })
+      });
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        BoardStore.setColumn(error.current);
+        Toast.error('Someone else changed this column; your rename was not saved');
+      } else {
+        BoardStore.setColumn({ id: columnId, title: previousTitle });
+        Toast.error(error instanceof ValidationError ? error.message : 'Failed to rename column');
+        console.error('renameColumn failed:', error);
+      }
+      this.scheduleRender();
+    }
+  },
+
+  async setWipLimit(columnId) {
+    try {
+      const column = BoardStore.getColumn(columnId);
+      if (!column) return;
+
+      const input = await InputModal.show(
+        `WIP Limit for "${column.title}"`,
+        'Maximum cards (leave empty for no limit)',
+        column.wip_limit ? String(column.wip_limit) : ''
+      );
+
+      // InputModal gives null for both cancel and an empty value; only a
+      // column that has a limit can be cleared that way
+      if (input === null && !column.wip_limit) {
+        return;
+      }
+
+      const wipLimit = input === null ? null : Number(input);
+      if (wipLimit !== null && (!Number.isInteger(wipLimit) || wipLimit < 1)) {
+        Toast.error('WIP limit must be a whole number of at least 1');
+        return;
+      }
+
+      if (wipLimit === column.wip_limit) return;
+
+      const previousLimit = column.wip_limit || null;
+      const updated = await columnsApi.update(columnId, { wip_limit: wipLimit }, column.version);
+
+      CommandHistory.record({
+        label: 'Set WIP limit',
+        undo: () => this.updateColumnLatest(columnId, { wip_limit: previousLimit }),
+        redo: () => this.updateColumnLatest(columnId, { wip_limit: wipLimit })
+      });
+
+      Toast.success(wipLimit ? `WIP limit set to ${wipLimit}` : 'WIP limit removed');
+      BoardStore.setColumn(updated);
+      this.renderColumns();
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        Toast.error('Someone else changed this column; try again');
+        BoardStore.setColumn(error.current);
+        this.renderColumns();
+        return;
+      }
+      Toast.error(error instanceof ValidationError ? error.message : 'Failed to set WIP limit');
+      console.error('setWipLimit failed:', error);
+    }
+  },
+
   async deleteColumn(columnId) {
     try {
-      const column = this.columns.find(col => col.id === columnId);
+      const column = BoardStore.getColumn(columnId);
       if (!column) return;
 
       const confirmed = await ConfirmModal.show(
         'Delete Column',
-        `Delete "${column.title}" and all its cards?`
+        `Move "${column.title}" and all its cards to the trash?`
       );
 
       if (!confirmed) return;
 
       await columnsApi.delete(columnId);
-      Toast.success('Column deleted');
-      await this.loadColumns(this.currentBoardId);
+      const command = CommandHistory.record({
+        label: 'Delete column',
+        undo: async () => {
+          await trashApi.restore('column', CommandHistory.resolveId(column.id));
+        },
+        redo: async () => {
+          await columnsApi.delete(CommandHistory.resolveId(column.id));
+        }
+      });
+
+      Toast.success('Column moved to trash', {
+        action: { label: 'Undo', onClick: () => CommandHistory.undo(command) }
+      });
+      BoardStore.removeColumn(columnId);
+      this.renderColumns();
+      this.updateEmptyState();
     } catch (error) {
       Toast.error('Failed to delete column');
       console.error('deleteColumn failed:', error);
@@ -191,26 +792,61 @@ const ColumnManager = {
 
   async createCard(columnId) {
     try {
-      const result = await CardModal.show();
+      let draft = null;
+      let errors = null;
+      let card;
+      let cardData;
 
-      if (result === null) {
-        return; // User cancelled
-      }
+      while (true) {
+        const result = await CardModal.show(draft, { errors, members: this.members, labels: this.labels });
 
-      const column = this.columns.find(col => col.id === columnId);
-      const position = column ? column.cards.length : 0;
+        if (result === null) {
+          return; // User cancelled
+        }
 
-      const cardData = {
-        title: result.title,
-        description: result.description,
-        labels: result.labels,
-        due_date: result.due_date,
-        position
-      };
+        const position = BoardStore.getCardIds(columnId).length;
+
+        cardData = {
+          title: result.title,
+          description: result.description,
+          labels: result.labels,
+          due_date: result.due_date,
+          assignees: result.assignees,
+          position
+        };
+
+        try {
+          card = await this.withWipOverride(override =>
+            cardsApi.create(columnId, override ? { ...cardData, override_wip_limit: true } : cardData)
+          );
+          if (!card) return; // Declined to go over the WIP limit
+          break;
+        } catch (error) {
+          if (!(error instanceof ValidationError)) {
+            throw error;
+          }
+
+          // Reopen with what was typed and the server's field errors
+          draft = result;
+          errors = error.fields;
+        }
+      }
+
+      CommandHistory.record({
+        label: 'Create card',
+        undo: async () => {
+          await cardsApi.delete(CommandHistory.resolveId(card.id));
+        },
+        redo: async () => {
+          // Replays a create that already happened, so don't re-ask about the WIP limit
+          const recreated = await cardsApi.create(CommandHistory.resolveId(columnId), { ...cardData, override_wip_limit: true });
+          CommandHistory.aliasId(CommandHistory.resolveId(card.id), recreated.id);
+        }
+      });
 
-      await cardsApi.create(columnId, cardData);
       Toast.success('Card created');
-      await this.loadColumns(this.currentBoardId);
+      BoardStore.setCard(card);
+      this.renderColumns();
     } catch (error) {
       Toast.error('Failed to create card');
       console.error('createCard failed:', error);
@@ -220,35 +856,85 @@ const ColumnManager = {
   async editCard(cardId) {
     try {
       // Find card in columns data
-      let card = null;
-      for (const column of this.columns) {
-        card = column.cards.find(c => c.id === cardId);
-        if (card) break;
-      }
+      const card = this.findCard(cardId);
 
       if (!card) return;
 
-      const result = await CardModal.show(card);
+      // Version the edit is based on; replaced by the server copy after a conflict
+      let base = card;
+      let draft = card;
+      let conflict = null;
+      let errors = null;
+      let updated;
 
-      if (result === null) {
-        return; // User cancelled
-      }
+      while (true) {
+        const result = await CardModal.show(draft, { conflict, errors, members: this.members, labels: this.labels });
 
-      if (result.delete === true) {
-        await this.deleteCard(cardId);
-        return;
+        if (result === null) {
+          return; // User cancelled
+        }
+
+        if (result.delete === true) {
+          await this.deleteCard(cardId);
+          return;
+        }
+
+        const updateData = {
+          title: result.title,
+          description: result.description,
+          labels: result.labels,
+          due_date: result.due_date,
+          assignees: result.assignees
+        };
+
+        try {
+          updated = await cardsApi.update(cardId, updateData, base.version);
+          draft = updateData;
+          break;
+        } catch (error) {
+          if (error instanceof ValidationError) {
+            // Reopen with our edits and the server's field errors
+            draft = { ...draft, ...updateData };
+            conflict = null;
+            errors = error.fields;
+            continue;
+          }
+
+          if (!(error instanceof ConflictError)) {
+            throw error;
+          }
+
+          // Someone else saved first: reopen with our edits and their copy
+          base = error.current;
+          conflict = error.current;
+          draft = { ...error.current, ...updateData };
+          errors = null;
+        }
       }
 
-      const updateData = {
-        title: result.title,
-        description: result.description,
-        labels: result.labels,
-        due_date: result.due_date
+      const previousData = {
+        title: base.title,
+        description: base.description,
+        labels: base.labels,
+        due_date: base.due_date,
+        assignees: base.assignees || []
+      };
+      const updatedData = {
+        title: draft.title,
+        description: draft.description,
+        labels: draft.labels,
+        due_date: draft.due_date,
+        assignees: draft.assignees
       };
+      CommandHistory.record({
+        label: 'Edit card',
+        undo: () => this.updateCardLatest(cardId, previousData),
+        redo: () => this.updateCardLatest(cardId, updatedData)
+      });
 
-      await cardsApi.update(cardId, updateData);
       Toast.success('Card updated');
-      await this.loadColumns(this.currentBoardId);
+      BoardStore.setCard(updated);
+      this.renderColumns();
     } catch (error) {
       Toast.error('Failed to update card');
       console.error('editCard failed:', error);
@@ -257,9 +943,27 @@ const ColumnManager = {
 
   async deleteCard(cardId) {
     try {
+      const card = this.findCard(cardId);
+
       await cardsApi.delete(cardId);
-      Toast.success('Card deleted');
-      await this.loadColumns(this.currentBoardId);
+
+      const options = {};
+      if (card) {
+        const command = CommandHistory.record({
+          label: 'Delete card',
+          undo: async () => {
+            await trashApi.restore('card', CommandHistory.resolveId(card.id));
+          },
+          redo: async () => {
+            await cardsApi.delete(CommandHistory.resolveId(card.id));
+          }
+        });
+        options.action = { label: 'Undo', onClick: () => CommandHistory.undo(command) };
+      }
+
+      Toast.success('Card moved to trash', options);
+      BoardStore.removeCard(cardId);
+      this.renderColumns();
     } catch (error) {
       Toast.error('Failed to delete card');
       console.error('deleteCard failed:', error);
@@ -267,29 +971,546 @@ const ColumnManager = {
   },
 
   async moveCard(cardId, targetColumnId, position) {
+    const moveData = {
+      column_id: targetColumnId,
+      position
+    };
+
     try {
-      await cardsApi.update(cardId, {
-        column_id: targetColumnId,
-        position
-      });
-      await this.loadColumns(this.currentBoardId);
+      const card = this.findCard(cardId);
+
+      const moved = await this.withWipOverride(override => this.sendMove(cardId, moveData, override));
+
+      if (moved && card) {
+        const previousData = { column_id: card.column_id, position: card.position };
+        CommandHistory.record({
+          label: 'Move card',
+          undo: () => this.sendMove(cardId, previousData, true),
+          redo: () => this.sendMove(cardId, moveData, true)
+        });
+      }
+
+      // A declined move still renders, putting back a card the keyboard moved
+      if (moved) {
+        BoardStore.insertCards([moved], position);
+      }
+      this.renderColumns();
     } catch (error) {
       Toast.error('Failed to move card');
       console.error('moveCard failed:', error);
     }
   },
 
+  async reorderColumns(columnIds) {
+    const boardId = this.currentBoardId;
+    const previousIds = BoardStore.getColumnIds().slice();
+
+    try {
+      // Show the new order right away; the server renumbers every column
+      BoardStore.setColumnOrder(columnIds);
+      this.renderColumns();
+
+      await columnsApi.reorderColumns(boardId, columnIds);
+
+      const reorder = (ids) => columnsApi.reorderColumns(
+        boardId,
+        ids.map(id => CommandHistory.resolveId(id))
+      );
+      CommandHistory.record({
+        label: 'Reorder columns',
+        undo: () => reorder(previousIds),
+        redo: () => reorder(columnIds)
+      });
+    } catch (error) {
+      Toast.error('Failed to reorder columns');
+      console.error('reorderColumns failed:', error);
+      await this.loadColumns(boardId);
+    }
+  },
+
   async reorderCards(columnId, cardIds) {
+    const previousIds = BoardStore.getCardIds(columnId).slice();
+
     try {
+      // Show the new order right away, as for columns
+      BoardStore.setCardOrder(columnId, cardIds);
+      this.renderColumns();
+
       await columnsApi.reorder(columnId, cardIds);
+
+      const reorder = (ids) => columnsApi.reorder(
+        CommandHistory.resolveId(columnId),
+        ids.map(id => CommandHistory.resolveId(id))
+      );
+      CommandHistory.record({
+        label: 'Reorder cards',
+        undo: () => reorder(previousIds),
+        redo: () => reorder(cardIds)
+      });
     } catch (error) {
       Toast.error('Failed to reorder cards');
       console.error('reorderCards failed:', error);
+      await this.loadColumns(this.currentBoardId);
+    }
+  },
+
+  /**
+   * Move several cards into a column together (a dragged selection, or the bulk action bar)
+   * @param {string[]} cardIds - Cards in the order they should end up
+   * @param {string} targetColumnId - Column to move them to
+   * @param {number} [position] - Index among the column's other cards; appended if omitted
+   */
+  async moveCards(cardIds, targetColumnId, position) {
+    const moveData = { column_id: targetColumnId, position };
+
+    try {
+      const previousPlaces = cardIds
+        .map(cardId => this.findCard(cardId))
+        .filter(Boolean)
+        .map(card => ({ id: card.id, column_id: card.column_id, position: card.position }));
+
+      const moved = await this.withWipOverride(
+        override => this.sendBulk(cardIds, 'move', override ? { ...moveData, override_wip_limit: true } : moveData),
+        `Move the ${cardIds.length} cards anyway?`
+      );
+
+      if (moved) {
+        CommandHistory.record({
+          label: 'Move cards',
+          undo: () => this.restorePlaces(previousPlaces),
+          redo: () => this.sendBulk(cardIds, 'move', { ...moveData, override_wip_limit: true })
+        });
+        BoardStore.insertCards(moved.cards, position);
+      }
+
+      this.renderColumns();
+    } catch (error) {
+      Toast.error('Failed to move cards');
+      console.error('moveCards failed:', error);
+    }
+  },
+
+  /**
+   * Add a label to several cards, or remove it
+   * @param {string[]} cardIds - Card IDs
+   * @param {string} labelId - Label from the board's catalog
+   * @param {boolean} add - True to add it, false to remove it
+   */
+  async labelCards(cardIds, labelId, add) {
+    const action = add ? 'add_label' : 'remove_label';
+    const inverse = add ? 'remove_label' : 'add_label';
+
+    try {
+      const { cards } = await this.sendBulk(cardIds, action, { label_id: labelId });
+
+      // Only the cards that changed are put back by undo
+      const changedIds = cards.map(card => card.id);
+      if (changedIds.length > 0) {
+        CommandHistory.record({
+          label: add ? 'Add label to cards' : 'Remove label from cards',
+          undo: () => this.sendBulk(changedIds, inverse, { label_id: labelId }),
+          redo: () => this.sendBulk(changedIds, action, { label_id: labelId })
+        });
+      }
+
+      const label = this.labels.find(l => l.id === labelId);
+      const name = label ? `"${label.name}"` : 'Label';
+      Toast.success(add ? `${name} added to ${changedIds.length} card(s)` : `${name} removed from ${changedIds.length} card(s)`);
+      cards.forEach(card => BoardStore.setCard(card));
+      this.renderColumns();
+    } catch (error) {
+      Toast.error(error instanceof ValidationError ? error.message : 'Failed to update labels');
+      console.error('labelCards failed:', error);
+    }
+  },
+
+  /**
+   * Set or clear the due date of several cards
+   * @param {string[]} cardIds - Card IDs
+   * @param {string|null} dueDate - Date (YYYY-MM-DD), or null to clear it
+   */
+  async setCardsDueDate(cardIds, dueDate) {
+    try {
+      // Undo restores each card's old date, one request per distinct date
+      const previousDates = new Map();
+      cardIds.forEach(cardId => {
+        const card = this.findCard(cardId);
+        const previous = card ? card.due_date || null : null;
+        if (previous !== dueDate) {
+          previousDates.set(previous, [...(previousDates.get(previous) || []), cardId]);
+        }
+      });
+
+      const { cards } = await this.sendBulk(cardIds, 'set_due_date', { due_date: dueDate });
+
+      if (cards.length > 0) {
+        CommandHistory.record({
+          label: dueDate ? 'Set due dates' : 'Clear due dates',
+          undo: async () => {
+            for (const [date, ids] of previousDates) {
+              await this.sendBulk(ids, 'set_due_date', { due_date: date });
+            }
+          },
+          redo: () => this.sendBulk(cardIds, 'set_due_date', { due_date: dueDate })
+        });
+      }
+
+      Toast.success(dueDate ? `Due date set on ${cards.length} card(s)` : `Due date cleared on ${cards.length} card(s)`);
+      cards.forEach(card => BoardStore.setCard(card));
+      this.renderColumns();
+    } catch (error) {
+      Toast.error(error instanceof ValidationError ? error.message : 'Failed to set due dates');
+      console.error('setCardsDueDate failed:', error);
     }
   },
 
+  /**
+   * Move several cards to the trash, after asking
+   * @param {string[]} cardIds - Card IDs
+   */
+  async deleteCards(cardIds) {
+    try {
+      const confirmed = await ConfirmModal.show('Delete Cards', `Move ${cardIds.length} card(s) to the trash?`);
+      if (!confirmed) return;
+
+      const places = cardIds
+        .map(cardId => this.findCard(cardId))
+        .filter(Boolean)
+        .map(card => ({ id: card.id, position: card.position }))
+        .sort((a, b) => a.position - b.position);
+
+      await this.sendBulk(cardIds, 'delete');
+      const command = CommandHistory.record({
+        label: 'Delete cards',
+        // Lowest positions first, so each card goes back to its old index
+        undo: async () => {
+          for (const place of places) {
+            await trashApi.restore('card', CommandHistory.resolveId(place.id));
+          }
+        },
+        redo: () => this.sendBulk(cardIds, 'delete')
+      });
+
+      Toast.success(`${cardIds.length} card(s) moved to trash`, {
+        action: { label: 'Undo', onClick: () => CommandHistory.undo(command) }
+      });
+      cardIds.forEach(cardId => BoardStore.removeCard(cardId));
+      this.renderColumns();
+    } catch (error) {
+      Toast.error('Failed to delete cards');
+      console.error('deleteCards failed:', error);
+    }
+  },
+
+  /**
+   * Send a bulk card action (also used by undo/redo, hence the ID lookups)
+   */
+  async sendBulk(cardIds, action, data = {}) {
+    const resolved = { ...data };
+    if (resolved.column_id) {
+      resolved.column_id = CommandHistory.resolveId(resolved.column_id);
+    }
+    return await cardsApi.bulk(cardIds.map(id => CommandHistory.resolveId(id)), action, resolved);
+  },
+
+  /**
+   * Move cards back to where they were (undoing a bulk move). Lowest
+   * positions go first, so each card lands at its old index.
+   * @param {Array<{ id: string, column_id: string, position: number }>} places
+   */
+  async restorePlaces(places) {
+    const ordered = places.slice().sort((a, b) => a.position - b.position);
+    for (const place of ordered) {
+      await this.sendMove(place.id, { column_id: place.column_id, position: place.position }, true);
+    }
+  },
+
+  /**
+   * Add a card to the selection, or take it out
+   * @param {string} cardId - Card ID
+   */
+  toggleCardSelection(cardId) {
+    if (this.selectedCardIds.has(cardId)) {
+      this.selectedCardIds.delete(cardId);
+    } else {
+      this.selectedCardIds.add(cardId);
+    }
+    this.selectionAnchor = cardId;
+    this.showSelection();
+  },
+
+  /**
+   * Select every visible card from the last one picked to this one, in board order
+   * @param {string} cardId - Card ID
+   */
+  selectCardRange(cardId) {
+    const visibleIds = this.boardCardIds()
+      .filter(id => !this.cardFilter || this.cardFilter.has(id));
+    const from = visibleIds.indexOf(this.selectionAnchor);
+    const to = visibleIds.indexOf(cardId);
+
+    if (from === -1 || to === -1) {
+      this.toggleCardSelection(cardId);
+      return;
+    }
+
+    visibleIds.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(id => this.selectedCardIds.add(id));
+    this.showSelection();
+  },
+
+  clearSelection() {
+    if (this.selectedCardIds.size === 0) return;
+
+    this.selectedCardIds.clear();
+    this.selectionAnchor = null;
+    this.showSelection();
+  },
+
+  /**
+   * Get the selected cards in board order (column by column, top to bottom)
+   * @returns {string[]}
+   */
+  getSelectedCardIds() {
+    return this.boardCardIds().filter(cardId => this.selectedCardIds.has(cardId));
+  },
+
+  // Every card on the board, column by column, top to bottom
+  boardCardIds() {
+    return BoardStore.getColumnIds().flatMap(columnId => BoardStore.getCardIds(columnId));
+  },
+
+  // Mark the selected cards without a full re-render
+  showSelection() {
+    this.container.querySelectorAll('.card').forEach(cardEl => {
+      cardEl.classList.toggle('card-selected', this.selectedCardIds.has(cardEl.dataset.cardId));
+    });
+    this.notifySelection();
+  },
+
+  notifySelection() {
+    if (this.onSelectionChange && typeof this.onSelectionChange === 'function') {
+      this.onSelectionChange(this.getSelectedCardIds());
+    }
+  },
+
+  setOnSelectionChange(callback) {
+    this.onSelectionChange = callback;
+  },
+
+  /**
+   * Run a card create or move, asking before going over a column's WIP limit
+   * @param {function(boolean): Promise<any>} send - Sends the request; called
+   *   again with true to override the limit
+   * @param {string} [question] - What to ask after the server's message
+   * @returns {Promise<any|null>} The response, or null if the user declined
+   */
+  async withWipOverride(send, question = 'Add the card anyway?') {
+    try {
+      return await send(false);
+    } catch (error) {
+      if (!(error instanceof WipLimitError)) {
+        throw error;
+      }
+
+      const confirmed = await ConfirmModal.show('WIP Limit Reached', `${error.message}. ${question}`);
+      return confirmed ? await send(true) : null;
+    }
+  },
+
+  /**
+   * Send a card move (also used by undo/redo, hence the ID lookups)
+   * Undo and redo replay a move that already happened, so they pass
+   * overrideWipLimit rather than asking again.
+   */
+  async sendMove(cardId, moveData, overrideWipLimit = false) {
+    return await cardsApi.move(
+      CommandHistory.resolveId(cardId),
+      CommandHistory.resolveId(moveData.column_id),
+      moveData.position,
+      overrideWipLimit
+    );
+  },
+
+  /**
+   * Update a column on top of whatever version this tab last saw (used by undo/redo)
+   */
+  async updateColumnLatest(columnId, data) {
+    const id = CommandHistory.resolveId(columnId);
+    const column = BoardStore.getColumn(id);
+    await columnsApi.update(id, data, column ? column.version : undefined);
+  },
+
+  /**
+   * Update a card on top of whatever version this tab last saw (used by undo/redo)
+   */
+  async updateCardLatest(cardId, data) {
+    const id = CommandHistory.resolveId(cardId);
+    const card = this.findCard(id);
+    await cardsApi.update(id, data, card ? card.version : undefined);
+  },
+
+  applyEvent(event) {
+    if (!this.currentBoardId || event.board_id !== this.currentBoardId) {
+      return;
+    }
+
+    const { type, data } = event;
+
+    switch (type) {
+      case 'column.created':
+      case 'column.updated':
+        BoardStore.setColumn(data);
+        break;
+
+      case 'column.deleted':
+        BoardStore.removeColumn(data.id);
+        break;
+
+      case 'columns.reordered':
+        data.columns.forEach(updated => {
+          if (BoardStore.getColumn(updated.id)) {
+            BoardStore.setColumn(updated);
+          }
+        });
+        break;
+
+      // Restores renumber their siblings, so refetch rather than patch
+      case 'column.restored':
+      case 'card.restored':
+        this.loadColumns(this.currentBoardId);
+        return;
+
+      // Keep the comment badge in step with the thread
+      case 'comment.created':
+      case 'comment.deleted': {
+        const card = this.findCard(data.card_id);
+        if (!card) return;
+        BoardStore.patchCard(card.id, { comment_count: (card.comment_count || 0) + (type === 'comment.created' ? 1 : -1) });
+        break;
+      }
+
+      case 'checklist.created':
+      case 'checklist.updated':
+      case 'checklist.deleted': {
+        if (!this.findCard(data.card_id)) return;
+        BoardStore.patchCard(data.card_id, { checklist_progress: data.progress });
+        break;
+      }
+
+      // Refresh label names and colors (deletions also arrive as card updates)
+      case 'label.created':
+      case 'label.updated':
+      case 'label.deleted':
+        this.loadLabels();
+        return;
+
+      // Refresh the names and avatars shown for assignees
+      case 'member.added':
+      case 'member.updated':
+      case 'member.removed':
+        this.loadMembers();
+        return;
+
+      case 'card.created':
+      case 'card.updated':
+        BoardStore.setCard(data);
+        break;
+
+      case 'card.deleted':
+        BoardStore.removeCard(data.id);
+        break;
+
+      case 'card.moved':
+      case 'cards.moved':
+        data.cards.forEach(card => BoardStore.setCard(card));
+        break;
+
+      case 'cards.reordered':
+        data.cards.forEach(updated => BoardStore.patchCard(updated.id, updated));
+        BoardStore.sortCards(data.column_id);
+        break;
+
+      default:
+        return;
+    }
+
+    this.updateEmptyState();
+    this.scheduleRender();
+  },
+
+  // Don't rebuild the DOM under an in-progress drag or rename; render once it ends
+  scheduleRender() {
+    if (this.container.querySelector('.dragging') || InlineEdit.isEditing(this.container)) {
+      this.renderPending = true;
+      return;
+    }
+
+    this.renderColumns();
+  },
+
+  async loadMembers() {
+    try {
+      this.members = await membersApi.getByBoard(this.currentBoardId);
+      this.scheduleRender();
+    } catch (error) {
+      // Removed from the board ourselves; BoardManager moves us elsewhere
+      console.error('loadMembers failed:', error);
+    }
+  },
+
+  async loadLabels() {
+    try {
+      this.labels = await labelsApi.getByBoard(this.currentBoardId);
+      this.scheduleRender();
+    } catch (error) {
+      console.error('loadLabels failed:', error);
+    }
+  },
+
+  findCard(cardId) {
+    return BoardStore.getCard(cardId);
+  },
+
+  flushPendingRender() {
+    if (this.renderPending) {
+      this.renderPending = false;
+      this.renderColumns();
+    }
+  },
+
+  /**
+   * Show only the given cards (null shows every card)
+   * @param {Set<string>|null} cardIds - IDs of the cards that match the filter bar
+   */
+  setCardFilter(cardIds) {
+    this.cardFilter = cardIds;
+    this.scheduleRender();
+  },
+
   getColumns() {
-    return this.columns;
+    return BoardStore.getColumns();
+  },
+
+  /**
+   * Get a column's card IDs in order, including any a long column hasn't mounted
+   * @param {string} columnId
+   * @returns {string[]}
+   */
+  getCardIds(columnId) {
+    return BoardStore.getCardIds(columnId);
+  },
+
+  /**
+   * Get the cards the filter bar leaves visible in a list, in the order shown
+   * @param {HTMLElement} list - A .column-cards element
+   * @returns {string[]}
+   */
+  visibleCardIds(list) {
+    return this.renderOrder(list.dataset.columnId, list).filter(cardId => this.cardHeight(cardId) > 0);
+  },
+
+  getLabels() {
+    return this.labels;
   }
 };
 
@@ -0,0 +1,156 @@
+import Toast from './toast.js';
+
+/**
+ * Undo/redo command history
+ * Each recorded command knows how to invert (undo) and re-apply (redo) an
+ * API call. Undoing a delete recreates the entity under a new ID, so
+ * commands look IDs up through resolveId() instead of using them directly.
+ */
+
+// Oldest commands are dropped past this many
+const MAX_HISTORY = 100;
+
+const CommandHistory = {
+  undoStack: [],
+  redoStack: [],
+  idAliases: new Map(),
+  running: false,
+  onChange: null,
+
+  /**
+   * Set up keyboard shortcuts
+   * @param {function(): Promise<void>} onChange - Called after every undo/redo to refresh the board
+   */
+  init(onChange) {
+    this.onChange = onChange;
+
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || this.isTyping(e.target)) {
+        return;
+      }
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        this.undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        this.redo();
+      }
+    });
+  },
+
+  /**
+   * Check whether a keystroke belongs to a text field or an open modal
+   * @param {EventTarget} target
+   * @returns {boolean}
+   */
+  isTyping(target) {
+    if (target.closest && target.closest('input, textarea, [contenteditable="true"]')) {
+      return true;
+    }
+    return document.querySelector('.modal-overlay:not(.hidden)') !== null;
+  },
+
+  /**
+   * Record a command that has just been performed
+   * @param {{ label: string, undo: function(): Promise<void>, redo: function(): Promise<void> }} command
+   * @returns {object} The recorded command
+   */
+  record(command) {
+    this.undoStack.push(command);
+    if (this.undoStack.length > MAX_HISTORY) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    return command;
+  },
+
+  /**
+   * Undo the most recent command, or a specific one (e.g. from a toast's Undo button)
+   * @param {object} [command] - Command to undo; defaults to the latest
+   */
+  async undo(command = this.undoStack[this.undoStack.length - 1]) {
+    const index = this.undoStack.indexOf(command);
+    if (index === -1 || this.running) {
+      return;
+    }
+
+    this.undoStack.splice(index, 1);
+    if (await this.run(command, 'undo')) {
+      this.redoStack.push(command);
+      Toast.info(`Undone: ${command.label}`);
+    }
+  },
+
+  /**
+   * Redo the most recently undone command
+   */
+  async redo() {
+    const command = this.redoStack[this.redoStack.length - 1];
+    if (!command || this.running) {
+      return;
+    }
+
+    this.redoStack.pop();
+    if (await this.run(command, 'redo')) {
+      this.undoStack.push(command);
+      Toast.info(`Redone: ${command.label}`);
+    }
+  },
+
+  /**
+   * Run one direction of a command and refresh the board
+   * @private
+   * @returns {Promise<boolean>} True on success
+   */
+  async run(command, direction) {
+    this.running = true;
+    try {
+      await command[direction]();
+      return true;
+    } catch (error) {
+      Toast.error(`Could not ${direction} "${command.label}": ${error.message}`);
+      console.error(`CommandHistory.${direction} failed:`, error);
+      return false;
+    } finally {
+      this.running = false;
+      if (this.onChange) {
+        await this.onChange();
+      }
+    }
+  },
+
+  /**
+   * Record that an entity was recreated under a new ID
+   * @param {string} oldId - ID the entity had before
+   * @param {string} newId - ID it has now
+   */
+  aliasId(oldId, newId) {
+    this.idAliases.set(oldId, newId);
+  },
+
+  /**
+   * Follow aliases to an entity's current ID
+   * @param {string} id
+   * @returns {string}
+   */
+  resolveId(id) {
+    let current = id;
+    while (this.idAliases.has(current)) {
+      current = this.idAliases.get(current);
+    }
+    return current;
+  },
+
+  /**
+   * Forget all history (e.g. when switching boards)
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.idAliases.clear();
+  }
+};
+
+export default CommandHistory;
@@ -0,0 +1,246 @@
+import { commentsApi, ConflictError, ValidationError } from './api.js';
+import Toast from './toast.js';
+import Avatar from './avatar.js';
+import BoardManager from './boardManager.js';
+import { ConfirmModal } from './modal.js';
+
+// Comment thread shown inside the card editor
+const CommentThread = {
+  section: null,
+  list: null,
+  form: null,
+  input: null,
+  errorEl: null,
+  userId: null,
+  cardId: null,
+  comments: [],
+  editingId: null,
+
+  /**
+   * Wire up the thread
+   * @param {HTMLElement} section - The #card-modal-comments element
+   * @param {string} userId - ID of the signed-in user
+   */
+  init(section, userId) {
+    this.section = section;
+    this.userId = userId;
+    this.list = section.querySelector('#card-modal-comment-list');
+    this.form = section.querySelector('#card-modal-comment-form');
+    this.input = section.querySelector('#card-modal-comment-input');
+    this.errorEl = section.querySelector('#card-modal-comment-error');
+
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.add();
+    });
+
+    this.list.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-comment-action]');
+      if (!button) return;
+
+      const comment = this.comments.find(c => c.id === button.closest('[data-comment-id]').dataset.commentId);
+      if (!comment) return;
+
+      switch (button.dataset.commentAction) {
+        case 'edit':
+          this.editingId = comment.id;
+          this.render();
+          break;
+        case 'cancel':
+          this.editingId = null;
+          this.render();
+          break;
+        case 'save':
+          this.save(comment, button.closest('[data-comment-id]').querySelector('textarea').value);
+          break;
+        case 'delete':
+          this.remove(comment);
+          break;
+      }
+    });
+  },
+
+  /**
+   * Show a card's comments (hidden for cards that don't exist yet)
+   * @param {string|null} cardId - Card ID
+   */
+  async open(cardId) {
+    this.cardId = cardId;
+    this.comments = [];
+    this.editingId = null;
+    this.form.reset();
+    this.showError(null);
+
+    this.section.classList.toggle('hidden', !cardId);
+    this.form.classList.toggle('hidden', !BoardManager.canEdit());
+    if (!cardId) return;
+
+    this.render();
+    await this.load();
+  },
+
+  close() {
+    this.cardId = null;
+    this.editingId = null;
+  },
+
+  async load() {
+    const cardId = this.cardId;
+
+    try {
+      const comments = await commentsApi.getByCard(cardId);
+      // Ignore a response for a card that has since been closed
+      if (cardId !== this.cardId) return;
+
+      this.comments = comments;
+      this.render();
+    } catch (error) {
+      Toast.error('Failed to load comments');
+      console.error('CommentThread.load failed:', error);
+    }
+  },
+
+  render() {
+    this.list.innerHTML = '';
+
+    if (this.comments.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'comment-empty';
+      empty.textContent = 'No comments yet';
+      this.list.appendChild(empty);
+      return;
+    }
+
+    const isOwner = BoardManager.getCurrentRole() === 'owner';
+    const canEdit = BoardManager.canEdit();
+
+    this.comments.forEach(comment => {
+      const isAuthor = comment.author_id === this.userId;
+      const itemEl = document.createElement('li');
+      itemEl.className = 'comment-item';
+      itemEl.dataset.commentId = comment.id;
+      itemEl.innerHTML = `
+        <div class="comment-header">
+          <span class="comment-author"></span>
+          <span class="comment-time"></span>
+          <span class="comment-actions"></span>
+        </div>
+        <div class="comment-body"></div>
+      `;
+
+      itemEl.querySelector('.comment-header').prepend(Avatar.create({ user_id: comment.author.id, name: comment.author.name }));
+      itemEl.querySelector('.comment-author').textContent = comment.author.name;
+
+      const time = itemEl.querySelector('.comment-time');
+      time.textContent = new Date(comment.created_at).toLocaleString();
+      if (comment.updated_at !== comment.created_at) {
+        time.textContent += ' (edited)';
+        time.title = `Edited ${new Date(comment.updated_at).toLocaleString()}`;
+      }
+
+      const actions = itemEl.querySelector('.comment-actions');
+      const body = itemEl.querySelector('.comment-body');
+
+      if (comment.id === this.editingId) {
+        const textarea = document.createElement('textarea');
+        textarea.className = 'form-textarea';
+        textarea.rows = 2;
+        textarea.value = comment.body;
+        body.appendChild(textarea);
+        actions.append(this.actionButton('save', 'Save'), this.actionButton('cancel', 'Cancel'));
+      } else {
+        body.textContent = comment.body;
+        if (isAuthor && canEdit) {
+          actions.appendChild(this.actionButton('edit', 'Edit'));
+        }
+        if ((isAuthor && canEdit) || isOwner) {
+          actions.appendChild(this.actionButton('delete', 'Delete'));
+        }
+      }
+
+      this.list.appendChild(itemEl);
+    });
+
+    const textarea = this.list.querySelector('textarea');
+    if (textarea) {
+      textarea.focus();
+    }
+  },
+
+  actionButton(action, text) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn-link';
+    button.dataset.commentAction = action;
+    button.textContent = text;
+    return button;
+  },
+
+  showError(message) {
+    this.errorEl.textContent = message || '';
+    this.errorEl.classList.toggle('hidden', !message);
+  },
+
+  async add() {
+    this.showError(null);
+
+    try {
+      await commentsApi.create(this.cardId, this.input.value);
+      this.input.value = '';
+      await this.load();
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        this.showError(error.fields.body || error.message);
+        return;
+      }
+      Toast.error(`Failed to add comment: ${error.message}`);
+      console.error('CommentThread.add failed:', error);
+    }
+  },
+
+  async save(comment, body) {
+    try {
+      await commentsApi.update(this.cardId, comment.id, body, comment.version);
+      this.editingId = null;
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        Toast.error('This comment changed while you were editing it');
+        this.editingId = null;
+      } else if (error instanceof ValidationError) {
+        Toast.error(error.fields.body || error.message);
+        return;
+      } else {
+        Toast.error(`Failed to save comment: ${error.message}`);
+        console.error('CommentThread.save failed:', error);
+        return;
+      }
+    }
+    await this.load();
+  },
+
+  async remove(comment) {
+    try {
+      const confirmed = await ConfirmModal.show('Delete Comment', 'Delete this comment? This cannot be undone.');
+      if (!confirmed) return;
+
+      await commentsApi.delete(this.cardId, comment.id);
+      await this.load();
+    } catch (error) {
+      Toast.error(`Failed to delete comment: ${error.message}`);
+      console.error('CommentThread.remove failed:', error);
+    }
+  },
+
+  applyEvent(event) {
+    if (!this.cardId || !event.type.startsWith('comment.') || event.data.card_id !== this.cardId) {
+      return;
+    }
+
+    // Keep an in-progress edit rather than re-rendering it away
+    if (this.editingId) return;
+
+    this.load();
+  }
+};
+
+export default CommentThread;
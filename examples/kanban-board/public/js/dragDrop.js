@@ -1,11 +1,28 @@
 import ColumnManager from './columnManager.js';
 
+// How long a touch must rest on a card or column header to pick it up
+const LONG_PRESS_MS = 400;
+// How far a finger may wander during the long press before it counts as a scroll
+const MOVE_TOLERANCE = 10;
+// Distance from an edge at which a pointer drag starts scrolling, and the fastest scroll per frame
+const SCROLL_EDGE = 60;
+const MAX_SCROLL_STEP = 20;
+// How long after a pointer drag ends its tap is kept from opening the card
+const CLICK_SUPPRESS_MS = 400;
+
 const DragDropManager = {
   // State
   draggedElement: null,
   draggedCardId: null,
+  // Every card being dragged when the dragged card is part of a multi-selection
+  draggedCardIds: null,
   sourceColumnId: null,
+  draggedColumnId: null,
+  dragType: null,
   container: null,
+  // Touch or pen drag in progress (HTML5 drag events don't fire for touch)
+  pointer: null,
+  suppressClickUntil: 0,
 
   /**
    * Initialize drag and drop functionality
@@ -22,18 +39,33 @@ const DragDropManager = {
   setupEventListeners() {
     // Use event delegation on container
     this.container.addEventListener('dragstart', (e) => {
+      // A long press may also start a native drag; the pointer drag handles it
+      if (this.pointer) {
+        e.preventDefault();
+        return;
+      }
+
       if (e.target.closest('.card')) {
         this.handleDragStart(e);
+      } else if (e.target.closest('.column-header')) {
+        this.handleColumnDragStart(e);
       }
     });
 
     this.container.addEventListener('dragend', (e) => {
-      if (e.target.closest('.card')) {
+      if (this.dragType === 'column') {
+        this.handleColumnDragEnd(e);
+      } else if (e.target.closest('.card')) {
         this.handleDragEnd(e);
       }
     });
 
     this.container.addEventListener('dragover', (e) => {
+      if (this.dragType === 'column') {
+        this.handleColumnDragOver(e);
+        return;
+      }
+
       const columnCards = e.target.closest('.column-cards');
       if (columnCards) {
         this.handleDragOver(e);
@@ -41,6 +73,8 @@ const DragDropManager = {
     });
 
     this.container.addEventListener('dragleave', (e) => {
+      if (this.dragType === 'column') return;
+
       const columnCards = e.target.closest('.column-cards');
       if (columnCards) {
         this.handleDragLeave(e);
@@ -48,11 +82,18 @@ const DragDropManager = {
     });
 
     this.container.addEventListener('drop', (e) => {
+      if (this.dragType === 'column') {
+        this.handleColumnDrop(e);
+        return;
+      }
+
       const columnCards = e.target.closest('.column-cards');
       if (columnCards) {
         this.handleDrop(e);
       }
     });
+
+    this.setupPointerListeners();
   },
 
   /**
@@ -65,10 +106,12 @@ const DragDropManager = {
 
     this.draggedElement = card;
     this.draggedCardId = card.dataset.cardId;
+    this.dragType = 'card';
 
     const columnCards = card.closest('.column-cards');
     this.sourceColumnId = columnCards ? columnCards.dataset.columnId : null;
 
+    this.pickUpGroup(card);
     card.classList.add('dragging');
 
     e.dataTransfer.effectAllowed = 'move';
@@ -83,6 +126,7 @@ const DragDropManager = {
     if (this.draggedElement) {
       this.draggedElement.classList.remove('dragging');
     }
+    this.container.querySelectorAll('.card.dragging').forEach(card => card.classList.remove('dragging'));
 
     // Remove all drag-over classes
     const allColumnCards = this.container.querySelectorAll('.column-cards');
@@ -95,7 +139,28 @@ const DragDropManager = {
     // Clear state
     this.draggedElement = null;
     this.draggedCardId = null;
+    this.draggedCardIds = null;
     this.sourceColumnId = null;
+    this.dragType = null;
+
+    // Apply any remote changes that arrived mid-drag
+    ColumnManager.flushPendingRender();
+  },
+
+  /**
+   * Drag the whole selection along when the picked-up card is one of several selected
+   * @param {HTMLElement} card - The card being dragged
+   */
+  pickUpGroup(card) {
+    const selectedIds = ColumnManager.getSelectedCardIds();
+    if (selectedIds.length < 2 || !selectedIds.includes(card.dataset.cardId)) {
+      return;
+    }
+
+    this.draggedCardIds = selectedIds;
+    this.container.querySelectorAll('.card.card-selected').forEach(selected => {
+      selected.classList.add('dragging');
+    });
   },
 
   /**
@@ -155,7 +220,6 @@ const DragDropManager = {
     const columnCards = e.target.closest('.column-cards');
     if (!columnCards) return;
 
-    const targetColumnId = columnCards.dataset.columnId;
     const mouseY = e.clientY;
     const position = this.getDropPosition(columnCards, mouseY);
 
@@ -166,28 +230,28 @@ const DragDropManager = {
       indicator.remove();
     }
 
+    this.dropCard(columnCards, position);
+  },
+
+  /**
+   * Save a dropped card (shared by mouse and pointer drags)
+   * @param {HTMLElement} columnCards - The column cards container it was dropped on
+   * @param {number} position - The index it was dropped at
+   */
+  dropCard(columnCards, position) {
+    const targetColumnId = columnCards.dataset.columnId;
+
+    // A selection lands together at the drop point, in board order
+    if (this.draggedCardIds) {
+      ColumnManager.moveCards(this.draggedCardIds, targetColumnId, position);
+      return;
+    }
+
     // Handle the drop based on same or different column
     if (this.sourceColumnId === targetColumnId) {
-      // Same column - reorder cards
-      const cards = Array.from(columnCards.querySelectorAll('.card:not(.dragging)'));
-      const cardIds = [];
-
-      // Build new order with dragged card inserted at position
-      let insertedDragged = false;
-      for (let i = 0; i < cards.length; i++) {
-        if (i === position && !insertedDragged) {
-          cardIds.push(this.draggedCardId);
-          insertedDragged = true;
-        }
-        if (cards[i].dataset.cardId !== this.draggedCardId) {
-          cardIds.push(cards[i].dataset.cardId);
-        }
-      }
-
-      // If position is at the end, add dragged card at the end
-      if (!insertedDragged) {
-        cardIds.push(this.draggedCardId);
-      }
+      // Same column - reorder cards, with the dragged card inserted at position
+      const cardIds = this.remainingCardIds(targetColumnId);
+      cardIds.splice(position, 0, this.draggedCardId);
 
       ColumnManager.reorderCards(targetColumnId, cardIds);
     } else {
@@ -198,17 +262,22 @@ const DragDropManager = {
 
   /**
    * Get the drop position based on mouse Y coordinate
+   * Only the mounted cards can be measured, but a long column doesn't mount
+   * them all, so the position is counted among all the column's cards.
    * @param {HTMLElement} columnCardsElement - The column cards container
    * @param {number} mouseY - The mouse Y coordinate
-   * @returns {number} The index position for insertion
+   * @returns {number} The index position for insertion, among the cards not being dragged
    */
   getDropPosition(columnCardsElement, mouseY) {
+    const cardIds = this.remainingCardIds(columnCardsElement.dataset.columnId);
+    // Skip any card removed from the board while a render waits for the drag to end
+    const known = new Set(cardIds);
     const cards = Array.from(
       columnCardsElement.querySelectorAll('.card:not(.dragging)')
-    );
+    ).filter(card => known.has(card.dataset.cardId));
 
     if (cards.length === 0) {
-      return 0;
+      return cardIds.length;
     }
 
     for (let i = 0; i < cards.length; i++) {
@@ -217,18 +286,18 @@ const DragDropManager = {
       const cardMiddle = rect.top + rect.height / 2;
 
       if (mouseY < cardMiddle) {
-        return i;
+        return cardIds.indexOf(card.dataset.cardId);
       }
     }
 
-    // If we're past all cards, insert at the end
-    return cards.length;
+    // If we're past all mounted cards, insert after the last of them
+    return cardIds.indexOf(cards[cards.length - 1].dataset.cardId) + 1;
   },
 
   /**
    * Show drop indicator at the specified position
    * @param {HTMLElement} columnCardsElement - The column cards container
-   * @param {number} position - The position index to show the indicator
+   * @param {number} position - The position index to show the indicator, from getDropPosition
    */
   showDropIndicator(columnCardsElement, position) {
     // Remove any existing indicator
@@ -241,17 +310,441 @@ const DragDropManager = {
     const indicator = document.createElement('div');
     indicator.className = 'drop-indicator';
 
-    // Get all cards (excluding dragging one)
+    // Get the mounted cards (excluding dragging ones)
     const cards = Array.from(
       columnCardsElement.querySelectorAll('.card:not(.dragging)')
     );
+    const mounted = new Map(cards.map(card => [card.dataset.cardId, card]));
+    const before = this.remainingCardIds(columnCardsElement.dataset.columnId)
+      .slice(position)
+      .find(cardId => mounted.has(cardId));
 
-    if (cards.length === 0 || position >= cards.length) {
+    if (before) {
+      // Insert before the card at position
+      columnCardsElement.insertBefore(indicator, mounted.get(before));
+    } else if (cards.length > 0) {
+      // Insert after the last mounted card, ahead of any spacer for the rest
+      cards[cards.length - 1].after(indicator);
+    } else {
       // Insert at the end
       columnCardsElement.appendChild(indicator);
+    }
+  },
+
+  /**
+   * Get a column's cards minus those being dragged, which is what drop positions count
+   * @param {string} columnId - Column ID
+   * @returns {string[]}
+   */
+  remainingCardIds(columnId) {
+    const dragged = this.draggedCardIds || [this.draggedCardId];
+    return ColumnManager.getCardIds(columnId).filter(cardId => !dragged.includes(cardId));
+  },
+
+  /**
+   * Handle drag start on a column header
+   * @param {DragEvent} e - The drag event
+   */
+  handleColumnDragStart(e) {
+    const column = e.target.closest('.column');
+    if (!column) return;
+
+    this.draggedElement = column;
+    this.draggedColumnId = column.dataset.columnId;
+    this.dragType = 'column';
+
+    column.classList.add('dragging');
+
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', this.draggedColumnId);
+
+    // Drag the whole column, not just its header
+    const rect = column.getBoundingClientRect();
+    e.dataTransfer.setDragImage(column, e.clientX - rect.left, e.clientY - rect.top);
+  },
+
+  /**
+   * Handle drag end for a column
+   * @param {DragEvent} e - The drag event
+   */
+  handleColumnDragEnd(e) {
+    if (this.draggedElement) {
+      this.draggedElement.classList.remove('dragging');
+    }
+
+    const indicators = this.container.querySelectorAll('.column-drop-indicator');
+    indicators.forEach(indicator => indicator.remove());
+
+    // Clear state
+    this.draggedElement = null;
+    this.draggedColumnId = null;
+    this.dragType = null;
+
+    // Apply any remote changes that arrived mid-drag
+    ColumnManager.flushPendingRender();
+  },
+
+  /**
+   * Handle drag over the board while dragging a column
+   * @param {DragEvent} e - The drag event
+   */
+  handleColumnDragOver(e) {
+    e.preventDefault();
+
+    const position = this.getColumnDropPosition(e.clientX);
+    this.showColumnDropIndicator(position);
+
+    e.dataTransfer.dropEffect = 'move';
+  },
+
+  /**
+   * Handle dropping a column
+   * @param {DragEvent} e - The drag event
+   */
+  handleColumnDrop(e) {
+    e.preventDefault();
+
+    this.dropColumn(this.getColumnDropPosition(e.clientX));
+  },
+
+  /**
+   * Save a dropped column (shared by mouse and pointer drags)
+   * @param {number} position - The index it was dropped at
+   */
+  dropColumn(position) {
+    const draggedColumnId = this.draggedColumnId;
+
+    const columnIds = Array.from(
+      this.container.querySelectorAll('.column:not(.dragging)')
+    ).map(column => column.dataset.columnId);
+    columnIds.splice(position, 0, draggedColumnId);
+
+    // Clean up before the columns are re-rendered in the new order
+    this.handleColumnDragEnd();
+
+    const currentIds = ColumnManager.getColumns().map(column => column.id);
+    if (columnIds.join() !== currentIds.join()) {
+      ColumnManager.reorderColumns(columnIds);
+    }
+  },
+
+  /**
+   * Get the column drop position based on mouse X coordinate
+   * @param {number} mouseX - The mouse X coordinate
+   * @returns {number} The index position for insertion
+   */
+  getColumnDropPosition(mouseX) {
+    const columns = Array.from(
+      this.container.querySelectorAll('.column:not(.dragging)')
+    );
+
+    for (let i = 0; i < columns.length; i++) {
+      const rect = columns[i].getBoundingClientRect();
+      const columnMiddle = rect.left + rect.width / 2;
+
+      if (mouseX < columnMiddle) {
+        return i;
+      }
+    }
+
+    // If we're past all columns, insert at the end
+    return columns.length;
+  },
+
+  /**
+   * Show column drop indicator at the specified position
+   * @param {number} position - The position index to show the indicator
+   */
+  showColumnDropIndicator(position) {
+    // Remove any existing indicator
+    const existingIndicator = this.container.querySelector('.column-drop-indicator');
+    if (existingIndicator) {
+      existingIndicator.remove();
+    }
+
+    const indicator = document.createElement('div');
+    indicator.className = 'column-drop-indicator';
+
+    const columns = Array.from(
+      this.container.querySelectorAll('.column:not(.dragging)')
+    );
+
+    if (position >= columns.length) {
+      this.container.appendChild(indicator);
     } else {
-      // Insert before the card at position
-      columnCardsElement.insertBefore(indicator, cards[position]);
+      this.container.insertBefore(indicator, columns[position]);
+    }
+  },
+
+  /**
+   * Set up touch and pen dragging with pointer events: a long press picks up
+   * a card or column, a floating copy follows the finger, and the board
+   * scrolls near its edges. Mice keep using HTML5 drag and drop.
+   */
+  setupPointerListeners() {
+    this.container.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    document.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    document.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+    document.addEventListener('pointercancel', (e) => this.handlePointerCancel(e));
+
+    // Keep the page from scrolling under the drag (which would cancel it)
+    document.addEventListener('touchmove', (e) => {
+      if (this.pointer && this.pointer.active) {
+        e.preventDefault();
+      }
+    }, { passive: false });
+
+    // A long press would otherwise open the context menu
+    this.container.addEventListener('contextmenu', (e) => {
+      if (this.pointer) {
+        e.preventDefault();
+      }
+    });
+
+    // The tap that ends a drag shouldn't also open the card it dropped
+    this.container.addEventListener('click', (e) => {
+      if (Date.now() < this.suppressClickUntil) {
+        e.stopPropagation();
+        e.preventDefault();
+      }
+    }, true);
+  },
+
+  /**
+   * Start timing a long press on a card or column header
+   * @param {PointerEvent} e - The pointer event
+   */
+  handlePointerDown(e) {
+    if (e.pointerType === 'mouse' || !e.isPrimary || this.pointer || this.dragType) return;
+
+    // Buttons and the inline rename field keep their usual touch behavior
+    if (e.target.closest('button, input, textarea, select')) return;
+
+    // Only what the user may move is marked draggable
+    const card = e.target.closest('.card[draggable="true"]');
+    const header = card ? null : e.target.closest('.column-header[draggable="true"]');
+    if (!card && !header) return;
+
+    this.pointer = {
+      id: e.pointerId,
+      type: card ? 'card' : 'column',
+      element: card || header.closest('.column'),
+      startX: e.clientX,
+      startY: e.clientY,
+      x: e.clientX,
+      y: e.clientY,
+      active: false,
+      ghost: null,
+      target: null,
+      timer: setTimeout(() => this.startPointerDrag(), LONG_PRESS_MS),
+      scrollFrame: null
+    };
+  },
+
+  /**
+   * Follow the pointer, or give up on the long press if it moved first
+   * @param {PointerEvent} e - The pointer event
+   */
+  handlePointerMove(e) {
+    const pointer = this.pointer;
+    if (!pointer || e.pointerId !== pointer.id) return;
+
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+
+    if (!pointer.active) {
+      // Moving before the long press completes is a scroll, not a drag
+      if (Math.hypot(pointer.x - pointer.startX, pointer.y - pointer.startY) > MOVE_TOLERANCE) {
+        this.endPointerDrag();
+      }
+      return;
+    }
+
+    e.preventDefault();
+    this.updatePointerDrag();
+  },
+
+  /**
+   * Drop what the pointer is dragging
+   * @param {PointerEvent} e - The pointer event
+   */
+  handlePointerUp(e) {
+    const pointer = this.pointer;
+    if (!pointer || e.pointerId !== pointer.id) return;
+
+    if (pointer.active) {
+      if (this.dragType === 'card' && pointer.target) {
+        const position = this.getDropPosition(pointer.target, pointer.y);
+        this.dropCard(pointer.target, position);
+      } else if (this.dragType === 'column') {
+        this.dropColumn(this.getColumnDropPosition(pointer.x));
+      }
+      this.suppressClickUntil = Date.now() + CLICK_SUPPRESS_MS;
+    }
+
+    this.endPointerDrag();
+  },
+
+  /**
+   * Abandon a pointer drag the browser took over (e.g. for a system gesture)
+   * @param {PointerEvent} e - The pointer event
+   */
+  handlePointerCancel(e) {
+    if (this.pointer && e.pointerId === this.pointer.id) {
+      this.endPointerDrag();
+    }
+  },
+
+  // The long press completed: pick the card or column up
+  startPointerDrag() {
+    const pointer = this.pointer;
+    const { element } = pointer;
+
+    // A re-render replaced it during the long press
+    if (!element.isConnected) {
+      this.endPointerDrag();
+      return;
+    }
+
+    const rect = element.getBoundingClientRect();
+
+    pointer.active = true;
+    pointer.offsetX = pointer.startX - rect.left;
+    pointer.offsetY = pointer.startY - rect.top;
+
+    this.draggedElement = element;
+    this.dragType = pointer.type;
+    if (pointer.type === 'card') {
+      this.draggedCardId = element.dataset.cardId;
+      this.sourceColumnId = element.closest('.column-cards').dataset.columnId;
+      this.pickUpGroup(element);
+    } else {
+      this.draggedColumnId = element.dataset.columnId;
+    }
+
+    // A floating copy follows the finger while the original stays faded in place
+    const ghost = element.cloneNode(true);
+    ghost.classList.add('drag-ghost');
+    ghost.removeAttribute('tabindex');
+    ghost.setAttribute('aria-hidden', 'true');
+    ghost.style.width = `${rect.width}px`;
+    if (this.draggedCardIds) {
+      const count = document.createElement('span');
+      count.className = 'drag-count';
+      count.textContent = this.draggedCardIds.length;
+      ghost.appendChild(count);
+    }
+    document.body.appendChild(ghost);
+    pointer.ghost = ghost;
+
+    element.classList.add('dragging');
+
+    // Let the user feel the pick-up where the device supports it
+    if (navigator.vibrate) {
+      navigator.vibrate(20);
+    }
+
+    this.updatePointerDrag();
+    this.autoScroll();
+  },
+
+  // Move the ghost to the pointer and show where a drop would land
+  updatePointerDrag() {
+    const { ghost, x, y, offsetX, offsetY } = this.pointer;
+    ghost.style.transform = `translate(${x - offsetX}px, ${y - offsetY}px)`;
+
+    if (this.dragType === 'column') {
+      this.showColumnDropIndicator(this.getColumnDropPosition(x));
+      return;
+    }
+
+    // Anywhere over a column drops into its cards (the ghost ignores the pointer)
+    const under = document.elementFromPoint(x, y);
+    const column = under ? under.closest('.column') : null;
+    const columnCards = column && this.container.contains(column)
+      ? column.querySelector('.column-cards')
+      : null;
+
+    this.container.querySelectorAll('.column-cards').forEach(list => {
+      if (list !== columnCards) {
+        list.classList.remove('drag-over');
+        const indicator = list.querySelector('.drop-indicator');
+        if (indicator) {
+          indicator.remove();
+        }
+      }
+    });
+
+    this.pointer.target = columnCards;
+    if (columnCards) {
+      columnCards.classList.add('drag-over');
+      this.showDropIndicator(columnCards, this.getDropPosition(columnCards, y));
+    }
+  },
+
+  // Scroll the board (and the column under a card) while the pointer is near an edge
+  autoScroll() {
+    const pointer = this.pointer;
+    if (!pointer || !pointer.active) return;
+
+    const boardRect = this.container.getBoundingClientRect();
+    const dx = this.scrollStep(pointer.x, boardRect.left, boardRect.right);
+    if (dx) {
+      this.container.scrollBy(dx, 0);
+    }
+
+    let dy = 0;
+    if (pointer.target) {
+      const listRect = pointer.target.getBoundingClientRect();
+      dy = this.scrollStep(pointer.y, listRect.top, listRect.bottom);
+      if (dy) {
+        pointer.target.scrollBy(0, dy);
+      }
+    }
+
+    // What's under the pointer changes as the board scrolls
+    if (dx || dy) {
+      this.updatePointerDrag();
+    }
+
+    pointer.scrollFrame = requestAnimationFrame(() => this.autoScroll());
+  },
+
+  /**
+   * Get how far to scroll along one axis: faster the closer the pointer is to an edge
+   * @param {number} position - Pointer coordinate
+   * @param {number} start - Start edge of the scrolling area
+   * @param {number} end - End edge of the scrolling area
+   * @returns {number} Pixels to scroll, negative towards the start
+   */
+  scrollStep(position, start, end) {
+    if (position < start + SCROLL_EDGE) {
+      return -Math.min(MAX_SCROLL_STEP, Math.ceil(MAX_SCROLL_STEP * (start + SCROLL_EDGE - position) / SCROLL_EDGE));
+    }
+    if (position > end - SCROLL_EDGE) {
+      return Math.min(MAX_SCROLL_STEP, Math.ceil(MAX_SCROLL_STEP * (position - end + SCROLL_EDGE) / SCROLL_EDGE));
+    }
+    return 0;
+  },
+
+  // Clean up a pointer drag, whether it dropped, was cancelled or never started
+  endPointerDrag() {
+    const pointer = this.pointer;
+    this.pointer = null;
+
+    clearTimeout(pointer.timer);
+    if (pointer.scrollFrame) {
+      cancelAnimationFrame(pointer.scrollFrame);
+    }
+    if (pointer.ghost) {
+      pointer.ghost.remove();
+    }
+
+    // A column drop has already cleaned up before re-rendering
+    if (this.dragType === 'card') {
+      this.handleDragEnd();
+    } else if (this.dragType === 'column') {
+      this.handleColumnDragEnd();
     }
   }
 };
@@ -0,0 +1,192 @@
+import { searchApi, labelsApi } from './api.js';
+import Toast from './toast.js';
+import ColumnManager from './columnManager.js';
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DELAY = 250;
+
+const FilterBar = {
+  bar: null,
+  textInput: null,
+  labelsContainer: null,
+  dueSelect: null,
+  summary: null,
+  clearBtn: null,
+  boardId: null,
+  labels: [],
+  filters: { q: '', labels: [], due: '' },
+  searchTimer: null,
+  requestCount: 0,
+
+  init(bar) {
+    this.bar = bar;
+    this.textInput = bar.querySelector('#filter-text');
+    this.labelsContainer = bar.querySelector('#filter-labels');
+    this.dueSelect = bar.querySelector('#filter-due');
+    this.summary = bar.querySelector('#filter-summary');
+    this.clearBtn = bar.querySelector('#filter-clear-btn');
+
+    // Restore filters from the URL so a filtered view can be shared or reloaded
+    this.readUrl();
+    this.renderControls();
+
+    this.textInput.addEventListener('input', () => {
+      this.filters.q = this.textInput.value;
+      this.scheduleApply();
+    });
+
+    this.labelsContainer.addEventListener('click', (e) => {
+      const option = e.target.closest('.label-option');
+      if (!option) return;
+
+      const labelId = option.dataset.labelId;
+      this.filters.labels = this.filters.labels.includes(labelId)
+        ? this.filters.labels.filter(label => label !== labelId)
+        : [...this.filters.labels, labelId];
+      this.renderControls();
+      this.apply();
+    });
+
+    this.dueSelect.addEventListener('change', () => {
+      this.filters.due = this.dueSelect.value;
+      this.apply();
+    });
+
+    this.clearBtn.addEventListener('click', () => this.clear());
+  },
+
+  isActive() {
+    const { q, labels, due } = this.filters;
+    return q.trim() !== '' || labels.length > 0 || due !== '';
+  },
+
+  readUrl() {
+    const params = new URLSearchParams(window.location.search);
+    this.filters = {
+      q: params.get('q') || '',
+      labels: (params.get('labels') || '').split(',').filter(Boolean),
+      due: params.get('due') || ''
+    };
+  },
+
+  writeUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const { q, labels, due } = this.filters;
+
+    params.delete('q');
+    params.delete('labels');
+    params.delete('due');
+    if (q.trim()) params.set('q', q.trim());
+    if (labels.length > 0) params.set('labels', labels.join(','));
+    if (due) params.set('due', due);
+
+    // Replace rather than push so typing doesn't flood the back button
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+  },
+
+  renderControls() {
+    this.textInput.value = this.filters.q;
+    this.dueSelect.value = this.filters.due;
+
+    this.labelsContainer.innerHTML = '';
+    this.labels.forEach(label => {
+      const option = document.createElement('button');
+      option.type = 'button';
+      option.className = `label-option card-label-${label.color}`;
+      option.classList.toggle('label-option-selected', this.filters.labels.includes(label.id));
+      option.dataset.labelId = label.id;
+      option.textContent = label.name;
+      this.labelsContainer.appendChild(option);
+    });
+
+    this.clearBtn.classList.toggle('hidden', !this.isActive());
+  },
+
+  async setBoard(boardId) {
+    this.boardId = boardId;
+    await this.loadLabels();
+    await this.apply({ updateUrl: false });
+  },
+
+  // Label filters are board label IDs, so offer the current board's catalog
+  async loadLabels() {
+    try {
+      this.labels = this.boardId ? await labelsApi.getByBoard(this.boardId) : [];
+    } catch (error) {
+      this.labels = [];
+      console.error('FilterBar.loadLabels failed:', error);
+    }
+    this.renderControls();
+  },
+
+  scheduleApply() {
+    clearTimeout(this.searchTimer);
+    this.searchTimer = setTimeout(() => this.apply(), SEARCH_DELAY);
+  },
+
+  /**
+   * Search the current board and show only matching cards
+   * @param {object} [options] - { updateUrl?: boolean } write the filters to the URL (default true)
+   */
+  async apply({ updateUrl = true } = {}) {
+    clearTimeout(this.searchTimer);
+    this.clearBtn.classList.toggle('hidden', !this.isActive());
+
+    if (updateUrl) {
+      this.writeUrl();
+    }
+
+    // Ignore responses to searches that were superseded while in flight
+    const requestId = ++this.requestCount;
+
+    if (!this.boardId || !this.isActive()) {
+      this.summary.textContent = '';
+      ColumnManager.setCardFilter(null);
+      return;
+    }
+
+    try {
+      const cards = await searchApi.search(this.boardId, {
+        q: this.filters.q.trim(),
+        labels: this.filters.labels,
+        due: this.filters.due
+      });
+
+      if (requestId !== this.requestCount) return;
+
+      this.summary.textContent = cards.length === 1 ? '1 matching card' : `${cards.length} matching cards`;
+      ColumnManager.setCardFilter(new Set(cards.map(card => card.id)));
+    } catch (error) {
+      Toast.error('Failed to search cards');
+      console.error('FilterBar.apply failed:', error);
+    }
+  },
+
+  clear() {
+    this.filters = { q: '', labels: [], due: '' };
+    this.renderControls();
+    this.apply();
+  },
+
+  applyEvent(event) {
+    if (event.board_id !== this.boardId) return;
+
+    if (event.type.startsWith('label.')) {
+      // Stop filtering by a label that no longer exists
+      if (event.type === 'label.deleted' && this.filters.labels.includes(event.data.id)) {
+        this.filters.labels = this.filters.labels.filter(labelId => labelId !== event.data.id);
+        this.scheduleApply();
+      }
+      this.loadLabels();
+      return;
+    }
+
+    // Card changes may change what matches; re-run the search once they settle
+    if (this.isActive() && /^cards?\./.test(event.type)) {
+      this.scheduleApply();
+    }
+  }
+};
+
+export default FilterBar;
@@ -0,0 +1,79 @@
+/**
+ * Focus trapping for modals
+ * While a modal is open, Tab and Shift+Tab cycle through its controls
+ * instead of escaping to the page behind it. Modals can open on top of each
+ * other (a confirm over the card editor), so only the newest one traps.
+ * When a modal closes, focus goes back to whatever had it before.
+ */
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+const FocusTrap = {
+  // Open modals, newest last
+  stack: [],
+
+  /**
+   * Keep focus inside a modal until the signal aborts
+   * @param {HTMLElement} modal - The modal overlay, already shown
+   * @param {AbortSignal} signal - Aborted when the modal closes
+   */
+  trap(modal, signal) {
+    const previous = document.activeElement;
+    this.stack.push(modal);
+
+    if (!modal.contains(document.activeElement)) {
+      const [first] = this.focusable(modal);
+      if (first) first.focus();
+    }
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== 'Tab' || this.stack[this.stack.length - 1] !== modal) {
+        return;
+      }
+
+      const controls = this.focusable(modal);
+      if (controls.length === 0) {
+        e.preventDefault();
+        return;
+      }
+
+      const first = controls[0];
+      const last = controls[controls.length - 1];
+      const inside = modal.contains(document.activeElement);
+
+      if (e.shiftKey && (document.activeElement === first || !inside)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+        e.preventDefault();
+        first.focus();
+      }
+    }, { signal });
+
+    signal.addEventListener('abort', () => {
+      this.stack = this.stack.filter(open => open !== modal);
+      if (previous && previous.isConnected && typeof previous.focus === 'function') {
+        previous.focus();
+      }
+    });
+  },
+
+  /**
+   * Get the controls in a modal that can take focus, in tab order
+   * @param {HTMLElement} modal
+   * @returns {HTMLElement[]}
+   */
+  focusable(modal) {
+    return Array.from(modal.querySelectorAll(FOCUSABLE))
+      .filter(el => el.getClientRects().length > 0);
+  }
+};
+
+export default FocusTrap;
@@ -0,0 +1,96 @@
+// Inline editing of a name shown in the page (board and column titles)
+const InlineEdit = {
+  /**
+   * Swap an element's text for an input. Enter or moving focus away saves,
+   * Escape cancels; an empty value can't be saved. The element gets its old
+   * text back either way, so the caller renders whatever it saves.
+   * @param {HTMLElement} element - Element showing the current text
+   * @param {object} options - { label: string, maxLength: number }
+   *   label: what is being edited, for the input's name and messages ("Column title")
+   *   maxLength: longest text the server accepts
+   * @returns {Promise<string|null>} The new trimmed text, or null if cancelled or unchanged
+   */
+  edit(element, { label, maxLength }) {
+    return new Promise((resolve) => {
+      const original = element.textContent;
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'inline-edit-input';
+      input.value = original;
+      input.maxLength = maxLength;
+      input.setAttribute('aria-label', label);
+
+      element.textContent = '';
+      element.appendChild(input);
+      input.focus();
+      input.select();
+
+      let finished = false;
+      const finish = (value) => {
+        if (finished) return;
+        finished = true;
+        // Finishing with the keyboard leaves focus where the edit started
+        const refocus = document.activeElement === input && element.tabIndex >= 0;
+        input.remove();
+        element.textContent = original;
+        if (refocus) {
+          element.focus();
+        }
+        resolve(value);
+      };
+
+      // Returns false (and keeps editing) when the value is empty
+      const save = () => {
+        const value = input.value.trim();
+        if (!value) {
+          input.classList.add('inline-edit-invalid');
+          input.title = `${label} is required`;
+          return false;
+        }
+        finish(value === original ? null : value);
+        return true;
+      };
+
+      input.addEventListener('keydown', (e) => {
+        // Keep Enter and Escape from reaching page-level shortcuts
+        e.stopPropagation();
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          save();
+        } else if (e.key === 'Escape') {
+          e.preventDefault();
+          finish(null);
+        }
+      });
+
+      input.addEventListener('input', () => {
+        input.classList.remove('inline-edit-invalid');
+        input.title = '';
+      });
+
+      // Leaving an empty field gives up on the edit rather than trapping focus
+      input.addEventListener('blur', () => {
+        if (!save()) {
+          finish(null);
+        }
+      });
+
+      // Clicks in the field shouldn't select the board or open anything behind it
+      ['click', 'dblclick', 'mousedown'].forEach(type => {
+        input.addEventListener(type, e => e.stopPropagation());
+      });
+    });
+  },
+
+  /**
+   * Check whether an inline edit is open in (or on) an element
+   * @param {HTMLElement} element
+   * @returns {boolean}
+   */
+  isEditing(element) {
+    return Boolean(element && element.querySelector('.inline-edit-input'));
+  }
+};
+
+export default InlineEdit;
@@ -0,0 +1,330 @@
+import ColumnManager from './columnManager.js';
+import BoardManager from './boardManager.js';
+import Announcer from './announcer.js';
+
+/**
+ * Keyboard navigation and keyboard card moves
+ * Arrow keys move focus between cards (up and down within a column, left
+ * and right across columns), Home and End jump to the ends of a column, and
+ * Enter opens the focused card. Space picks the card up: the arrow keys then
+ * carry it through the board, Space or Enter drops it through the same
+ * ColumnManager.moveCard/reorderCards calls as a mouse drag, and Escape puts
+ * it back. Shift+Space adds the card to the bulk selection or takes it out.
+ * Each step is announced in the live region.
+ */
+const KeyboardNav = {
+  container: null,
+  // Card being moved: { element, cardId, sourceColumnId, originalIds, moved }
+  held: null,
+  // Set while a held card is moved in the DOM, which can blur it
+  repositioning: false,
+
+  /**
+   * Set up keyboard handling
+   * @param {HTMLElement} container - The columns container
+   */
+  init(container) {
+    this.container = container;
+
+    this.container.addEventListener('keydown', (e) => {
+      const card = e.target.closest('.card');
+      // Keys typed into an inline edit or with a modifier (undo) aren't ours
+      if (!card || e.target !== card || e.ctrlKey || e.metaKey || e.altKey) {
+        return;
+      }
+
+      // A reload (e.g. undo) replaced the held card; there is nothing left to move
+      if (this.held && !this.held.element.isConnected) {
+        this.held = null;
+      }
+
+      if (this.held) {
+        this.handleHeldKey(e);
+      } else {
+        this.handleKey(e, card);
+      }
+    });
+
+    // Moving focus away (Tab, a click elsewhere) puts a held card back
+    this.container.addEventListener('focusout', (e) => {
+      if (this.held && e.target === this.held.element && !this.repositioning) {
+        this.cancel();
+      }
+    });
+  },
+
+  /**
+   * Handle a key on a focused card
+   * @param {KeyboardEvent} e
+   * @param {HTMLElement} card
+   */
+  handleKey(e, card) {
+    const cards = this.visibleCards(card.closest('.column-cards'));
+    const index = cards.indexOf(card);
+    let target = null;
+
+    switch (e.key) {
+      case 'ArrowUp':
+        target = cards[index - 1];
+        break;
+      case 'ArrowDown':
+        target = cards[index + 1];
+        break;
+      case 'Home':
+      case 'End': {
+        // A long column may not have mounted its first or last card yet
+        const ids = ColumnManager.visibleCardIds(card.closest('.column-cards'));
+        target = ColumnManager.revealCard(e.key === 'Home' ? ids[0] : ids[ids.length - 1]);
+        break;
+      }
+      case 'ArrowLeft':
+      case 'ArrowRight':
+        target = this.cardAcross(card, e.key === 'ArrowLeft' ? -1 : 1);
+        break;
+      case 'Enter':
+        e.preventDefault();
+        if (BoardManager.canEdit()) {
+          ColumnManager.editCard(card.dataset.cardId);
+        }
+        return;
+      case ' ':
+        e.preventDefault();
+        if (!BoardManager.canEdit()) {
+          return;
+        }
+        if (e.shiftKey) {
+          this.toggleSelected(card);
+        } else {
+          this.pickUp(card);
+        }
+        return;
+      default:
+        return;
+    }
+
+    // Keep the page from scrolling even when there is nowhere to go
+    e.preventDefault();
+    if (target) {
+      target.focus();
+    }
+  },
+
+  /**
+   * Handle a key while a card is picked up
+   * @param {KeyboardEvent} e
+   */
+  handleHeldKey(e) {
+    switch (e.key) {
+      case 'ArrowUp':
+      case 'ArrowDown':
+        this.moveWithinColumn(e.key === 'ArrowUp' ? -1 : 1);
+        break;
+      case 'ArrowLeft':
+      case 'ArrowRight':
+        this.moveAcrossColumns(e.key === 'ArrowLeft' ? -1 : 1);
+        break;
+      case ' ':
+      case 'Enter':
+        this.drop();
+        break;
+      case 'Escape':
+        this.cancel();
+        break;
+      case 'Tab':
+        return; // Leaves the card, which cancels the move
+      default:
+        break;
+    }
+
+    e.preventDefault();
+  },
+
+  /**
+   * Start a keyboard move
+   * @param {HTMLElement} card
+   */
+  pickUp(card) {
+    const columnCards = card.closest('.column-cards');
+
+    this.held = {
+      element: card,
+      cardId: card.dataset.cardId,
+      sourceColumnId: columnCards.dataset.columnId,
+      originalIds: ColumnManager.getCardIds(columnCards.dataset.columnId).slice(),
+      moved: false
+    };
+
+    // .dragging also holds back remote re-renders until the card is dropped
+    card.classList.add('dragging', 'card-held');
+    card.setAttribute('aria-pressed', 'true');
+
+    Announcer.announce(`Picked up ${this.cardTitle(card)}. ${this.describePosition(card)}. ` +
+      'Use the arrow keys to move it, Space to drop it, Escape to cancel.');
+  },
+
+  /**
+   * Move the held card past the next visible card above or below it
+   * @param {number} direction - -1 for up, 1 for down
+   */
+  moveWithinColumn(direction) {
+    const { element } = this.held;
+    const others = this.visibleCards(element.closest('.column-cards')).filter(card => card !== element);
+    const before = others.filter(card => element.compareDocumentPosition(card) & Node.DOCUMENT_POSITION_PRECEDING);
+
+    if (direction < 0 && before.length > 0) {
+      this.reposition(() => before[before.length - 1].before(element));
+    } else if (direction > 0 && before.length < others.length) {
+      this.reposition(() => others[before.length].after(element));
+    } else {
+      Announcer.announce(direction < 0 ? 'Already at the top of the column' : 'Already at the bottom of the column');
+      return;
+    }
+
+    Announcer.announce(this.describePosition(element));
+  },
+
+  /**
+   * Move the held card into the next column left or right, at the same height
+   * @param {number} direction - -1 for left, 1 for right
+   */
+  moveAcrossColumns(direction) {
+    const { element } = this.held;
+    const lists = this.columnLists();
+    const current = element.closest('.column-cards');
+    const target = lists[lists.indexOf(current) + direction];
+
+    if (!target) {
+      Announcer.announce(direction < 0 ? 'Already in the first column' : 'Already in the last column');
+      return;
+    }
+
+    const index = this.visibleCards(current).indexOf(element);
+    const targetCards = this.visibleCards(target);
+    this.reposition(() => {
+      if (index < targetCards.length) {
+        targetCards[index].before(element);
+      } else {
+        target.appendChild(element);
+      }
+    });
+
+    Announcer.announce(this.describePosition(element));
+  },
+
+  /**
+   * Move the held card in the DOM without the blur counting as leaving it
+   * @param {function(): void} move
+   */
+  reposition(move) {
+    this.repositioning = true;
+    move();
+    this.held.element.focus();
+    this.repositioning = false;
+    this.held.moved = true;
+  },
+
+  // Save the held card where it now is
+  async drop() {
+    const { element, cardId, sourceColumnId, originalIds } = this.held;
+    const targetColumnId = element.closest('.column-cards').dataset.columnId;
+    // Counted among all the column's cards, mounted or not
+    const position = ColumnManager.positionOf(element);
+
+    Announcer.announce(`Dropped ${this.cardTitle(element)}. ${this.describePosition(element)}`);
+    this.release();
+
+    if (targetColumnId !== sourceColumnId) {
+      await ColumnManager.moveCard(cardId, targetColumnId, position);
+    } else {
+      const cardIds = originalIds.filter(id => id !== cardId);
+      cardIds.splice(position, 0, cardId);
+      if (cardIds.join() !== originalIds.join()) {
+        await ColumnManager.reorderCards(targetColumnId, cardIds);
+      }
+    }
+
+    // Apply any remote changes that arrived while the card was held
+    ColumnManager.flushPendingRender();
+  },
+
+  // Put the held card back where it was picked up
+  cancel() {
+    const { element, moved } = this.held;
+    this.release();
+
+    // The board's data never changed, so a render restores the old order
+    if (moved) {
+      ColumnManager.renderColumns();
+    } else {
+      ColumnManager.flushPendingRender();
+    }
+
+    const restored = this.container.querySelector(`.card[data-card-id="${element.dataset.cardId}"]`) || element;
+    Announcer.announce(`Move cancelled. ${this.cardTitle(restored)} is back. ${this.describePosition(restored)}`);
+  },
+
+  /**
+   * Add the focused card to the selection, or take it out
+   * @param {HTMLElement} card
+   */
+  toggleSelected(card) {
+    ColumnManager.toggleCardSelection(card.dataset.cardId);
+
+    const count = ColumnManager.getSelectedCardIds().length;
+    const state = card.classList.contains('card-selected') ? 'Selected' : 'Deselected';
+    Announcer.announce(`${state} ${this.cardTitle(card)}. ${count} card(s) selected`);
+  },
+
+  release() {
+    this.held.element.classList.remove('dragging', 'card-held');
+    this.held.element.removeAttribute('aria-pressed');
+    this.held = null;
+  },
+
+  /**
+   * Find the card to focus in the nearest column that has any, at about the same height
+   * @param {HTMLElement} card - Focused card
+   * @param {number} direction - -1 for left, 1 for right
+   * @returns {HTMLElement|null}
+   */
+  cardAcross(card, direction) {
+    const lists = this.columnLists();
+    const current = card.closest('.column-cards');
+    const index = this.visibleCards(current).indexOf(card);
+
+    for (let i = lists.indexOf(current) + direction; i >= 0 && i < lists.length; i += direction) {
+      const cards = this.visibleCards(lists[i]);
+      if (cards.length > 0) {
+        return cards[Math.min(index, cards.length - 1)];
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Describe where a card sits, e.g. "Position 2 of 5 in In Progress"
+   * @param {HTMLElement} card
+   * @returns {string}
+   */
+  describePosition(card) {
+    // A long column mounts only some of its cards, so count from the whole column
+    const cardIds = ColumnManager.visibleCardIds(card.closest('.column-cards'));
+    const column = card.closest('.column').querySelector('.column-title').textContent;
+    return `Position ${cardIds.indexOf(card.dataset.cardId) + 1} of ${cardIds.length} in ${column}`;
+  },
+
+  cardTitle(card) {
+    return card.querySelector('.card-title').textContent;
+  },
+
+  columnLists() {
+    return Array.from(this.container.querySelectorAll('.column-cards'));
+  },
+
+  // Cards the filter bar hides stay in the DOM but are skipped when navigating
+  visibleCards(columnCards) {
+    return Array.from(columnCards.querySelectorAll('.card:not(.hidden)'));
+  }
+};
+
+export default KeyboardNav;
@@ -0,0 +1,248 @@
+import { labelsApi, ConflictError, ValidationError } from './api.js';
+import Toast from './toast.js';
+import { ConfirmModal } from './modal.js';
+import FocusTrap from './focusTrap.js';
+
+// Colors a label can have (mirrors server/validation.js)
+const LABEL_COLORS = ['red', 'orange', 'yellow', 'green', 'blue', 'purple'];
+
+const LabelsPanel = {
+  modal: null,
+  list: null,
+  form: null,
+  nameInput: null,
+  colorSelect: null,
+  errorEl: null,
+  boardId: null,
+  editable: false,
+  labels: [],
+  focusController: null,
+
+  /**
+   * Wire up the labels modal
+   * @param {HTMLElement} modal - The #labels-modal overlay
+   */
+  init(modal) {
+    this.modal = modal;
+    this.list = modal.querySelector('#labels-list');
+    this.form = modal.querySelector('#labels-add-form');
+    this.nameInput = modal.querySelector('#labels-add-name');
+    this.colorSelect = modal.querySelector('#labels-add-color');
+    this.errorEl = modal.querySelector('[data-error-for="name"]');
+
+    this.fillColorSelect(this.colorSelect, LABEL_COLORS[0]);
+
+    modal.querySelector('.modal-close-btn').addEventListener('click', () => this.hide());
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        this.hide();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen()) {
+        this.hide();
+      }
+    });
+
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.add();
+    });
+
+    // Names save when the input loses focus or Enter is pressed; colors as soon as picked
+    this.list.addEventListener('change', (e) => {
+      const label = this.labelFor(e.target);
+      if (!label) return;
+
+      if (e.target.dataset.labelField === 'name') {
+        this.update(label, { name: e.target.value });
+      } else if (e.target.dataset.labelField === 'color') {
+        this.update(label, { color: e.target.value });
+      }
+    });
+
+    this.list.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-label-delete]');
+      const label = button ? this.labelFor(button) : null;
+      if (label) {
+        this.remove(label);
+      }
+    });
+  },
+
+  isOpen() {
+    return !this.modal.classList.contains('hidden');
+  },
+
+  /**
+   * Open a board's label catalog
+   * @param {string} boardId - Board ID
+   * @param {boolean} editable - Whether the signed-in user may change labels
+   */
+  async show(boardId, editable) {
+    this.boardId = boardId;
+    this.editable = editable;
+    this.labels = [];
+
+    this.form.classList.toggle('hidden', !editable);
+    this.showError(null);
+    this.render();
+    this.modal.classList.remove('hidden');
+
+    // Keep Tab inside the panel until it closes
+    this.focusController = new AbortController();
+    FocusTrap.trap(this.modal, this.focusController.signal);
+
+    await this.load();
+  },
+
+  hide() {
+    this.modal.classList.add('hidden');
+    this.form.reset();
+
+    if (this.focusController) {
+      this.focusController.abort();
+      this.focusController = null;
+    }
+  },
+
+  async load() {
+    try {
+      this.labels = await labelsApi.getByBoard(this.boardId);
+      this.render();
+    } catch (error) {
+      Toast.error('Failed to load labels');
+      console.error('LabelsPanel.load failed:', error);
+    }
+  },
+
+  labelFor(element) {
+    const itemEl = element.closest('[data-label-id]');
+    return itemEl ? this.labels.find(label => label.id === itemEl.dataset.labelId) : null;
+  },
+
+  fillColorSelect(select, selected) {
+    select.innerHTML = '';
+    LABEL_COLORS.forEach(color => {
+      const option = document.createElement('option');
+      option.value = color;
+      option.textContent = color.charAt(0).toUpperCase() + color.slice(1);
+      option.selected = color === selected;
+      select.appendChild(option);
+    });
+  },
+
+  render() {
+    this.list.innerHTML = '';
+
+    if (this.labels.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'labels-empty';
+      empty.textContent = 'This board has no labels yet';
+      this.list.appendChild(empty);
+      return;
+    }
+
+    this.labels.forEach(label => {
+      const itemEl = document.createElement('li');
+      itemEl.className = 'label-item';
+      itemEl.dataset.labelId = label.id;
+
+      const swatch = document.createElement('span');
+      swatch.className = `label-swatch card-label-${label.color}`;
+      itemEl.appendChild(swatch);
+
+      if (this.editable) {
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'form-input';
+        nameInput.value = label.name;
+        nameInput.dataset.labelField = 'name';
+        nameInput.setAttribute('aria-label', 'Label name');
+
+        const colorSelect = document.createElement('select');
+        colorSelect.className = 'form-input';
+        colorSelect.dataset.labelField = 'color';
+        colorSelect.setAttribute('aria-label', 'Label color');
+        this.fillColorSelect(colorSelect, label.color);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-secondary';
+        deleteBtn.dataset.labelDelete = '';
+        deleteBtn.textContent = 'Delete';
+
+        itemEl.append(nameInput, colorSelect, deleteBtn);
+      } else {
+        const name = document.createElement('span');
+        name.className = 'label-item-name';
+        name.textContent = label.name;
+        itemEl.appendChild(name);
+      }
+
+      this.list.appendChild(itemEl);
+    });
+  },
+
+  showError(message) {
+    this.errorEl.textContent = message || '';
+    this.errorEl.classList.toggle('hidden', !message);
+  },
+
+  async add() {
+    this.showError(null);
+
+    try {
+      await labelsApi.create(this.boardId, { name: this.nameInput.value, color: this.colorSelect.value });
+      this.nameInput.value = '';
+      await this.load();
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        this.showError(error.fields.name || error.message);
+        return;
+      }
+      Toast.error(`Failed to add label: ${error.message}`);
+      console.error('LabelsPanel.add failed:', error);
+    }
+  },
+
+  async update(label, changes) {
+    try {
+      await labelsApi.update(this.boardId, label.id, changes, label.version);
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        Toast.error('Someone else changed this label; showing their version');
+      } else {
+        Toast.error(`Failed to update label: ${error instanceof ValidationError ? Object.values(error.fields)[0] : error.message}`);
+        console.error('LabelsPanel.update failed:', error);
+      }
+    }
+    await this.load();
+  },
+
+  async remove(label) {
+    try {
+      const confirmed = await ConfirmModal.show(
+        'Delete Label',
+        `Delete the label "${label.name}"? It will be removed from every card on this board.`
+      );
+      if (!confirmed) return;
+
+      await labelsApi.delete(this.boardId, label.id);
+      Toast.success(`Deleted label "${label.name}"`);
+      await this.load();
+    } catch (error) {
+      Toast.error(`Failed to delete label: ${error.message}`);
+      console.error('LabelsPanel.remove failed:', error);
+    }
+  },
+
+  applyEvent(event) {
+    if (this.isOpen() && event.board_id === this.boardId && event.type.startsWith('label.')) {
+      this.load();
+    }
+  }
+};
+
+export default LabelsPanel;
@@ -0,0 +1,253 @@
+import { membersApi, ValidationError } from './api.js';
+import Toast from './toast.js';
+import { ConfirmModal } from './modal.js';
+import FocusTrap from './focusTrap.js';
+
+// Roles from least to most privileged (mirrors server/members.js)
+const ROLES = ['viewer', 'editor', 'owner'];
+
+const MembersPanel = {
+  modal: null,
+  list: null,
+  form: null,
+  emailInput: null,
+  roleSelect: null,
+  errorEl: null,
+  boardId: null,
+  role: null,
+  userId: null,
+  members: [],
+  focusController: null,
+
+  /**
+   * Wire up the members modal
+   * @param {HTMLElement} modal - The #members-modal overlay
+   * @param {string} userId - ID of the signed-in user
+   */
+  init(modal, userId) {
+    this.modal = modal;
+    this.userId = userId;
+    this.list = modal.querySelector('#members-list');
+    this.form = modal.querySelector('#members-add-form');
+    this.emailInput = modal.querySelector('#members-add-email');
+    this.roleSelect = modal.querySelector('#members-add-role');
+    this.errorEl = modal.querySelector('[data-error-for="email"]');
+
+    modal.querySelector('.modal-close-btn').addEventListener('click', () => this.hide());
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        this.hide();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen()) {
+        this.hide();
+      }
+    });
+
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.add();
+    });
+
+    this.list.addEventListener('change', (e) => {
+      const select = e.target.closest('[data-member-role]');
+      if (select) {
+        this.changeRole(select.dataset.memberRole, select.value);
+      }
+    });
+
+    this.list.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-member-remove]');
+      if (!button) return;
+
+      const member = this.members.find(m => m.user_id === button.dataset.memberRemove);
+      if (member) {
+        this.remove(member);
+      }
+    });
+  },
+
+  isOpen() {
+    return !this.modal.classList.contains('hidden');
+  },
+
+  /**
+   * Open the members list for a board
+   * @param {string} boardId - Board ID
+   * @param {string} role - The signed-in user's role on it (owners can manage members)
+   */
+  async show(boardId, role) {
+    this.boardId = boardId;
+    this.role = role;
+    this.members = [];
+
+    this.form.classList.toggle('hidden', role !== 'owner');
+    this.showError(null);
+    this.render();
+    this.modal.classList.remove('hidden');
+
+    // Keep Tab inside the panel until it closes
+    this.focusController = new AbortController();
+    FocusTrap.trap(this.modal, this.focusController.signal);
+
+    await this.load();
+  },
+
+  hide() {
+    this.modal.classList.add('hidden');
+    this.form.reset();
+
+    if (this.focusController) {
+      this.focusController.abort();
+      this.focusController = null;
+    }
+  },
+
+  async load() {
+    try {
+      this.members = await membersApi.getByBoard(this.boardId);
+      this.render();
+    } catch (error) {
+      Toast.error('Failed to load members');
+      console.error('MembersPanel.load failed:', error);
+    }
+  },
+
+  render() {
+    this.list.innerHTML = '';
+    const isOwner = this.role === 'owner';
+
+    this.members.forEach(member => {
+      const isSelf = member.user_id === this.userId;
+      const itemEl = document.createElement('li');
+      itemEl.className = 'member-item';
+      itemEl.innerHTML = `
+        <div class="member-info">
+          <div class="member-name"></div>
+          <div class="member-email"></div>
+        </div>
+        <div class="member-actions"></div>
+      `;
+
+      itemEl.querySelector('.member-name').textContent = isSelf ? `${member.name} (you)` : member.name;
+      itemEl.querySelector('.member-email').textContent = member.email || '';
+
+      const actions = itemEl.querySelector('.member-actions');
+
+      if (isOwner) {
+        const select = document.createElement('select');
+        select.className = 'form-input member-role-select';
+        select.dataset.memberRole = member.user_id;
+        ROLES.forEach(role => {
+          const option = document.createElement('option');
+          option.value = role;
+          option.textContent = role.charAt(0).toUpperCase() + role.slice(1);
+          option.selected = role === member.role;
+          select.appendChild(option);
+        });
+        actions.appendChild(select);
+      } else {
+        const roleEl = document.createElement('span');
+        roleEl.className = 'member-role';
+        roleEl.textContent = member.role;
+        actions.appendChild(roleEl);
+      }
+
+      if (isOwner || isSelf) {
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn-secondary';
+        removeBtn.dataset.memberRemove = member.user_id;
+        removeBtn.textContent = isSelf ? 'Leave' : 'Remove';
+        actions.appendChild(removeBtn);
+      }
+
+      this.list.appendChild(itemEl);
+    });
+  },
+
+  showError(message) {
+    this.errorEl.textContent = message || '';
+    this.errorEl.classList.toggle('hidden', !message);
+  },
+
+  async add() {
+    this.showError(null);
+
+    try {
+      const member = await membersApi.add(this.boardId, this.emailInput.value, this.roleSelect.value);
+      Toast.success(`Added ${member.name}`);
+      this.emailInput.value = '';
+      await this.load();
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        this.showError(error.fields.email || error.message);
+        return;
+      }
+      Toast.error(`Failed to add member: ${error.message}`);
+      console.error('MembersPanel.add failed:', error);
+    }
+  },
+
+  async changeRole(userId, role) {
+    try {
+      await membersApi.update(this.boardId, userId, role);
+      Toast.success('Role updated');
+    } catch (error) {
+      Toast.error(`Failed to change role: ${error.message}`);
+      console.error('MembersPanel.changeRole failed:', error);
+    }
+    await this.load();
+  },
+
+  async remove(member) {
+    const isSelf = member.user_id === this.userId;
+
+    try {
+      const confirmed = await ConfirmModal.show(
+        isSelf ? 'Leave Board' : 'Remove Member',
+        isSelf
+          ? 'Leave this board? You will lose access until an owner adds you again.'
+          : `Remove ${member.name} from this board?`
+      );
+
+      if (!confirmed) return;
+
+      await membersApi.remove(this.boardId, member.user_id);
+
+      if (isSelf) {
+        this.hide();
+        return;
+      }
+
+      Toast.success(`Removed ${member.name}`);
+      await this.load();
+    } catch (error) {
+      Toast.error(`Failed to remove member: ${error.message}`);
+      console.error('MembersPanel.remove failed:', error);
+    }
+  },
+
+  applyEvent(event) {
+    if (!this.isOpen() || event.board_id !== this.boardId || !event.type.startsWith('member.')) {
+      return;
+    }
+
+    if (event.data.user_id === this.userId) {
+      if (event.type === 'member.removed') {
+        this.hide();
+        return;
+      }
+      if (event.type === 'member.updated') {
+        this.role = event.data.role;
+        this.form.classList.toggle('hidden', this.role !== 'owner');
+      }
+    }
+
+    this.load();
+  }
+};
+
+export default MembersPanel;
@@ -1,4 +1,8 @@
 // Modal classes for user interactions
+import Avatar from './avatar.js';
+import CommentThread from './commentThread.js';
+import ChecklistEditor from './checklistEditor.js';
+import FocusTrap from './focusTrap.js';
 
 class InputModal {
   static show(title, placeholder = '', defaultValue = '') {
@@ -14,11 +18,12 @@ class InputModal {
       input.placeholder = placeholder;
       input.value = defaultValue;
       modal.classList.remove('hidden');
-      input.focus();
 
       // Create AbortController for cleanup
       const controller = new AbortController();
       const signal = controller.signal;
+      FocusTrap.trap(modal, signal);
+      input.focus();
 
       const hideModal = () => {
         modal.classList.add('hidden');
@@ -75,6 +80,7 @@ class ConfirmModal {
       // Create AbortController for cleanup
       const controller = new AbortController();
       const signal = controller.signal;
+      FocusTrap.trap(modal, signal);
 
       const hideModal = () => {
         modal.classList.add('hidden');
@@ -111,28 +117,71 @@ class ConfirmModal {
 }
 
 class CardModal {
-  static show(card = null) {
+  /**
+   * Show the card editor
+   * @param {object|null} card - Card to edit, or null to create one
+   * @param {object} [options] - { conflict?: Card, errors?: object, members?: Member[], labels?: Label[] }
+   *   conflict: server copy to offer when a save hit a version conflict
+   *   errors: field-level messages from a rejected save, keyed by field name
+   *   members: board members offered in the assignee picker
+   *   labels: the board's label catalog offered in the label picker
+   * @returns {Promise<object|null>} Form values, { delete: true }, or null if cancelled
+   */
+  static show(card = null, options = {}) {
     return new Promise((resolve) => {
       const modal = document.getElementById('card-modal');
       const titleInput = document.getElementById('card-modal-title');
       const descriptionInput = document.getElementById('card-modal-description');
       const dueDateInput = document.getElementById('card-modal-due-date');
       const labelsContainer = document.getElementById('card-modal-labels');
+      const assigneesContainer = document.getElementById('card-modal-assignees');
       const cancelBtn = document.getElementById('card-modal-cancel');
       const saveBtn = document.getElementById('card-modal-save');
       const deleteBtn = document.getElementById('card-modal-delete');
       const closeBtn = modal.querySelector('.modal-close-btn');
+      const conflictBanner = document.getElementById('card-modal-conflict');
+      const conflictMessage = document.getElementById('card-modal-conflict-message');
+      const useTheirsBtn = document.getElementById('card-modal-use-theirs');
+      const { conflict = null, errors = null, members = [], labels = [] } = options;
 
       // Create AbortController for cleanup
       const controller = new AbortController();
       const signal = controller.signal;
 
-      // Set up modal based on mode (edit or create)
-      if (card) {
-        // Edit mode
-        titleInput.value = card.title || '';
-        descriptionInput.value = card.description || '';
-        dueDateInput.value = card.due_date || '';
+      // One toggle per label in the board's catalog
+      labelsContainer.innerHTML = '';
+      labels.forEach(label => {
+        const option = document.createElement('button');
+        option.type = 'button';
+        option.className = `label-option card-label-${label.color}`;
+        option.dataset.labelId = label.id;
+        option.textContent = label.name;
+        labelsContainer.appendChild(option);
+      });
+      if (labels.length === 0) {
+        labelsContainer.textContent = 'No labels yet. Add some from Labels in the board header.';
+      }
+
+      // One toggle per board member
+      assigneesContainer.innerHTML = '';
+      members.forEach(member => {
+        const option = document.createElement('button');
+        option.type = 'button';
+        option.className = 'assignee-option';
+        option.dataset.userId = member.user_id;
+        option.appendChild(Avatar.create(member));
+        option.appendChild(document.createTextNode(member.name));
+        assigneesContainer.appendChild(option);
+      });
+      if (members.length === 0) {
+        assigneesContainer.textContent = 'No members to assign';
+      }
+
+      const fillForm = (data) => {
+        titleInput.value = data.title || '';
+        descriptionInput.value = data.description || '';
+        // Date inputs only take YYYY-MM-DD; older cards may hold a full timestamp
+        dueDateInput.value = data.due_date ? data.due_date.slice(0, 10) : '';
 
         // Clear all label selections first
         const labelOptions = labelsContainer.querySelectorAll('.label-option');
@@ -141,36 +190,68 @@ class CardModal {
         });
 
         // Select labels from card
-        if (card.labels && Array.isArray(card.labels)) {
-          card.labels.forEach(color => {
-            const labelOption = labelsContainer.querySelector(`[data-color="${color}"]`);
+        if (data.labels && Array.isArray(data.labels)) {
+          data.labels.forEach(labelId => {
+            const labelOption = labelsContainer.querySelector(`[data-label-id="${labelId}"]`);
             if (labelOption) {
               labelOption.classList.add('label-option-selected');
             }
           });
         }
 
-        deleteBtn.classList.remove('hidden');
-      } else {
-        // Create mode
-        titleInput.value = '';
-        descriptionInput.value = '';
-        dueDateInput.value = '';
+        const assignees = data.assignees || [];
+        assigneesContainer.querySelectorAll('.assignee-option').forEach(option => {
+          option.classList.toggle('assignee-option-selected', assignees.includes(option.dataset.userId));
+        });
+      };
 
-        // Clear all label selections
-        const labelOptions = labelsContainer.querySelectorAll('.label-option');
-        labelOptions.forEach(option => {
-          option.classList.remove('label-option-selected');
+      // Show each field's error under its input, clearing old ones
+      const showErrors = (fieldErrors) => {
+        modal.querySelectorAll('[data-error-for]').forEach(errorEl => {
+          const message = fieldErrors && fieldErrors[errorEl.dataset.errorFor];
+          errorEl.textContent = message || '';
+          errorEl.classList.toggle('hidden', !message);
         });
+      };
 
+      // Set up modal based on mode (edit or create); a draft without an ID is a new card
+      fillForm(card || {});
+      showErrors(errors);
+      if (card && card.id) {
+        deleteBtn.classList.remove('hidden');
+      } else {
         deleteBtn.classList.add('hidden');
       }
 
+      // Offer to overwrite or load the newer server copy after a conflict
+      if (conflict) {
+        const changedFields = ['title', 'description', 'due_date', 'labels', 'assignees'].filter(field =>
+          JSON.stringify(conflict[field] || null) !== JSON.stringify(card[field] || null)
+        );
+        const fieldNames = changedFields.map(field => field.replace('_', ' ')).join(', ');
+
+        conflictMessage.textContent = changedFields.length > 0
+          ? `Someone else changed this card while you were editing (${fieldNames}). Save to overwrite their changes, or load their version.`
+          : 'Someone else changed this card while you were editing. Save to overwrite their changes, or load their version.';
+        conflictBanner.classList.remove('hidden');
+        saveBtn.textContent = 'Overwrite';
+      } else {
+        conflictBanner.classList.add('hidden');
+        saveBtn.textContent = 'Save';
+      }
+
+      // Existing cards show their checklists and comment thread
+      ChecklistEditor.open(card && card.id ? card.id : null);
+      CommentThread.open(card && card.id ? card.id : null);
+
       modal.classList.remove('hidden');
+      FocusTrap.trap(modal, signal);
       titleInput.focus();
 
       const hideModal = () => {
         modal.classList.add('hidden');
+        ChecklistEditor.close();
+        CommentThread.close();
         controller.abort();
       };
 
@@ -184,6 +265,7 @@ class CardModal {
 
         // Validate title
         if (!title) {
+          showErrors({ title: 'Title is required' });
           titleInput.focus();
           return;
         }
@@ -194,14 +276,19 @@ class CardModal {
         // Get selected labels
         const selectedLabels = Array.from(
           labelsContainer.querySelectorAll('.label-option-selected')
-        ).map(option => option.getAttribute('data-color'));
+        ).map(option => option.dataset.labelId);
+
+        const selectedAssignees = Array.from(
+          assigneesContainer.querySelectorAll('.assignee-option-selected')
+        ).map(option => option.dataset.userId);
 
         hideModal();
         resolve({
           title,
           description,
           due_date,
-          labels: selectedLabels
+          labels: selectedLabels,
+          assignees: selectedAssignees
         });
       };
 
@@ -210,6 +297,12 @@ class CardModal {
         resolve({ delete: true });
       };
 
+      const handleUseTheirs = () => {
+        fillForm(conflict);
+        conflictBanner.classList.add('hidden');
+        saveBtn.textContent = 'Save';
+      };
+
       // Label picker toggle functionality
       const labelOptions = labelsContainer.querySelectorAll('.label-option');
       labelOptions.forEach(option => {
@@ -218,15 +311,246 @@ class CardModal {
         }, { signal });
       });
 
+      assigneesContainer.querySelectorAll('.assignee-option').forEach(option => {
+        option.addEventListener('click', () => {
+          option.classList.toggle('assignee-option-selected');
+        }, { signal });
+      });
+
       // Event listeners with AbortController
       cancelBtn.addEventListener('click', handleCancel, { signal });
       saveBtn.addEventListener('click', handleSave, { signal });
       deleteBtn.addEventListener('click', handleDelete, { signal });
+      useTheirsBtn.addEventListener('click', handleUseTheirs, { signal });
 
       if (closeBtn) {
         closeBtn.addEventListener('click', handleCancel, { signal });
       }
 
+      // Leave Escape to a dialog opened on top (e.g. deleting a comment)
+      document.addEventListener('keydown', (e) => {
+        const dialogOnTop = ['confirm-modal', 'input-modal'].some(id =>
+          !document.getElementById(id).classList.contains('hidden')
+        );
+        if (e.key === 'Escape' && !dialogOnTop) {
+          handleCancel();
+        }
+      }, { signal });
+
+      modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+          handleCancel();
+        }
+      }, { signal });
+    });
+  }
+}
+
+class NewBoardModal {
+  /**
+   * Ask for a new board's name and the template to start it from
+   * @param {object[]} templates - Templates offered besides a blank board
+   * @param {object} [options] - { onDeleteTemplate?: function(object): Promise<boolean> }
+   *   onDeleteTemplate: called by a saved template's delete button; resolves true once deleted
+   * @returns {Promise<{ name: string, templateId: string|null }|null>} null if cancelled
+   */
+  static show(templates, options = {}) {
+    return new Promise((resolve) => {
+      const modal = document.getElementById('new-board-modal');
+      const nameInput = document.getElementById('new-board-name');
+      const nameError = modal.querySelector('[data-error-for="name"]');
+      const list = document.getElementById('new-board-templates');
+      const cancelBtn = document.getElementById('new-board-cancel');
+      const createBtn = document.getElementById('new-board-create');
+      const closeBtn = modal.querySelector('.modal-close-btn');
+
+      const controller = new AbortController();
+      const signal = controller.signal;
+
+      let available = templates.slice();
+      let selectedId = '';
+
+      const render = () => {
+        list.innerHTML = '';
+
+        [{ id: '', name: 'Blank board', builtin: true, labels: [], columns: [] }, ...available].forEach(template => {
+          const itemEl = document.createElement('li');
+          itemEl.className = 'template-option';
+          itemEl.innerHTML = `
+            <label class="template-option-label">
+              <input type="radio" name="new-board-template">
+              <span class="template-option-text">
+                <span class="template-option-name"></span>
+                <span class="template-option-detail"></span>
+              </span>
+            </label>
+          `;
+
+          const radio = itemEl.querySelector('input');
+          radio.value = template.id;
+          radio.checked = template.id === selectedId;
+          itemEl.querySelector('.template-option-name').textContent = template.builtin || !template.id
+            ? template.name
+            : `${template.name} (saved)`;
+
+          const cardCount = template.columns.reduce((total, column) => total + column.cards.length, 0);
+          const details = [template.columns.length > 0 ? template.columns.map(column => column.title).join(' · ') : 'No columns'];
+          if (template.labels.length > 0) details.push(`${template.labels.length} label(s)`);
+          if (cardCount > 0) details.push(`${cardCount} starter card(s)`);
+          itemEl.querySelector('.template-option-detail').textContent = details.join(', ');
+
+          if (template.id && !template.builtin && options.onDeleteTemplate) {
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-link';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.setAttribute('aria-label', `Delete template ${template.name}`);
+            deleteBtn.addEventListener('click', async () => {
+              if (await options.onDeleteTemplate(template)) {
+                available = available.filter(t => t.id !== template.id);
+                if (selectedId === template.id) {
+                  selectedId = '';
+                }
+                render();
+              }
+            }, { signal });
+            itemEl.appendChild(deleteBtn);
+          }
+
+          radio.addEventListener('change', () => {
+            selectedId = template.id;
+          }, { signal });
+
+          list.appendChild(itemEl);
+        });
+      };
+
+      const showNameError = (message) => {
+        nameError.textContent = message || '';
+        nameError.classList.toggle('hidden', !message);
+      };
+
+      nameInput.value = '';
+      showNameError(null);
+      render();
+      modal.classList.remove('hidden');
+      FocusTrap.trap(modal, signal);
+      nameInput.focus();
+
+      const hideModal = () => {
+        modal.classList.add('hidden');
+        controller.abort();
+      };
+
+      const handleCancel = () => {
+        hideModal();
+        resolve(null);
+      };
+
+      const handleCreate = () => {
+        const name = nameInput.value.trim();
+        if (!name) {
+          showNameError('Name is required');
+          nameInput.focus();
+          return;
+        }
+
+        hideModal();
+        resolve({ name, templateId: selectedId || null });
+      };
+
+      cancelBtn.addEventListener('click', handleCancel, { signal });
+      createBtn.addEventListener('click', handleCreate, { signal });
+      closeBtn.addEventListener('click', handleCancel, { signal });
+
+      nameInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          handleCreate();
+        }
+      }, { signal });
+
+      // Leave Escape to the dialog confirming a template delete
+      document.addEventListener('keydown', (e) => {
+        const confirmOpen = !document.getElementById('confirm-modal').classList.contains('hidden');
+        if (e.key === 'Escape' && !confirmOpen) {
+          handleCancel();
+        }
+      }, { signal });
+
+      modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+          handleCancel();
+        }
+      }, { signal });
+    });
+  }
+}
+
+class BoardCopyModal {
+  /**
+   * Ask for the name of a copy of the current board, and whether its cards go too
+   * (used to duplicate a board and to save one as a template)
+   * @param {string} title - Modal title
+   * @param {string} defaultName - Name to start from
+   * @param {object} [options] - { submitLabel?: string, includeCards?: boolean }
+   *   submitLabel: text of the submit button; includeCards: whether the box starts ticked
+   * @returns {Promise<{ name: string, includeCards: boolean }|null>} null if cancelled
+   */
+  static show(title, defaultName, options = {}) {
+    return new Promise((resolve) => {
+      const modal = document.getElementById('board-copy-modal');
+      const titleEl = document.getElementById('board-copy-modal-title');
+      const nameInput = document.getElementById('board-copy-name');
+      const nameError = modal.querySelector('[data-error-for="name"]');
+      const includeCardsInput = document.getElementById('board-copy-include-cards');
+      const cancelBtn = document.getElementById('board-copy-cancel');
+      const submitBtn = document.getElementById('board-copy-submit');
+
+      titleEl.textContent = title;
+      nameInput.value = defaultName;
+      includeCardsInput.checked = options.includeCards !== false;
+      submitBtn.textContent = options.submitLabel || 'Save';
+      nameError.classList.add('hidden');
+      modal.classList.remove('hidden');
+
+      const controller = new AbortController();
+      const signal = controller.signal;
+      FocusTrap.trap(modal, signal);
+      nameInput.focus();
+      nameInput.select();
+
+      const hideModal = () => {
+        modal.classList.add('hidden');
+        controller.abort();
+      };
+
+      const handleCancel = () => {
+        hideModal();
+        resolve(null);
+      };
+
+      const handleSubmit = () => {
+        const name = nameInput.value.trim();
+        if (!name) {
+          nameError.textContent = 'Name is required';
+          nameError.classList.remove('hidden');
+          nameInput.focus();
+          return;
+        }
+
+        hideModal();
+        resolve({ name, includeCards: includeCardsInput.checked });
+      };
+
+      cancelBtn.addEventListener('click', handleCancel, { signal });
+      submitBtn.addEventListener('click', handleSubmit, { signal });
+
+      nameInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          handleSubmit();
+        }
+      }, { signal });
+
       document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape') {
           handleCancel();
@@ -242,4 +566,4 @@ class CardModal {
   }
 }
 
-export { InputModal, ConfirmModal, CardModal };
+export { InputModal, ConfirmModal, CardModal, NewBoardModal, BoardCopyModal };
@@ -0,0 +1,99 @@
+import { cardsApi } from './api.js';
+import Toast from './toast.js';
+
+const MyCardsView = {
+  view: null,
+  list: null,
+  cards: [],
+  visible: false,
+  onOpen: null,
+
+  /**
+   * @param {HTMLElement} view - The #my-cards-view element
+   * @param {function(object): void} onOpen - Called with a card when it is clicked
+   */
+  init(view, onOpen) {
+    this.view = view;
+    this.list = view.querySelector('#my-cards-list');
+    this.onOpen = onOpen;
+
+    this.list.addEventListener('click', (e) => {
+      const itemEl = e.target.closest('[data-card-id]');
+      if (!itemEl) return;
+
+      const card = this.cards.find(c => c.id === itemEl.dataset.cardId);
+      if (card && this.onOpen) {
+        this.onOpen(card);
+      }
+    });
+  },
+
+  // BoardManager.showView hides the board UI around this
+  async show() {
+    this.visible = true;
+    this.view.classList.remove('hidden');
+    document.getElementById('board-title').textContent = 'My cards';
+    await this.load();
+  },
+
+  hide() {
+    this.visible = false;
+    this.view.classList.add('hidden');
+  },
+
+  async load() {
+    try {
+      this.cards = await cardsApi.getMine();
+      this.render();
+    } catch (error) {
+      Toast.error('Failed to load your cards');
+      console.error('MyCardsView.load failed:', error);
+    }
+  },
+
+  render() {
+    this.list.innerHTML = '';
+
+    if (this.cards.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'my-cards-empty';
+      empty.textContent = 'No cards are assigned to you';
+      this.list.appendChild(empty);
+      return;
+    }
+
+    this.cards.forEach(card => {
+      const itemEl = document.createElement('li');
+      itemEl.className = 'my-card-item';
+      itemEl.dataset.cardId = card.id;
+      itemEl.innerHTML = `
+        <div class="my-card-info">
+          <span class="my-card-title"></span>
+          <div class="my-card-context"></div>
+        </div>
+        <div class="my-card-due"></div>
+      `;
+
+      itemEl.querySelector('.my-card-title').textContent = card.title;
+      itemEl.querySelector('.my-card-context').textContent = `${card.board_name} › ${card.column_title}`;
+
+      const due = itemEl.querySelector('.my-card-due');
+      if (card.due_date) {
+        const dueDate = new Date(card.due_date);
+        due.textContent = `📅 ${dueDate.toLocaleDateString()}`;
+        due.classList.toggle('card-due-date-overdue', card.due_date.slice(0, 10) < new Date().toISOString().slice(0, 10));
+      }
+
+      this.list.appendChild(itemEl);
+    });
+  },
+
+  applyEvent(event) {
+    // Any card change on any of the user's boards may add to or remove from the list
+    if (this.visible && /^(cards?|column|board|member)\./.test(event.type)) {
+      this.load();
+    }
+  }
+};
+
+export default MyCardsView;
@@ -0,0 +1,73 @@
+/**
+ * Real-time sync module
+ * Subscribes to the server's change event stream and hands each event to
+ * the registered handlers so other users' changes show up without a reload.
+ * Events sent while the stream was down are not replayed, so each reconnect
+ * runs the reconnect handlers to reload what they show instead.
+ */
+
+const SyncManager = {
+  eventSource: null,
+  handlers: [],
+  reconnectHandlers: [],
+  connected: false,
+
+  /**
+   * Open the event stream
+   * EventSource reconnects on its own after network errors.
+   */
+  init() {
+    this.eventSource = new EventSource('/api/events');
+
+    this.eventSource.addEventListener('open', () => {
+      if (!this.connected) {
+        this.connected = true;
+        return;
+      }
+
+      this.reconnectHandlers.forEach(async handler => {
+        try {
+          await handler();
+        } catch (err) {
+          console.error('SyncManager reconnect handler failed:', err);
+        }
+      });
+    });
+
+    this.eventSource.addEventListener('message', (e) => {
+      let event;
+      try {
+        event = JSON.parse(e.data);
+      } catch (err) {
+        console.error('SyncManager received malformed event:', err);
+        return;
+      }
+
+      this.handlers.forEach(handler => {
+        try {
+          handler(event);
+        } catch (err) {
+          console.error(`SyncManager handler failed for ${event.type}:`, err);
+        }
+      });
+    });
+  },
+
+  /**
+   * Register a handler for change events
+   * @param {function({ type: string, board_id: string, data: object }): void} handler
+   */
+  onEvent(handler) {
+    this.handlers.push(handler);
+  },
+
+  /**
+   * Register a handler to run each time the stream reconnects after a drop
+   * @param {function(): (void|Promise<void>)} handler
+   */
+  onReconnect(handler) {
+    this.reconnectHandlers.push(handler);
+  }
+};
+
+export default SyncManager;
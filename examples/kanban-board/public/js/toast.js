@@ -1,15 +1,21 @@
 /**
  * Toast notification module
- * Displays success/error/info messages with auto-dismiss
+ * Displays success/error/info messages with auto-dismiss and an optional
+ * action button (e.g. "Undo")
  */
 
+// How long a toast stays up, longer when it offers an action
+const DISMISS_MS = 3000;
+const ACTION_DISMISS_MS = 6000;
+
 const Toast = {
   /**
    * Shows a success toast notification
    * @param {string} message - The message to display
+   * @param {object} [options] - { action?: { label: string, onClick: function } }
    */
-  success(message) {
-    this._showToast(message, 'success');
+  success(message, options) {
+    this._showToast(message, 'success', options);
   },
 
   /**
@@ -23,9 +29,10 @@ const Toast = {
   /**
    * Shows an info toast notification
    * @param {string} message - The message to display
+   * @param {object} [options] - { action?: { label: string, onClick: function } }
    */
-  info(message) {
-    this._showToast(message, 'info');
+  info(message, options) {
+    this._showToast(message, 'info', options);
   },
 
   /**
@@ -33,8 +40,9 @@ const Toast = {
    * @private
    * @param {string} message - The message to display
    * @param {string} type - The toast type (success, error, info)
+   * @param {object} [options] - { action?: { label: string, onClick: function } }
    */
-  _showToast(message, type) {
+  _showToast(message, type, options = {}) {
     const container = document.getElementById('toast-container');
     if (!container) {
       console.error('Toast container not found');
@@ -43,17 +51,13 @@ const Toast = {
 
     const toast = document.createElement('div');
     toast.className = `toast toast-${type}`;
-    toast.textContent = message;
 
-    container.appendChild(toast);
+    const messageEl = document.createElement('span');
+    messageEl.className = 'toast-message';
+    messageEl.textContent = message;
+    toast.appendChild(messageEl);
 
-    // Trigger animation by adding a small delay
-    requestAnimationFrame(() => {
-      toast.style.animation = 'slide-in 0.3s ease-out';
-    });
-
-    // Auto-remove after 3 seconds with fade out animation
-    setTimeout(() => {
+    const dismiss = () => {
       toast.style.opacity = '0';
       toast.style.transform = 'translateX(100%)';
 
@@ -63,7 +67,28 @@ const Toast = {
           container.removeChild(toast);
         }
       }, 300);
-    }, 3000);
+    };
+
+    if (options.action) {
+      const actionBtn = document.createElement('button');
+      actionBtn.className = 'toast-action';
+      actionBtn.textContent = options.action.label;
+      actionBtn.addEventListener('click', () => {
+        dismiss();
+        options.action.onClick();
+      }, { once: true });
+      toast.appendChild(actionBtn);
+    }
+
+    container.appendChild(toast);
+
+    // Trigger animation by adding a small delay
+    requestAnimationFrame(() => {
+      toast.style.animation = 'slide-in 0.3s ease-out';
+    });
+
+    // Auto-remove with fade out animation
+    setTimeout(dismiss, options.action ? ACTION_DISMISS_MS : DISMISS_MS);
   }
 };
 
@@ -0,0 +1,134 @@
+import { trashApi } from './api.js';
+import Toast from './toast.js';
+import { ConfirmModal } from './modal.js';
+
+const TrashView = {
+  view: null,
+  list: null,
+  items: [],
+  visible: false,
+
+  init(view) {
+    this.view = view;
+    this.list = view.querySelector('#trash-list');
+
+    this.list.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-trash-action]');
+      if (!button) return;
+
+      const item = this.items.find(i => i.id === button.dataset.id);
+      if (!item) return;
+
+      if (button.dataset.trashAction === 'restore') {
+        this.restore(item);
+      } else {
+        this.purge(item);
+      }
+    });
+  },
+
+  // BoardManager.showView hides the board UI around this
+  async show() {
+    this.visible = true;
+    this.view.classList.remove('hidden');
+    document.getElementById('board-title').textContent = 'Trash';
+    await this.load();
+  },
+
+  hide() {
+    this.visible = false;
+    this.view.classList.add('hidden');
+  },
+
+  async load() {
+    try {
+      this.items = await trashApi.getAll();
+      this.render();
+    } catch (error) {
+      Toast.error('Failed to load trash');
+      console.error('TrashView.load failed:', error);
+    }
+  },
+
+  render() {
+    this.list.innerHTML = '';
+
+    if (this.items.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'trash-empty';
+      empty.textContent = 'Trash is empty';
+      this.list.appendChild(empty);
+      return;
+    }
+
+    this.items.forEach(item => {
+      const itemEl = document.createElement('li');
+      itemEl.className = 'trash-item';
+      itemEl.innerHTML = `
+        <div class="trash-item-info">
+          <span class="trash-item-type">${item.type}</span>
+          <span class="trash-item-name"></span>
+          <div class="trash-item-context"></div>
+        </div>
+        <div class="trash-item-actions">
+          <button class="btn btn-secondary" data-trash-action="restore" data-id="${item.id}">Restore</button>
+          <button class="btn btn-danger" data-trash-action="purge" data-id="${item.id}">Delete Forever</button>
+        </div>
+      `;
+
+      itemEl.querySelector('.trash-item-name').textContent = item.name;
+      itemEl.querySelector('.trash-item-context').textContent = this.describeContext(item);
+
+      this.list.appendChild(itemEl);
+    });
+  },
+
+  describeContext(item) {
+    const deleted = `deleted ${new Date(item.deleted_at).toLocaleString()}`;
+
+    if (item.type === 'card') {
+      return `${item.board_name} › ${item.column_title} · ${deleted}`;
+    }
+    if (item.type === 'column') {
+      return `${item.board_name} · ${item.card_count} card(s) · ${deleted}`;
+    }
+    return deleted;
+  },
+
+  async restore(item) {
+    try {
+      await trashApi.restore(item.type, item.id);
+      Toast.success(`Restored "${item.name}"`);
+      await this.load();
+    } catch (error) {
+      Toast.error(`Failed to restore: ${error.message}`);
+      console.error('TrashView.restore failed:', error);
+    }
+  },
+
+  async purge(item) {
+    try {
+      const confirmed = await ConfirmModal.show(
+        'Delete Forever',
+        `Permanently delete "${item.name}"? This cannot be undone.`
+      );
+
+      if (!confirmed) return;
+
+      await trashApi.purge(item.type, item.id);
+      Toast.success(`Permanently deleted "${item.name}"`);
+      await this.load();
+    } catch (error) {
+      Toast.error('Failed to delete item');
+      console.error('TrashView.purge failed:', error);
+    }
+  },
+
+  applyEvent(event) {
+    if (this.visible && /\.(deleted|restored|purged)$/.test(event.type)) {
+      this.load();
+    }
+  }
+};
+
+export default TrashView;
@@ -0,0 +1,226 @@
+import db from './db.js';
+import { broadcast } from './events.js';
+
+/**
+ * Activity log
+ * Records every board, column and card mutation with a field-level diff and
+ * a human-readable summary. The before/after snapshots only feed those two
+ * and are not stored, and each board keeps its newest MAX_ENTRIES_PER_BOARD
+ * entries, since the log lives in the same data file as everything else.
+ */
+
+// Page size limits for GET /api/boards/:id/activity
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Entries kept per board; older ones are dropped as new ones arrive
+const MAX_ENTRIES_PER_BOARD = 500;
+
+// Bookkeeping fields left out of diffs
+const IGNORED_FIELDS = ['version', 'updated_at'];
+
+// Next sequence number, used as the pagination cursor (lazily initialised)
+let nextSeq = null;
+
+/**
+ * Compute the fields that differ between two snapshots
+ * Creates and deletes have no diff; their summary names what was created or deleted.
+ * @param {object|null} before
+ * @param {object|null} after
+ * @returns {Object<string, { from: any, to: any }>}
+ */
+function diff(before, after) {
+  const changes = {};
+  if (!before || !after) {
+    return changes;
+  }
+
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  keys.forEach(key => {
+    if (IGNORED_FIELDS.includes(key)) return;
+
+    const from = before[key];
+    const to = after[key];
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+  });
+
+  return changes;
+}
+
+function columnTitle(columnId) {
+  const column = db.columns.get(columnId);
+  return column ? `"${column.title}"` : 'a deleted column';
+}
+
+function checklistCount(checklist) {
+  return `${checklist.items.filter(item => item.done).length}/${checklist.items.length}`;
+}
+
+/**
+ * Build the one-line summary shown in the activity feed
+ */
+function describe(action, before, after, changes) {
+  const fields = Object.keys(changes).join(', ');
+
+  switch (action) {
+    case 'board.created':
+      return `Created board "${after.name}"`;
+    case 'board.duplicated':
+      return `Created board "${after.name}" as a copy of "${after.duplicated_from}"`;
+    case 'board.imported':
+      return `Imported board "${after.name}"`;
+    case 'board.updated':
+      return changes.name
+        ? `Renamed board "${before.name}" to "${after.name}"`
+        : `Updated board "${after.name}"`;
+    case 'board.deleted':
+      return `Moved board "${before.name}" to the trash`;
+    case 'board.restored':
+      return `Restored board "${after.name}" from the trash`;
+    case 'board.purged':
+      return `Permanently deleted board "${before.name}"`;
+    case 'column.created':
+      return `Added column "${after.title}"`;
+    case 'column.updated':
+      return changes.title
+        ? `Renamed column "${before.title}" to "${after.title}"`
+        : `Updated column "${after.title}" (${fields})`;
+    case 'column.deleted':
+      return `Moved column "${before.title}" and ${before.cards.length} card(s) to the trash`;
+    case 'column.restored':
+      return `Restored column "${after.title}" from the trash`;
+    case 'column.purged':
+      return `Permanently deleted column "${before.title}"`;
+    case 'columns.reordered':
+      return 'Reordered columns';
+    case 'cards.reordered':
+      return `Reordered cards in ${columnTitle(after.column_id)}`;
+    case 'card.created':
+      return `Added card "${after.title}" to ${columnTitle(after.column_id)}`;
+    case 'card.moved':
+      return before.column_id === after.column_id
+        ? `Moved card "${after.title}" within ${columnTitle(after.column_id)}`
+        : `Moved card "${after.title}" from ${columnTitle(before.column_id)} to ${columnTitle(after.column_id)}`;
+    case 'card.updated':
+      return `Updated card "${after.title}" (${fields})`;
+    case 'card.deleted':
+      return `Moved card "${before.title}" from ${columnTitle(before.column_id)} to the trash`;
+    case 'card.restored':
+      return `Restored card "${after.title}" to ${columnTitle(after.column_id)}`;
+    case 'card.purged':
+      return `Permanently deleted card "${before.title}"`;
+    case 'label.created':
+      return `Added label "${after.name}"`;
+    case 'label.updated':
+      return changes.name
+        ? `Renamed label "${before.name}" to "${after.name}"`
+        : `Changed label "${after.name}" to ${after.color}`;
+    case 'label.deleted':
+      return `Deleted label "${before.name}"`;
+    case 'comment.created':
+      return `Commented on card "${after.card_title}"`;
+    case 'comment.updated':
+      return `Edited a comment on card "${after.card_title}"`;
+    case 'comment.deleted':
+      return `Deleted a comment on card "${before.card_title}"`;
+    case 'checklist.created':
+      return `Added checklist "${after.title}" to card "${after.card_title}"`;
+    case 'checklist.updated':
+      return changes.title
+        ? `Renamed checklist "${before.title}" to "${after.title}" on card "${after.card_title}"`
+        : `Updated checklist "${after.title}" on card "${after.card_title}" (${checklistCount(after)} done)`;
+    case 'checklist.deleted':
+      return `Deleted checklist "${before.title}" from card "${before.card_title}"`;
+    case 'member.added':
+      return `Added ${after.name} as ${after.role}`;
+    case 'member.updated':
+      return `Changed ${after.name}'s role from ${before.role} to ${after.role}`;
+    case 'member.removed':
+      return `Removed ${before.name} from the board`;
+    default:
+      return action;
+  }
+}
+
+/**
+ * Record a mutation in the activity log and push it to open feeds. Call it
+ * inside the mutation's transaction so both reach the data file in one write.
+ * @param {object} entry
+ * @param {string} entry.action - e.g. 'card.moved'
+ * @param {string} entry.boardId - Board the change belongs to
+ * @param {string} entry.entityType - 'board', 'column', 'card', 'label', 'comment', 'checklist' or 'member'
+ * @param {string} entry.entityId - ID of the changed entity
+ * @param {object|null} [entry.before] - Snapshot before the change (null on create)
+ * @param {object|null} [entry.after] - Snapshot after the change (null on delete)
+ * @param {object|null} [entry.actor] - User who made the change
+ * @returns {object} The stored activity record
+ */
+function logActivity({ action, boardId, entityType, entityId, before = null, after = null, actor = null }) {
+  if (nextSeq === null) {
+    nextSeq = db.activity.all().reduce((max, item) => Math.max(max, item.seq), 0) + 1;
+  }
+
+  const changes = diff(before, after);
+
+  const activity = db.transaction(() => {
+    const stored = db.activity.insert({
+      id: db.generateId(),
+      seq: nextSeq++,
+      board_id: boardId,
+      action,
+      entity_type: entityType,
+      entity_id: entityId,
+      actor: actor ? { id: actor.id, name: actor.name } : null,
+      summary: describe(action, before, after, changes),
+      changes,
+      created_at: new Date().toISOString()
+    });
+
+    trimBoardLog(boardId);
+    return stored;
+  });
+
+  broadcast('activity.created', boardId, activity);
+  return activity;
+}
+
+// Drop a board's oldest entries beyond MAX_ENTRIES_PER_BOARD
+function trimBoardLog(boardId) {
+  const entries = db.activity.where(item => item.board_id === boardId);
+  if (entries.length <= MAX_ENTRIES_PER_BOARD) return;
+
+  entries
+    .sort((a, b) => b.seq - a.seq)
+    .slice(MAX_ENTRIES_PER_BOARD)
+    .forEach(item => db.activity.delete(item.id));
+}
+
+/**
+ * Get one page of a board's activity, newest first
+ * @param {string} boardId - Board ID
+ * @param {object} options - { cursor?: number, limit?: number } where cursor is the
+ *   next_cursor from the previous page
+ * @returns {{ items: object[], next_cursor: number|null }}
+ */
+function listActivity(boardId, { cursor, limit } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const before = parseInt(cursor, 10) || Infinity;
+
+  const matching = db.activity
+    .where(item => item.board_id === boardId && item.seq < before)
+    .sort((a, b) => b.seq - a.seq);
+
+  const items = matching.slice(0, pageSize);
+  const hasMore = matching.length > pageSize;
+
+  return {
+    items,
+    next_cursor: hasMore ? items[items.length - 1].seq : null
+  };
+}
+
+export { logActivity, listActivity };
@@ -0,0 +1,149 @@
+import crypto from 'crypto';
+import db from './db.js';
+
+/**
+ * Accounts and sessions
+ * Passwords are hashed with scrypt. A session is a random token kept in an
+ * HttpOnly cookie (so EventSource sends it too); only its SHA-256 hash is
+ * stored, so the data file never holds a usable token.
+ */
+
+const SESSION_COOKIE = 'kanban_session';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// scrypt parameters for password hashes
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password for storage
+ * @param {string} password
+ * @returns {string} "salt:hash", both hex encoded
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password
+ * @param {string} stored - Value from hashPassword
+ * @returns {boolean}
+ */
+function verifyPassword(password, stored) {
+  const [salt, hash] = stored.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Strip private fields from a user record
+ * @param {object} user
+ * @returns {{ id: string, email: string, name: string, created_at: string }}
+ */
+function publicUser(user) {
+  const { id, email, name, created_at } = user;
+  return { id, email, name, created_at };
+}
+
+/**
+ * Find a user by email (case-insensitive)
+ * @param {string} email
+ * @returns {object|null}
+ */
+function findUserByEmail(email) {
+  const normalized = email.toLowerCase();
+  return db.users.all().find(user => user.email === normalized) || null;
+}
+
+function readSessionToken(req) {
+  const header = req.get('Cookie') || '';
+  const cookie = header
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${SESSION_COOKIE}=`));
+
+  return cookie ? decodeURIComponent(cookie.slice(SESSION_COOKIE.length + 1)) : null;
+}
+
+/**
+ * Start a session for a user and set its cookie
+ * Expired sessions are swept at the same time.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {object} user
+ */
+function startSession(req, res, user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+
+  db.transaction(() => {
+    db.sessions.deleteWhere(session => Date.parse(session.expires_at) <= now);
+    db.sessions.insert({
+      id: hashToken(token),
+      user_id: user.id,
+      created_at: new Date(now).toISOString(),
+      expires_at: new Date(now + SESSION_TTL_MS).toISOString()
+    });
+  });
+
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: SESSION_TTL_MS,
+    path: '/'
+  });
+}
+
+/**
+ * End the request's session and clear its cookie
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+function endSession(req, res) {
+  const token = readSessionToken(req);
+  if (token) {
+    db.sessions.delete(hashToken(token));
+  }
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+/**
+ * Express middleware that requires a valid session
+ * Sets req.user to the signed-in user (without the password hash), or
+ * responds 401.
+ */
+function authenticate(req, res, next) {
+  const token = readSessionToken(req);
+  const session = token ? db.sessions.get(hashToken(token)) : null;
+
+  if (!session || Date.parse(session.expires_at) <= Date.now()) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const user = db.users.get(session.user_id);
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  req.user = publicUser(user);
+  next();
+}
+
+export {
+  hashPassword,
+  verifyPassword,
+  publicUser,
+  findUserByEmail,
+  startSession,
+  endSession,
+  authenticate
+};
@@ -0,0 +1,56 @@
+import db from './db.js';
+
+/**
+ * Card checklists
+ * A card can have any number of named checklists, each holding an ordered
+ * list of items ({ id, text, done }). Items live inside their checklist
+ * record, so every item change is an update of the checklist. Checklists
+ * are removed for good when their card is purged from the trash.
+ */
+
+const byPosition = (a, b) => a.position - b.position;
+
+/**
+ * Get a card's checklists, in order
+ * @param {string} cardId - Card ID
+ * @returns {object[]}
+ */
+function checklistsFor(cardId) {
+  return db.checklists
+    .where(checklist => checklist.card_id === cardId)
+    .sort(byPosition);
+}
+
+/**
+ * Count the checked and total items across a card's checklists
+ * @param {string} cardId - Card ID
+ * @returns {{ done: number, total: number }}
+ */
+function checklistProgress(cardId) {
+  const items = checklistsFor(cardId).flatMap(checklist => checklist.items);
+  return {
+    done: items.filter(item => item.done).length,
+    total: items.length
+  };
+}
+
+/**
+ * Add each card's checklist progress to it, for the "3/5" on the card tile.
+ * Counts in one pass over the checklists, however many cards there are.
+ * @param {object[]} cards
+ * @returns {object[]} The cards with `checklist_progress`
+ */
+function withChecklistCounts(cards) {
+  const progress = new Map(cards.map(card => [card.id, { done: 0, total: 0 }]));
+  db.checklists.all().forEach(checklist => {
+    const counts = progress.get(checklist.card_id);
+    if (counts) {
+      counts.done += checklist.items.filter(item => item.done).length;
+      counts.total += checklist.items.length;
+    }
+  });
+
+  return cards.map(card => ({ ...card, checklist_progress: progress.get(card.id) }));
+}
+
+export { checklistsFor, checklistProgress, withChecklistCounts };
@@ -0,0 +1,42 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './testing.js';
+
+let server;
+let itemUrl;
+
+before(async () => {
+  server = await startTestServer();
+
+  const [board] = (await server.request('GET', '/api/boards')).body;
+  const card = (await server.request('GET', `/api/boards/${board.id}`)).body.columns[0].cards[0];
+  const checklist = (await server.request('POST', `/api/cards/${card.id}/checklists`, { title: 'Launch' })).body;
+  const withItem = (await server.request('POST', `/api/cards/${card.id}/checklists/${checklist.id}/items`, { text: 'Ship it' })).body;
+
+  itemUrl = `/api/cards/${card.id}/checklists/${checklist.id}/items/${withItem.items[0].id}`;
+});
+
+after(() => server.close());
+
+test('an item update with no fields is a validation error and changes nothing', async () => {
+  const { status, body } = await server.request('PUT', itemUrl, {});
+  assert.equal(status, 400);
+  assert.equal(body.error, 'Validation failed');
+  assert.ok(body.fields.text);
+
+  const updated = await server.request('PUT', itemUrl, { done: true });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.version, 3);
+});
+
+test('an item update on a missing checklist is 404 before the body is checked', async () => {
+  const { status } = await server.request('PUT', itemUrl.replace(/checklists\/[^/]+/, 'checklists/missing'), {});
+  assert.equal(status, 404);
+});
+
+test('board cards carry their own checklist progress', async () => {
+  const [board] = (await server.request('GET', '/api/boards')).body;
+  const cards = (await server.request('GET', `/api/boards/${board.id}`)).body.columns[0].cards;
+
+  assert.deepEqual(cards.map(card => card.checklist_progress), [{ done: 1, total: 1 }, { done: 0, total: 0 }]);
+});
@@ -0,0 +1,52 @@
+import db from './db.js';
+
+/**
+ * Card comments
+ * A comment belongs to one card and one author. Only its author may edit it;
+ * its author or a board owner may delete it. Comments are removed for good
+ * when their card is purged from the trash.
+ */
+
+/**
+ * Add the author's current name to a comment
+ * @param {object} comment - Stored comment
+ * @returns {object} The comment with an `author` of { id, name }
+ */
+function commentView(comment) {
+  const user = db.users.get(comment.author_id);
+  return {
+    ...comment,
+    author: { id: comment.author_id, name: user ? user.name : 'Deleted user' }
+  };
+}
+
+/**
+ * Get a card's comments, oldest first
+ * @param {string} cardId - Card ID
+ * @returns {object[]}
+ */
+function commentsFor(cardId) {
+  return db.comments
+    .where(comment => comment.card_id === cardId)
+    .sort((a, b) => a.created_at.localeCompare(b.created_at))
+    .map(commentView);
+}
+
+/**
+ * Add each card's comment count to it, for the badge on the card tile.
+ * Counts in one pass over the comments, however many cards there are.
+ * @param {object[]} cards
+ * @returns {object[]} The cards with `comment_count`
+ */
+function withCommentCounts(cards) {
+  const counts = new Map(cards.map(card => [card.id, 0]));
+  db.comments.all().forEach(comment => {
+    if (counts.has(comment.card_id)) {
+      counts.set(comment.card_id, counts.get(comment.card_id) + 1);
+    }
+  });
+
+  return cards.map(card => ({ ...card, comment_count: counts.get(card.id) }));
+}
+
+export { commentView, commentsFor, withCommentCounts };
@@ -0,0 +1,26 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './testing.js';
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+test('board cards carry their own comment counts', async () => {
+  const [board] = (await server.request('GET', '/api/boards')).body;
+  const [first, second] = (await server.request('GET', `/api/boards/${board.id}`)).body.columns[0].cards;
+
+  await server.request('POST', `/api/cards/${first.id}/comments`, { body: 'One' });
+  await server.request('POST', `/api/cards/${first.id}/comments`, { body: 'Two' });
+  await server.request('POST', `/api/cards/${second.id}/comments`, { body: 'Three' });
+
+  const cards = (await server.request('GET', `/api/boards/${board.id}`)).body.columns[0].cards;
+  assert.deepEqual(cards.map(card => card.comment_count), [2, 1]);
+
+  const listed = (await server.request('GET', `/api/columns/${first.column_id}/cards`)).body;
+  assert.deepEqual(listed.map(card => card.comment_count), [2, 1]);
+});
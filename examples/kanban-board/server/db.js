@@ -1,85 +1,307 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
+import JsonFileStore from './store.js';
+import { migrate, LATEST_VERSION } from './migrations.js';
 
-// In-memory database using Maps
-const db = {
-  boards: new Map(),
-  columns: new Map(),
-  cards: new Map(),
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Data file location (override with KANBAN_DATA_FILE)
+const DATA_FILE = process.env.KANBAN_DATA_FILE
+  || path.join(__dirname, '..', 'data', 'kanban.json');
+
+// Collections persisted in the data file
+const COLLECTIONS = ['boards', 'columns', 'cards', 'activity', 'users', 'sessions', 'members', 'comments', 'checklists', 'labels', 'templates'];
+
+/**
+ * A single collection of records keyed by ID.
+ * Records are treated as immutable: always change them through update()
+ * so the change is persisted and the record's version is bumped. The
+ * version guards content edits (If-Match), so renumbering positions
+ * leaves it alone.
+ */
+class Collection {
+  constructor(database, name) {
+    this.database = database;
+    this.name = name;
+    this.records = new Map();
+  }
+
+  /**
+   * Get every record in the collection
+   * @returns {object[]}
+   */
+  all() {
+    return Array.from(this.records.values());
+  }
+
+  /**
+   * Get a record by ID
+   * @param {string} id - Record ID
+   * @returns {object|null}
+   */
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  /**
+   * Get every record matching a predicate
+   * @param {function(object): boolean} predicate
+   * @returns {object[]}
+   */
+  where(predicate) {
+    return this.all().filter(predicate);
+  }
+
+  /**
+   * Insert a new record (must carry an id) at version 1
+   * @param {object} record
+   * @returns {object} The stored record
+   */
+  insert(record) {
+    const stored = { ...record, version: 1 };
+    this.records.set(stored.id, stored);
+    this.database.commit();
+    return stored;
+  }
+
+  /**
+   * Merge changes into an existing record and bump its version
+   * @param {string} id - Record ID
+   * @param {object} changes - Fields to overwrite
+   * @param {object} [options] - { bumpVersion?: boolean } false for writes that only
+   *   place the record (position, column_id), so they don't conflict with edits
+   * @returns {object|null} The updated record, or null if it does not exist
+   */
+  update(id, changes, { bumpVersion = true } = {}) {
+    const existing = this.records.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const updated = { ...existing, ...changes, version: bumpVersion ? existing.version + 1 : existing.version };
+    this.records.set(id, updated);
+    this.database.commit();
+    return updated;
+  }
+
+  /**
+   * Delete a record by ID
+   * @param {string} id - Record ID
+   * @returns {boolean} True if a record was deleted
+   */
+  delete(id) {
+    const deleted = this.records.delete(id);
+    if (deleted) {
+      this.database.commit();
+    }
+    return deleted;
+  }
+
+  /**
+   * Delete every record matching a predicate
+   * @param {function(object): boolean} predicate
+   * @returns {number} Number of records deleted
+   */
+  deleteWhere(predicate) {
+    const ids = this.where(predicate).map(record => record.id);
+    this.database.transaction(() => {
+      ids.forEach(id => this.delete(id));
+    });
+    return ids.length;
+  }
+}
+
+/**
+ * Repository over all collections, backed by a JsonFileStore.
+ * Every mutation is written to disk immediately unless it happens inside
+ * transaction(), in which case the whole batch is written once at the end.
+ */
+class Database {
+  constructor(store) {
+    this.store = store;
+    this.transactionDepth = 0;
+
+    COLLECTIONS.forEach(name => {
+      this[name] = new Collection(this, name);
+    });
+  }
 
   // UUID generator function
   generateId() {
     return uuidv4();
   }
-};
+
+  /**
+   * Load the data file, apply pending migrations and seed an empty store
+   */
+  load() {
+    const data = this.store.load() || {};
+    const migrated = migrate(data);
+
+    COLLECTIONS.forEach(name => {
+      this[name].records = new Map(data[name].map(record => [record.id, record]));
+    });
+
+    if (this.isEmpty()) {
+      seedDatabase(this);
+    } else if (migrated) {
+      this.persist();
+    }
+  }
+
+  /**
+   * Check whether the store holds no records at all
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return COLLECTIONS.every(name => this[name].records.size === 0);
+  }
+
+  /**
+   * Run a function atomically. All writes are persisted together when it
+   * returns; if it throws, every collection is rolled back and the error
+   * is rethrown.
+   * @param {function(): any} fn
+   * @returns {any} The function's return value
+   */
+  transaction(fn) {
+    const snapshot = COLLECTIONS.map(name => new Map(this[name].records));
+
+    this.transactionDepth++;
+    try {
+      const result = fn();
+      this.transactionDepth--;
+      this.commit();
+      return result;
+    } catch (err) {
+      this.transactionDepth--;
+      COLLECTIONS.forEach((name, i) => {
+        this[name].records = snapshot[i];
+      });
+      throw err;
+    }
+  }
+
+  /**
+   * Persist pending changes unless a transaction is still open
+   */
+  commit() {
+    if (this.transactionDepth === 0) {
+      this.persist();
+    }
+  }
+
+  persist() {
+    const data = { schema_version: LATEST_VERSION };
+    COLLECTIONS.forEach(name => {
+      data[name] = this[name].all();
+    });
+    this.store.save(data);
+  }
+}
 
 // Seed sample data
-function seedDatabase() {
+function seedDatabase(db) {
   const now = new Date().toISOString();
 
-  // Create one board
-  const boardId = db.generateId();
-  db.boards.set(boardId, {
-    id: boardId,
-    name: "My First Board",
-    created_at: now,
-    updated_at: now
-  });
+  db.transaction(() => {
+    // Create one board
+    const boardId = db.generateId();
+    db.boards.insert({
+      id: boardId,
+      name: "My First Board",
+      created_at: now,
+      updated_at: now,
+      deleted_at: null
+    });
 
-  // Create three columns
-  const todoColumnId = db.generateId();
-  db.columns.set(todoColumnId, {
-    id: todoColumnId,
-    board_id: boardId,
-    title: "To Do",
-    position: 0,
-    created_at: now
-  });
+    // Create three columns
+    const todoColumnId = db.generateId();
+    db.columns.insert({
+      id: todoColumnId,
+      board_id: boardId,
+      title: "To Do",
+      position: 0,
+      wip_limit: null,
+      created_at: now,
+      deleted_at: null
+    });
 
-  const inProgressColumnId = db.generateId();
-  db.columns.set(inProgressColumnId, {
-    id: inProgressColumnId,
-    board_id: boardId,
-    title: "In Progress",
-    position: 1,
-    created_at: now
-  });
+    const inProgressColumnId = db.generateId();
+    db.columns.insert({
+      id: inProgressColumnId,
+      board_id: boardId,
+      title: "In Progress",
+      position: 1,
+      wip_limit: null,
+      created_at: now,
+      deleted_at: null
+    });
 
-  const doneColumnId = db.generateId();
-  db.columns.set(doneColumnId, {
-    id: doneColumnId,
-    board_id: boardId,
-    title: "Done",
-    position: 2,
-    created_at: now
-  });
+    const doneColumnId = db.generateId();
+    db.columns.insert({
+      id: doneColumnId,
+      board_id: boardId,
+      title: "Done",
+      position: 2,
+      wip_limit: null,
+      created_at: now,
+      deleted_at: null
+    });
 
-  // Create two sample cards in "To Do" column
-  const card1Id = db.generateId();
-  db.cards.set(card1Id, {
-    id: card1Id,
-    column_id: todoColumnId,
-    title: "Design new landing page",
-    description: "Create mockups and design system for the new landing page",
-    position: 0,
-    labels: ["design", "high-priority"],
-    due_date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(), // 7 days from now
-    created_at: now
-  });
+    // Create the board's label catalog
+    const labelIds = {};
+    [
+      ['design', 'purple'],
+      ['high-priority', 'red'],
+      ['devops', 'blue'],
+      ['infrastructure', 'green']
+    ].forEach(([name, color]) => {
+      labelIds[name] = db.generateId();
+      db.labels.insert({
+        id: labelIds[name],
+        board_id: boardId,
+        name,
+        color,
+        created_at: now
+      });
+    });
 
-  const card2Id = db.generateId();
-  db.cards.set(card2Id, {
-    id: card2Id,
-    column_id: todoColumnId,
-    title: "Set up CI/CD pipeline",
-    description: "Configure automated testing and deployment",
-    position: 1,
-    labels: ["devops", "infrastructure"],
-    due_date: null,
-    created_at: now
+    // Create two sample cards in "To Do" column
+    const card1Id = db.generateId();
+    db.cards.insert({
+      id: card1Id,
+      column_id: todoColumnId,
+      title: "Design new landing page",
+      description: "Create mockups and design system for the new landing page",
+      position: 0,
+      labels: [labelIds.design, labelIds['high-priority']],
+      assignees: [],
+      due_date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(), // 7 days from now
+      created_at: now,
+      deleted_at: null
+    });
+
+    const card2Id = db.generateId();
+    db.cards.insert({
+      id: card2Id,
+      column_id: todoColumnId,
+      title: "Set up CI/CD pipeline",
+      description: "Configure automated testing and deployment",
+      position: 1,
+      labels: [labelIds.devops, labelIds.infrastructure],
+      assignees: [],
+      due_date: null,
+      created_at: now,
+      deleted_at: null
+    });
   });
 }
 
-// Initialize database with sample data
-seedDatabase();
+const db = new Database(new JsonFileStore(DATA_FILE));
+
+// Load persisted data (migrating and seeding as needed)
+db.load();
 
 export default db;
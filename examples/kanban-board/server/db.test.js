@@ -0,0 +1,23 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Point the store at a scratch file before db.js loads it
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-db-test-'));
+process.env.KANBAN_DATA_FILE = path.join(dataDir, 'kanban.json');
+const { default: db } = await import('./db.js');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('update bumps the version unless told the write only places the record', () => {
+  const card = db.cards.all()[0];
+
+  const edited = db.cards.update(card.id, { title: 'Edited' });
+  assert.equal(edited.version, card.version + 1);
+
+  const moved = db.cards.update(card.id, { position: 5 }, { bumpVersion: false });
+  assert.equal(moved.version, edited.version);
+  assert.equal(moved.position, 5);
+});
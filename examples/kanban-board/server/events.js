@@ -0,0 +1,65 @@
+import { memberIds } from './members.js';
+
+/**
+ * Server-Sent Events broadcaster
+ * Keeps a set of open event streams and pushes every board, column and
+ * card change to the members of that board so open tabs stay in sync.
+ */
+
+// Open client responses, mapped to the signed-in user's ID
+const clients = new Map();
+
+// Monotonic event ID, sent as the SSE `id:` field
+let nextEventId = 1;
+
+// Keep-alive comment interval so proxies don't close idle streams
+const HEARTBEAT_MS = 25000;
+
+/**
+ * Express handler for GET /api/events - open an event stream
+ * Must run after the authenticate middleware (needs req.user).
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+function subscribe(req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write(': connected\n\n');
+
+  clients.set(res, req.user.id);
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(res);
+  });
+}
+
+/**
+ * Send a change event to every connected member of the board
+ * @param {string} type - Event type, e.g. 'card.updated'
+ * @param {string} boardId - Board the change belongs to
+ * @param {object} data - Event payload (usually the changed record)
+ * @param {object} [options] - { recipients?: string[] } user IDs to send to instead
+ *   of the board's current members (for changes that remove members)
+ */
+function broadcast(type, boardId, data, { recipients } = {}) {
+  const event = { type, board_id: boardId, data };
+  const message = `id: ${nextEventId++}\ndata: ${JSON.stringify(event)}\n\n`;
+  const userIds = new Set(recipients || memberIds(boardId));
+
+  clients.forEach((userId, res) => {
+    if (userIds.has(userId)) {
+      res.write(message);
+    }
+  });
+}
+
+export { subscribe, broadcast };
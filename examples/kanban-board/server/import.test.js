@@ -0,0 +1,32 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './testing.js';
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+test('import routes reject a signed-out request before reading its body', async () => {
+  const { status } = await server.request('POST', '/api/boards/import', { format: 'kanban-board' }, { Cookie: '' });
+  assert.equal(status, 401);
+});
+
+test('import routes accept bodies larger than the general limit', async () => {
+  const lists = [{ id: 'l1', name: 'Backlog' }];
+  const cards = Array.from({ length: 2000 }, (_, i) => ({ id: `c${i}`, idList: 'l1', name: `Card ${i}`, desc: 'x'.repeat(100) }));
+
+  const { status, body } = await server.request('POST', '/api/boards/import/trello?dry_run=true', { name: 'Big', lists, cards });
+  assert.equal(status, 200);
+  assert.equal(body.summary.cards, 2000);
+});
+
+test('CSV imports are parsed on their own route', async () => {
+  const csv = 'column,title\r\nTo Do,Write tests\r\n';
+  const { status, body } = await server.request('POST', '/api/boards/import?name=From%20CSV', csv, { 'Content-Type': 'text/csv' });
+  assert.equal(status, 201);
+  assert.equal(body.name, 'From CSV');
+});
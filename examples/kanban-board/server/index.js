@@ -1,338 +1,1969 @@
+import { fileURLToPath } from 'url';
 import express from 'express';
 import cors from 'cors';
 import db from './db.js';
+import { subscribe, broadcast } from './events.js';
+import { logActivity, listActivity } from './activity.js';
+import {
+  getActiveBoard,
+  getActiveColumn,
+  getActiveCard,
+  activeBoards,
+  activeColumns,
+  activeCards,
+  boardIdForColumn
+} from './queries.js';
+import { validateBody, sendValidationError } from './validation.js';
+import { parseFilters, searchCards } from './search.js';
+import {
+  hashPassword,
+  verifyPassword,
+  publicUser,
+  findUserByEmail,
+  startSession,
+  endSession,
+  authenticate
+} from './auth.js';
+import {
+  roleFor,
+  hasRole,
+  membersOf,
+  memberIds,
+  addMember,
+  findMember,
+  adoptUnownedBoards
+} from './members.js';
+import { commentView, commentsFor, withCommentCounts } from './comments.js';
+import { checklistsFor, checklistProgress, withChecklistCounts } from './checklists.js';
+import { labelsOf, isLabelNameTaken } from './labels.js';
+import { boardContent, exportBoard, exportBoardCsv, csvToDocument, validateDocument, importBoard } from './transfer.js';
+import { parseTrelloBoard } from './trello.js';
+import { templatesFor, findTemplate, templateContent } from './templates.js';
+import { pageOfCards } from './pagination.js';
 
 const app = express();
 const PORT = 3000;
 
+// Cross-origin callers allowed to use the API with their session cookie
+// (comma-separated, e.g. "http://localhost:5173"); same-origin needs none
+const ALLOWED_ORIGINS = (process.env.KANBAN_ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+// Largest board export accepted by POST /api/boards/import (Trello exports
+// carry the board's whole action history, so they run large)
+const IMPORT_SIZE_LIMIT = '20mb';
+
+// Board imports take a larger body (and CSV). Their parsers are attached to
+// the two import routes, after authenticate, so only signed-in users can make
+// the server buffer one; the general JSON parser leaves those paths alone.
+const IMPORT_PATHS = ['/api/boards/import', '/api/boards/import/trello'];
+const importJson = express.json({ limit: IMPORT_SIZE_LIMIT });
+const importCsv = express.text({ type: 'text/csv', limit: IMPORT_SIZE_LIMIT });
+
 // Middleware
-app.use(express.json());
-app.use(cors());
+const jsonBody = express.json();
+app.use((req, res, next) => (IMPORT_PATHS.includes(req.path) ? next() : jsonBody(req, res, next)));
+app.use(cors({ origin: ALLOWED_ORIGINS, credentials: true }));
 app.use(express.static('public'));
 
+// ========== HELPERS ==========
+
+// Parse the version out of an If-Match header ("3", W/"3" or 3)
+function parseIfMatch(header) {
+  if (!header) return null;
+  const version = Number(header.replace(/^W\//, '').replace(/"/g, '').trim());
+  return Number.isInteger(version) ? version : null;
+}
+
+// Reject a write unless its If-Match header names the record's current version.
+// Sends 428 when the header is missing and 409 with the server copy when stale.
+function checkVersion(req, res, record) {
+  const expected = parseIfMatch(req.get('If-Match'));
+
+  if (expected === null) {
+    res.status(428).json({ error: 'If-Match header with the current version is required' });
+    return false;
+  }
+
+  if (expected !== record.version) {
+    res.status(409).json({ error: 'Version conflict', current: record });
+    return false;
+  }
+
+  return true;
+}
+
+// Reject a partial update that sets none of the fields it could change, so a
+// no-op doesn't bump the version or log activity. Sends 400 on the first field.
+function checkHasChanges(res, body, fields) {
+  if (fields.some(field => body[field] !== undefined)) {
+    return true;
+  }
+
+  const names = fields.length > 1 ? `${fields.slice(0, -1).join(', ')} or ${fields[fields.length - 1]}` : fields[0];
+  sendValidationError(res, { [fields[0]]: `Nothing to update: send ${names}` });
+  return false;
+}
+
+// Reject a request unless the signed-in user holds at least `role` on the board.
+// Sends 403 to non-members and to members whose role is too low.
+function checkAccess(req, res, boardId, role) {
+  const current = roleFor(boardId, req.user.id);
+
+  if (!current) {
+    res.status(403).json({ error: 'You are not a member of this board' });
+    return false;
+  }
+
+  if (!hasRole(current, role)) {
+    res.status(403).json({ error: `This requires the ${role} role or higher` });
+    return false;
+  }
+
+  return true;
+}
+
+// Send a record with its version as the ETag
+function sendVersioned(res, record) {
+  res.set('ETag', `"${record.version}"`);
+  res.json(record);
+}
+
+// Put a restored record back at its original position among its siblings,
+// renumbering them so positions stay contiguous. Returns the restored record.
+function reinsertAtPosition(collection, record, siblings) {
+  const ordered = siblings.filter(sibling => sibling.id !== record.id);
+  const index = Math.min(Math.max(record.position, 0), ordered.length);
+  ordered.splice(index, 0, record);
+
+  let restored = null;
+  ordered.forEach((item, position) => {
+    if (item.id === record.id) {
+      restored = collection.update(item.id, { deleted_at: null, position });
+    } else if (item.position !== position) {
+      collection.update(item.id, { position }, { bumpVersion: false });
+    }
+  });
+
+  return restored;
+}
+
+// Renumber an ordered list of cards 0..n-1 within a column, moving any that
+// come from elsewhere into it. Returns only the cards that actually changed.
+// Versions stay put, so a move never makes an open edit of a card conflict.
+function resequenceCards(cards, columnId) {
+  const changed = [];
+  cards.forEach((card, position) => {
+    if (card.position !== position || card.column_id !== columnId) {
+      changed.push(db.cards.update(card.id, { column_id: columnId, position }, { bumpVersion: false }));
+    }
+  });
+  return changed;
+}
+
+// Check that a card may be placed in a column: it must exist, not be in the
+// trash and sit on the card's current board. Returns an error message or null.
+function checkTargetColumn(card, columnId) {
+  const target = getActiveColumn(columnId);
+  if (!target) {
+    return 'Column not found';
+  }
+  if (target.board_id !== boardIdForColumn(card.column_id)) {
+    return 'Column must be on the same board';
+  }
+  return null;
+}
+
+// Reject adding cards to a column that is at its WIP limit, unless the request
+// sets override_wip_limit. Sends 409 with the limit and current count.
+function checkWipLimit(req, res, column, adding = 1) {
+  if (!column.wip_limit || req.body.override_wip_limit) {
+    return true;
+  }
+
+  const count = activeCards(column.id).length;
+  if (count + adding > column.wip_limit) {
+    res.status(409).json({
+      error: count >= column.wip_limit
+        ? `Column "${column.title}" is at its WIP limit of ${column.wip_limit}`
+        : `Column "${column.title}" only has room for ${column.wip_limit - count} more card(s) under its WIP limit of ${column.wip_limit}`,
+      wip_limit: column.wip_limit,
+      count
+    });
+    return false;
+  }
+
+  return true;
+}
+
+// Add what a card tile shows about each card's comments and checklists
+function cardSummaries(cards) {
+  return withChecklistCounts(withCommentCounts(cards));
+}
+
+// ========== AUTH API ==========
+
+// POST /api/auth/register - Create an account and sign in
+// The first account registered becomes owner of any boards that predate accounts.
+app.post('/api/auth/register', validateBody('register'), (req, res) => {
+  const { email, name, password } = req.body;
+
+  if (findUserByEmail(email)) {
+    return sendValidationError(res, { email: 'An account with this email already exists' });
+  }
+
+  const user = db.transaction(() => {
+    const created = db.users.insert({
+      id: db.generateId(),
+      email,
+      name,
+      password_hash: hashPassword(password),
+      created_at: new Date().toISOString()
+    });
+
+    if (db.users.all().length === 1) {
+      adoptUnownedBoards(created.id);
+    }
+
+    return created;
+  });
+
+  startSession(req, res, user);
+  res.status(201).json(publicUser(user));
+});
+
+// POST /api/auth/login - Sign in with email and password
+app.post('/api/auth/login', validateBody('login'), (req, res) => {
+  const { email, password } = req.body;
+  const user = findUserByEmail(email);
+
+  if (!user || !verifyPassword(password, user.password_hash)) {
+    return res.status(401).json({ error: 'Invalid email or password' });
+  }
+
+  startSession(req, res, user);
+  res.json(publicUser(user));
+});
+
+// Every API route below requires a signed-in user
+app.use('/api', authenticate);
+
+// Each write request runs in one transaction, so a change and its activity
+// entry reach the data file in a single write
+app.use('/api', (req, res, next) => {
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    return next();
+  }
+  db.transaction(() => next());
+});
+
+// POST /api/auth/logout - End the current session
+app.post('/api/auth/logout', (req, res) => {
+  endSession(req, res);
+  res.json({ success: true });
+});
+
+// GET /api/auth/me - Return the signed-in user
+app.get('/api/auth/me', (req, res) => {
+  res.json(req.user);
+});
+
+// Check that every assignee is a member of the board. Returns an error message or null.
+function checkAssignees(boardId, assignees) {
+  const members = memberIds(boardId);
+  return assignees.every(userId => members.includes(userId))
+    ? null
+    : 'Assignees must be members of this board';
+}
+
+// Check that every label is in the board's catalog. Returns an error message or null.
+function checkLabels(boardId, labels) {
+  const labelIds = labelsOf(boardId).map(label => label.id);
+  return labels.every(labelId => labelIds.includes(labelId))
+    ? null
+    : 'Labels must belong to this board';
+}
+
+// ========== ME API ==========
+
+// GET /api/me/cards - Cards assigned to the signed-in user on any of their boards,
+// soonest due first (undated last), each with its board and column
+app.get('/api/me/cards', (req, res) => {
+  const cards = db.cards
+    .where(card => (card.assignees || []).includes(req.user.id) && getActiveCard(card.id))
+    .map(card => {
+      const column = db.columns.get(card.column_id);
+      const board = db.boards.get(column.board_id);
+      return {
+        ...card,
+        board_id: board.id,
+        board_name: board.name,
+        column_title: column.title
+      };
+    })
+    .filter(card => roleFor(card.board_id, req.user.id))
+    .sort((a, b) => {
+      if (a.due_date && b.due_date) return a.due_date.localeCompare(b.due_date);
+      if (a.due_date || b.due_date) return a.due_date ? -1 : 1;
+      return a.board_name.localeCompare(b.board_name) || a.position - b.position;
+    });
+
+  res.json(cards);
+});
+
+// ========== EVENTS API ==========
+
+// GET /api/events - Server-Sent Events stream of changes on the user's boards
+app.get('/api/events', subscribe);
+
 // ========== BOARDS API ==========
 
-// GET /api/boards - Return array of all boards
+// GET /api/boards - Return array of the boards the user is a member of, each with their role
 app.get('/api/boards', (req, res) => {
-  const boards = Array.from(db.boards.values());
+  const boards = activeBoards()
+    .map(board => ({ ...board, role: roleFor(board.id, req.user.id) }))
+    .filter(board => board.role);
   res.json(boards);
 });
 
-// POST /api/boards - Create board
-app.post('/api/boards', (req, res) => {
-  const { name } = req.body;
+// POST /api/boards - Create board (the creator becomes its owner), empty or
+// with the columns, labels and starter cards of the template in template_id
+app.post('/api/boards', validateBody('board'), (req, res) => {
+  const { name, template_id: templateId } = req.body;
 
-  if (!name) {
-    return res.status(400).json({ error: 'Name is required' });
+  const template = templateId ? findTemplate(templateId, req.user.id) : null;
+  if (templateId && !template) {
+    return sendValidationError(res, { template_id: 'Template not found' });
   }
 
   const now = new Date().toISOString();
-  const board = {
-    id: db.generateId(),
-    name,
-    created_at: now,
-    updated_at: now
-  };
+  const board = db.transaction(() => {
+    const created = template
+      ? importBoard({ ...template, name })
+      : db.boards.insert({
+        id: db.generateId(),
+        name,
+        created_at: now,
+        updated_at: now,
+        deleted_at: null
+      });
+    addMember(created.id, req.user.id, 'owner');
+    return created;
+  });
+
+  broadcast('board.created', board.id, board);
+  logActivity({ action: 'board.created', boardId: board.id, entityType: 'board', entityId: board.id, after: board, actor: req.user });
+  res.json({ ...board, role: 'owner' });
+});
+
+// POST /api/boards/import - Create a board from an export (the importer becomes its owner)
+// Takes the JSON export document, or CSV sent as text/csv with the board name in ?name=.
+// On failure sends 400 with document-level `fields` and per-card `rows` of { row, fields }.
+app.post('/api/boards/import', importJson, importCsv, (req, res) => {
+  let document = req.body;
+  let rowNumbers = null;
+  let csvRows = [];
+
+  if (req.is('text/csv')) {
+    const csv = csvToDocument(typeof req.body === 'string' ? req.body : '', String(req.query.name || 'Imported board'));
+    if (csv.fields) {
+      return res.status(400).json({ error: 'Validation failed', fields: csv.fields, rows: [] });
+    }
+    ({ document, rowNumbers, rows: csvRows } = csv);
+  }
+
+  const { value, fields, rows } = validateDocument(document, rowNumbers);
+  const rowErrors = [...csvRows, ...rows].sort((a, b) => a.row - b.row);
+  if (fields || rowErrors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', fields: fields || {}, rows: rowErrors });
+  }
+
+  const board = db.transaction(() => {
+    const created = importBoard(value);
+    addMember(created.id, req.user.id, 'owner');
+    return created;
+  });
 
-  db.boards.set(board.id, board);
-  res.json(board);
+  broadcast('board.created', board.id, board);
+  logActivity({ action: 'board.imported', boardId: board.id, entityType: 'board', entityId: board.id, after: board, actor: req.user });
+  res.status(201).json({ ...board, role: 'owner' });
+});
+
+// POST /api/boards/import/trello - Create a board from a Trello JSON export (the importer becomes its owner)
+// With ?dry_run=true nothing is created; the response is just the summary of what would be.
+// Otherwise sends 201 with { board, summary }.
+app.post('/api/boards/import/trello', importJson, (req, res) => {
+  const { value, summary, fields } = parseTrelloBoard(req.body);
+  if (fields) {
+    return sendValidationError(res, fields);
+  }
+
+  if (req.query.dry_run === 'true') {
+    return res.json({ dry_run: true, summary });
+  }
+
+  const board = db.transaction(() => {
+    const created = importBoard(value);
+    addMember(created.id, req.user.id, 'owner');
+    return created;
+  });
+
+  broadcast('board.created', board.id, board);
+  logActivity({ action: 'board.imported', boardId: board.id, entityType: 'board', entityId: board.id, after: board, actor: req.user });
+  res.status(201).json({ board: { ...board, role: 'owner' }, summary });
 });
 
 // GET /api/boards/:id - Return board with nested columns and cards
 app.get('/api/boards/:id', (req, res) => {
-  const board = db.boards.get(req.params.id);
+  const board = getActiveBoard(req.params.id);
 
   if (!board) {
     return res.status(404).json({ error: 'Board not found' });
   }
 
-  // Get columns for this board, sorted by position
-  const columns = Array.from(db.columns.values())
-    .filter(col => col.board_id === board.id)
-    .sort((a, b) => a.position - b.position);
+  if (!checkAccess(req, res, board.id, 'viewer')) {
+    return;
+  }
 
-  // Add cards to each column
-  const columnsWithCards = columns.map(column => {
-    const cards = Array.from(db.cards.values())
-      .filter(card => card.column_id === column.id)
-      .sort((a, b) => a.position - b.position);
+  // Get columns for this board, sorted by position
+  const columns = activeColumns(board.id);
 
-    return {
-      ...column,
-      cards
-    };
-  });
+  // Add cards to each column, summarizing the whole board's cards at once
+  const cardsByColumn = columns.map(column => activeCards(column.id));
+  const summaries = new Map(cardSummaries(cardsByColumn.flat()).map(card => [card.id, card]));
+  const columnsWithCards = columns.map((column, i) => ({
+    ...column,
+    cards: cardsByColumn[i].map(card => summaries.get(card.id))
+  }));
 
   res.json({
     ...board,
+    role: roleFor(board.id, req.user.id),
     columns: columnsWithCards
   });
 });
 
-// PUT /api/boards/:id - PARTIAL update
-app.put('/api/boards/:id', (req, res) => {
-  const board = db.boards.get(req.params.id);
+// PUT /api/boards/:id - PARTIAL update (requires If-Match with the current version)
+app.put('/api/boards/:id', validateBody('board', { partial: true }), (req, res) => {
+  const board = getActiveBoard(req.params.id);
 
   if (!board) {
     return res.status(404).json({ error: 'Board not found' });
   }
 
+  if (!checkAccess(req, res, board.id, 'editor') || !checkHasChanges(res, req.body, ['name']) || !checkVersion(req, res, board)) {
+    return;
+  }
+
   const { name } = req.body;
-  const updatedBoard = {
-    ...board,
+  const changes = {
     updated_at: new Date().toISOString()
   };
 
   if (name !== undefined) {
-    updatedBoard.name = name;
+    changes.name = name;
   }
 
-  db.boards.set(board.id, updatedBoard);
-  res.json(updatedBoard);
+  const updatedBoard = db.boards.update(board.id, changes);
+  broadcast('board.updated', board.id, updatedBoard);
+  logActivity({ action: 'board.updated', boardId: board.id, entityType: 'board', entityId: board.id, before: board, after: updatedBoard, actor: req.user });
+  sendVersioned(res, updatedBoard);
 });
 
-// DELETE /api/boards/:id - Delete board and ALL its columns and cards
+// DELETE /api/boards/:id - Move board (and with it all its columns and cards) to the trash
 app.delete('/api/boards/:id', (req, res) => {
-  const board = db.boards.get(req.params.id);
+  const board = getActiveBoard(req.params.id);
 
   if (!board) {
     return res.status(404).json({ error: 'Board not found' });
   }
 
-  // Get all columns for this board
-  const columnIds = Array.from(db.columns.values())
-    .filter(col => col.board_id === board.id)
-    .map(col => col.id);
+  if (!checkAccess(req, res, board.id, 'owner')) {
+    return;
+  }
+
+  db.boards.update(board.id, { deleted_at: new Date().toISOString() });
 
-  // Delete all cards in those columns
-  Array.from(db.cards.entries()).forEach(([cardId, card]) => {
-    if (columnIds.includes(card.column_id)) {
-      db.cards.delete(cardId);
-    }
-  });
+  broadcast('board.deleted', board.id, { id: board.id });
+  logActivity({ action: 'board.deleted', boardId: board.id, entityType: 'board', entityId: board.id, before: board, actor: req.user });
+  res.json({ success: true });
+});
+
+// GET /api/boards/:id/activity - Paginated activity log, newest first (?cursor=&limit=)
+app.get('/api/boards/:id/activity', (req, res) => {
+  const board = getActiveBoard(req.params.id);
 
-  // Delete all columns
-  columnIds.forEach(colId => db.columns.delete(colId));
+  if (!board) {
+    return res.status(404).json({ error: 'Board not found' });
+  }
 
-  // Delete the board
-  db.boards.delete(board.id);
+  if (!checkAccess(req, res, board.id, 'viewer')) {
+    return;
+  }
 
-  res.json({ success: true });
+  res.json(listActivity(board.id, req.query));
 });
 
-// ========== COLUMNS API ==========
+// GET /api/boards/:id/search - Cards matching every filter, in board order
+// (?q= text in title/description, ?labels=id1,id2 any of, ?due=overdue|week|none)
+app.get('/api/boards/:id/search', (req, res) => {
+  const board = getActiveBoard(req.params.id);
 
-// GET /api/boards/:boardId/columns - Return array of columns for board, sorted by position
-app.get('/api/boards/:boardId/columns', (req, res) => {
-  const columns = Array.from(db.columns.values())
-    .filter(col => col.board_id === req.params.boardId)
-    .sort((a, b) => a.position - b.position);
+  if (!board) {
+    return res.status(404).json({ error: 'Board not found' });
+  }
 
-  res.json(columns);
+  if (!checkAccess(req, res, board.id, 'viewer')) {
+    return;
+  }
+
+  const { filters, fields } = parseFilters(req.query);
+  if (fields) {
+    return sendValidationError(res, fields);
+  }
+
+  res.json(searchCards(board.id, filters));
 });
 
-// POST /api/boards/:boardId/columns - Create column
-app.post('/api/boards/:boardId/columns', (req, res) => {
-  const { title, position } = req.body;
-  const boardId = req.params.boardId;
+// POST /api/boards/:id/duplicate - Copy a board's columns and labels, and its cards
+// unless include_cards is false, into a new board the caller owns ("Copy of ..." unless named)
+app.post('/api/boards/:id/duplicate', validateBody('boardDuplicate'), (req, res) => {
+  const source = getActiveBoard(req.params.id);
 
-  if (!title) {
-    return res.status(400).json({ error: 'Title is required' });
+  if (!source) {
+    return res.status(404).json({ error: 'Board not found' });
+  }
+
+  if (!checkAccess(req, res, source.id, 'viewer')) {
+    return;
   }
 
-  const board = db.boards.get(boardId);
+  const { name, include_cards: includeCards = true } = req.body;
+  const content = boardContent(source, { includeCards });
+
+  const board = db.transaction(() => {
+    const created = importBoard({ ...content, name: name || `Copy of ${source.name}`.slice(0, 100) });
+    addMember(created.id, req.user.id, 'owner');
+    return created;
+  });
+
+  broadcast('board.created', board.id, board);
+  logActivity({
+    action: 'board.duplicated',
+    boardId: board.id,
+    entityType: 'board',
+    entityId: board.id,
+    after: { ...board, duplicated_from: source.name },
+    actor: req.user
+  });
+  res.status(201).json({ ...board, role: 'owner' });
+});
+
+// GET /api/boards/:id/export - Download the board as a JSON export document,
+// or as CSV with one row per card (?format=json|csv, default json)
+app.get('/api/boards/:id/export', (req, res) => {
+  const board = getActiveBoard(req.params.id);
+
   if (!board) {
     return res.status(404).json({ error: 'Board not found' });
   }
 
-  // If position not provided, append to end
-  let finalPosition = position;
-  if (finalPosition === undefined) {
-    const existingColumns = Array.from(db.columns.values())
-      .filter(col => col.board_id === boardId);
-    finalPosition = existingColumns.length;
+  if (!checkAccess(req, res, board.id, 'viewer')) {
+    return;
+  }
+
+  const format = req.query.format || 'json';
+  if (format === 'csv') {
+    res.attachment(`${board.name}.csv`);
+    res.type('text/csv').send(exportBoardCsv(board));
+  } else if (format === 'json') {
+    res.attachment(`${board.name}.json`);
+    res.json(exportBoard(board));
+  } else {
+    sendValidationError(res, { format: 'Format must be one of: json, csv' });
+  }
+});
+
+// ========== TEMPLATES API ==========
+
+// GET /api/templates - Built-in templates, then the user's own by name
+app.get('/api/templates', (req, res) => {
+  res.json(templatesFor(req.user.id));
+});
+
+// POST /api/templates - Save a board's columns and labels, and its cards as
+// starter cards when include_cards is true, as a template only the caller sees
+app.post('/api/templates', validateBody('template'), (req, res) => {
+  const { name, board_id: boardId, include_cards: includeCards = false } = req.body;
+  const board = getActiveBoard(boardId);
+
+  if (!board) {
+    return sendValidationError(res, { board_id: 'Board not found' });
   }
 
-  const column = {
+  if (!checkAccess(req, res, board.id, 'viewer')) {
+    return;
+  }
+
+  const template = db.templates.insert({
     id: db.generateId(),
-    board_id: boardId,
-    title,
-    position: finalPosition,
+    owner_id: req.user.id,
+    name,
+    ...templateContent(board, includeCards),
     created_at: new Date().toISOString()
-  };
+  });
 
-  db.columns.set(column.id, column);
-  res.json(column);
+  res.status(201).json(findTemplate(template.id, req.user.id));
 });
 
-// PUT /api/columns/:id - PARTIAL update
-app.put('/api/columns/:id', (req, res) => {
-  const column = db.columns.get(req.params.id);
+// DELETE /api/templates/:id - Delete one of the caller's own templates
+app.delete('/api/templates/:id', (req, res) => {
+  const template = findTemplate(req.params.id, req.user.id);
 
-  if (!column) {
-    return res.status(404).json({ error: 'Column not found' });
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+
+  if (template.builtin) {
+    return res.status(403).json({ error: 'Built-in templates cannot be deleted' });
   }
 
-  const { title, position } = req.body;
-  const updatedColumn = { ...column };
+  db.templates.delete(template.id);
+  res.json({ success: true });
+});
 
-  if (title !== undefined) {
-    updatedColumn.title = title;
+// ========== LABELS API ==========
+
+// Look up a label on an active board, sending 404 if either is missing
+function findLabel(req, res) {
+  const board = getActiveBoard(req.params.id);
+  const label = board ? db.labels.get(req.params.labelId) : null;
+
+  if (!label || label.board_id !== board.id) {
+    res.status(404).json({ error: 'Label not found' });
+    return null;
   }
 
-  if (position !== undefined) {
-    updatedColumn.position = position;
+  return label;
+}
+
+// GET /api/boards/:id/labels - Return a board's label catalog, sorted by name
+app.get('/api/boards/:id/labels', (req, res) => {
+  const board = getActiveBoard(req.params.id);
+
+  if (!board) {
+    return res.status(404).json({ error: 'Board not found' });
+  }
+
+  if (!checkAccess(req, res, board.id, 'viewer')) {
+    return;
   }
 
-  db.columns.set(column.id, updatedColumn);
-  res.json(updatedColumn);
+  res.json(labelsOf(board.id));
 });
 
-// DELETE /api/columns/:id - Delete column and ALL its cards
-app.delete('/api/columns/:id', (req, res) => {
-  const column = db.columns.get(req.params.id);
+// POST /api/boards/:id/labels - Add a label to the catalog
+app.post('/api/boards/:id/labels', validateBody('label'), (req, res) => {
+  const { name, color } = req.body;
+  const board = getActiveBoard(req.params.id);
 
-  if (!column) {
-    return res.status(404).json({ error: 'Column not found' });
+  if (!board) {
+    return res.status(404).json({ error: 'Board not found' });
   }
 
-  // Delete all cards in this column
-  Array.from(db.cards.entries()).forEach(([cardId, card]) => {
-    if (card.column_id === column.id) {
-      db.cards.delete(cardId);
-    }
-  });
+  if (!checkAccess(req, res, board.id, 'editor')) {
+    return;
+  }
 
-  // Delete the column
-  db.columns.delete(column.id);
+  if (isLabelNameTaken(board.id, name)) {
+    return sendValidationError(res, { name: 'A label with this name already exists' });
+  }
 
-  res.json({ success: true });
+  const label = db.labels.insert({
+    id: db.generateId(),
+    board_id: board.id,
+    name,
+    color,
+    created_at: new Date().toISOString()
+  });
+
+  broadcast('label.created', board.id, label);
+  logActivity({ action: 'label.created', boardId: board.id, entityType: 'label', entityId: label.id, after: label, actor: req.user });
+  res.status(201).json(label);
 });
 
-// PUT /api/columns/:id/reorder - Reorder cards
-app.put('/api/columns/:id/reorder', (req, res) => {
-  const { card_ids } = req.body;
-  const columnId = req.params.id;
+// PUT /api/boards/:id/labels/:labelId - PARTIAL update of name and color (requires If-Match)
+app.put('/api/boards/:id/labels/:labelId', validateBody('label', { partial: true }), (req, res) => {
+  const label = findLabel(req, res);
+  if (!label || !checkAccess(req, res, label.board_id, 'editor') ||
+    !checkHasChanges(res, req.body, ['name', 'color']) || !checkVersion(req, res, label)) {
+    return;
+  }
 
-  if (!Array.isArray(card_ids)) {
-    return res.status(400).json({ error: 'card_ids must be an array' });
+  const { name, color } = req.body;
+
+  if (name !== undefined && isLabelNameTaken(label.board_id, name, label.id)) {
+    return sendValidationError(res, { name: 'A label with this name already exists' });
   }
 
-  // Update position of each card based on array index
-  card_ids.forEach((cardId, index) => {
-    const card = db.cards.get(cardId);
-    if (card && card.column_id === columnId) {
-      db.cards.set(cardId, {
-        ...card,
-        position: index
-      });
-    }
+  const changes = {};
+
+  if (name !== undefined) {
+    changes.name = name;
+  }
+
+  if (color !== undefined) {
+    changes.color = color;
+  }
+
+  const updated = db.labels.update(label.id, changes);
+  broadcast('label.updated', label.board_id, updated);
+  logActivity({ action: 'label.updated', boardId: label.board_id, entityType: 'label', entityId: label.id, before: label, after: updated, actor: req.user });
+  sendVersioned(res, updated);
+});
+
+// DELETE /api/boards/:id/labels/:labelId - Delete a label and take it off every card
+app.delete('/api/boards/:id/labels/:labelId', (req, res) => {
+  const label = findLabel(req, res);
+  if (!label || !checkAccess(req, res, label.board_id, 'editor')) {
+    return;
+  }
+
+  const columnIds = db.columns.where(col => col.board_id === label.board_id).map(col => col.id);
+  const unlabelled = db.transaction(() => {
+    db.labels.delete(label.id);
+    return db.cards
+      .where(card => columnIds.includes(card.column_id) && (card.labels || []).includes(label.id))
+      .map(card => db.cards.update(card.id, {
+        labels: card.labels.filter(labelId => labelId !== label.id)
+      }));
   });
 
+  unlabelled
+    .filter(card => !card.deleted_at)
+    .forEach(card => broadcast('card.updated', label.board_id, card));
+  broadcast('label.deleted', label.board_id, { id: label.id });
+  logActivity({ action: 'label.deleted', boardId: label.board_id, entityType: 'label', entityId: label.id, before: label, actor: req.user });
   res.json({ success: true });
 });
 
-// ========== CARDS API ==========
+// ========== COLUMNS API ==========
 
-// GET /api/columns/:columnId/cards - Return array of cards for column, sorted by position
-app.get('/api/columns/:columnId/cards', (req, res) => {
-  const cards = Array.from(db.cards.values())
-    .filter(card => card.column_id === req.params.columnId)
-    .sort((a, b) => a.position - b.position);
+// GET /api/boards/:boardId/columns - Return array of columns for board, sorted by position
+app.get('/api/boards/:boardId/columns', (req, res) => {
+  const board = getActiveBoard(req.params.boardId);
 
-  res.json(cards);
+  if (!board) {
+    return res.status(404).json({ error: 'Board not found' });
+  }
+
+  if (!checkAccess(req, res, board.id, 'viewer')) {
+    return;
+  }
+
+  const columns = activeColumns(board.id);
+  res.json(columns);
 });
 
-// POST /api/columns/:columnId/cards - Create card
-app.post('/api/columns/:columnId/cards', (req, res) => {
-  const { title, description, position, labels, due_date } = req.body;
-  const columnId = req.params.columnId;
+// POST /api/boards/:boardId/columns - Create column
+app.post('/api/boards/:boardId/columns', validateBody('column'), (req, res) => {
+  const { title, position, wip_limit = null } = req.body;
+  const boardId = req.params.boardId;
 
-  if (!title) {
-    return res.status(400).json({ error: 'Title is required' });
+  const board = getActiveBoard(boardId);
+  if (!board) {
+    return res.status(404).json({ error: 'Board not found' });
   }
 
-  const column = db.columns.get(columnId);
-  if (!column) {
-    return res.status(404).json({ error: 'Column not found' });
+  if (!checkAccess(req, res, board.id, 'editor')) {
+    return;
   }
 
   // If position not provided, append to end
   let finalPosition = position;
   if (finalPosition === undefined) {
-    const existingCards = Array.from(db.cards.values())
-      .filter(card => card.column_id === columnId);
-    finalPosition = existingCards.length;
+    const existingColumns = activeColumns(boardId);
+    finalPosition = existingColumns.length;
   }
 
-  const card = {
+  const column = db.columns.insert({
     id: db.generateId(),
-    column_id: columnId,
+    board_id: boardId,
     title,
-    description: description || null,
     position: finalPosition,
-    labels: labels || [],
-    due_date: due_date || null,
-    created_at: new Date().toISOString()
-  };
+    wip_limit,
+    created_at: new Date().toISOString(),
+    deleted_at: null
+  });
 
-  db.cards.set(card.id, card);
-  res.json(card);
+  broadcast('column.created', boardId, column);
+  logActivity({ action: 'column.created', boardId, entityType: 'column', entityId: column.id, after: column, actor: req.user });
+  res.json(column);
 });
 
-// PUT /api/cards/:id - PARTIAL update
-app.put('/api/cards/:id', (req, res) => {
-  const card = db.cards.get(req.params.id);
+// PUT /api/columns/:id - PARTIAL update (requires If-Match with the current version)
+app.put('/api/columns/:id', validateBody('column', { partial: true }), (req, res) => {
+  const column = getActiveColumn(req.params.id);
 
-  if (!card) {
-    return res.status(404).json({ error: 'Card not found' });
+  if (!column) {
+    return res.status(404).json({ error: 'Column not found' });
+  }
+
+  if (!checkAccess(req, res, column.board_id, 'editor') ||
+    !checkHasChanges(res, req.body, ['title', 'position', 'wip_limit']) || !checkVersion(req, res, column)) {
+    return;
   }
 
-  const { title, description, column_id, position, labels, due_date } = req.body;
-  const updatedCard = { ...card };
+  const { title, position, wip_limit } = req.body;
+  const changes = {};
 
   if (title !== undefined) {
-    updatedCard.title = title;
+    changes.title = title;
   }
 
-  if (description !== undefined) {
-    updatedCard.description = description;
+  if (position !== undefined) {
+    changes.position = position;
   }
 
-  if (column_id !== undefined) {
-    updatedCard.column_id = column_id;
+  if (wip_limit !== undefined) {
+    changes.wip_limit = wip_limit;
   }
 
-  if (position !== undefined) {
-    updatedCard.position = position;
-  }
+  const updatedColumn = db.columns.update(column.id, changes);
+  broadcast('column.updated', column.board_id, updatedColumn);
+  logActivity({ action: 'column.updated', boardId: column.board_id, entityType: 'column', entityId: column.id, before: column, after: updatedColumn, actor: req.user });
+  sendVersioned(res, updatedColumn);
+});
 
-  if (labels !== undefined) {
-    updatedCard.labels = labels;
+// DELETE /api/columns/:id - Move column (and with it all its cards) to the trash
+app.delete('/api/columns/:id', (req, res) => {
+  const column = getActiveColumn(req.params.id);
+
+  if (!column) {
+    return res.status(404).json({ error: 'Column not found' });
   }
 
-  if (due_date !== undefined) {
-    updatedCard.due_date = due_date;
+  if (!checkAccess(req, res, column.board_id, 'editor')) {
+    return;
   }
 
-  db.cards.set(card.id, updatedCard);
-  res.json(updatedCard);
-});
+  const cards = activeCards(column.id);
+  db.columns.update(column.id, { deleted_at: new Date().toISOString() });
 
-// DELETE /api/cards/:id - Delete card
+  broadcast('column.deleted', column.board_id, { id: column.id });
+  logActivity({ action: 'column.deleted', boardId: column.board_id, entityType: 'column', entityId: column.id, before: { ...column, cards }, actor: req.user });
+  res.json({ success: true });
+});
+
+// PUT /api/boards/:id/columns/reorder - Reorder columns
+// Renumbers every column on the board atomically: listed columns first in the
+// given order, then any the client didn't list, keeping their relative order.
+app.put('/api/boards/:id/columns/reorder', validateBody('columnReorder'), (req, res) => {
+  const { column_ids } = req.body;
+  const board = getActiveBoard(req.params.id);
+
+  if (!board) {
+    return res.status(404).json({ error: 'Board not found' });
+  }
+
+  if (!checkAccess(req, res, board.id, 'editor')) {
+    return;
+  }
+
+  const columns = activeColumns(board.id);
+  const previousOrder = columns.map(col => col.id);
+
+  const listed = column_ids
+    .map(columnId => columns.find(col => col.id === columnId))
+    .filter((col, index, all) => col && all.indexOf(col) === index);
+  const unlisted = columns.filter(col => !listed.includes(col));
+
+  // Update position of each column based on its place in the new order
+  const updatedColumns = db.transaction(() =>
+    [...listed, ...unlisted].map((column, index) =>
+      column.position === index ? column : db.columns.update(column.id, { position: index }, { bumpVersion: false })
+    )
+  );
+
+  broadcast('columns.reordered', board.id, {
+    column_ids: updatedColumns.map(col => col.id),
+    columns: updatedColumns
+  });
+  logActivity({
+    action: 'columns.reordered',
+    boardId: board.id,
+    entityType: 'board',
+    entityId: board.id,
+    before: { column_ids: previousOrder },
+    after: { column_ids: updatedColumns.map(col => col.id) },
+    actor: req.user
+  });
+  res.json({ success: true });
+});
+
+// PUT /api/columns/:id/reorder - Reorder cards
+app.put('/api/columns/:id/reorder', validateBody('cardReorder'), (req, res) => {
+  const { card_ids } = req.body;
+  const columnId = req.params.id;
+  const column = getActiveColumn(columnId);
+
+  if (!column) {
+    return res.status(404).json({ error: 'Column not found' });
+  }
+
+  if (!checkAccess(req, res, column.board_id, 'editor')) {
+    return;
+  }
+
+  const previousOrder = activeCards(columnId).map(card => card.id);
+
+  // Update position of each card based on array index
+  const updatedCards = db.transaction(() => {
+    const updated = [];
+    card_ids.forEach((cardId, index) => {
+      const card = getActiveCard(cardId);
+      if (card && card.column_id === columnId) {
+        updated.push(db.cards.update(cardId, { position: index }, { bumpVersion: false }));
+      }
+    });
+    return updated;
+  });
+
+  broadcast('cards.reordered', column.board_id, {
+    column_id: columnId,
+    card_ids: card_ids,
+    cards: updatedCards
+  });
+  logActivity({
+    action: 'cards.reordered',
+    boardId: column.board_id,
+    entityType: 'column',
+    entityId: columnId,
+    before: { column_id: columnId, card_ids: previousOrder },
+    after: { column_id: columnId, card_ids: updatedCards.map(card => card.id) },
+    actor: req.user
+  });
+  res.json({ success: true });
+});
+
+// ========== CARDS API ==========
+
+// GET /api/columns/:columnId/cards - Return array of cards for column, sorted by position
+// With ?cursor= or ?limit=, returns one page instead: { items, next_cursor }, where
+// next_cursor (opaque, null on the last page) is the ?cursor= for the next page.
+// A malformed cursor or a limit below 1 is a 400; limits above 200 are capped.
+app.get('/api/columns/:columnId/cards', (req, res) => {
+  const column = getActiveColumn(req.params.columnId);
+
+  if (!column) {
+    return res.status(404).json({ error: 'Column not found' });
+  }
+
+  if (!checkAccess(req, res, column.board_id, 'viewer')) {
+    return;
+  }
+
+  const cards = activeCards(column.id);
+
+  if (req.query.cursor !== undefined || req.query.limit !== undefined) {
+    const { value: page, fields } = pageOfCards(cards, req.query);
+    if (fields) {
+      return sendValidationError(res, fields);
+    }
+    return res.json({ ...page, items: cardSummaries(page.items) });
+  }
+
+  res.json(cardSummaries(cards));
+});
+
+// POST /api/columns/:columnId/cards - Create card
+// A column at its WIP limit answers 409 unless the body sets override_wip_limit.
+app.post('/api/columns/:columnId/cards', validateBody('card'), (req, res) => {
+  const { title, description, position, labels, due_date, assignees = [] } = req.body;
+  const columnId = req.params.columnId;
+
+  const column = getActiveColumn(columnId);
+  if (!column) {
+    return res.status(404).json({ error: 'Column not found' });
+  }
+
+  if (!checkAccess(req, res, column.board_id, 'editor')) {
+    return;
+  }
+
+  const labelError = labels ? checkLabels(column.board_id, labels) : null;
+  if (labelError) {
+    return sendValidationError(res, { labels: labelError });
+  }
+
+  const assigneeError = checkAssignees(column.board_id, assignees);
+  if (assigneeError) {
+    return sendValidationError(res, { assignees: assigneeError });
+  }
+
+  if (!checkWipLimit(req, res, column)) {
+    return;
+  }
+
+  // If position not provided, append to end
+  let finalPosition = position;
+  if (finalPosition === undefined) {
+    const existingCards = activeCards(columnId);
+    finalPosition = existingCards.length;
+  }
+
+  const card = db.cards.insert({
+    id: db.generateId(),
+    column_id: columnId,
+    title,
+    description: description || null,
+    position: finalPosition,
+    labels: labels || [],
+    due_date: due_date || null,
+    assignees,
+    created_at: new Date().toISOString(),
+    deleted_at: null
+  });
+
+  broadcast('card.created', column.board_id, card);
+  logActivity({ action: 'card.created', boardId: column.board_id, entityType: 'card', entityId: card.id, after: card, actor: req.user });
+  res.json(card);
+});
+
+// PUT /api/cards/:id - PARTIAL update (requires If-Match with the current version)
+app.put('/api/cards/:id', validateBody('card', { partial: true }), (req, res) => {
+  const card = getActiveCard(req.params.id);
+
+  if (!card) {
+    return res.status(404).json({ error: 'Card not found' });
+  }
+
+  if (!checkAccess(req, res, boardIdForColumn(card.column_id), 'editor') ||
+    !checkHasChanges(res, req.body, ['title', 'description', 'column_id', 'position', 'labels', 'due_date', 'assignees']) ||
+    !checkVersion(req, res, card)) {
+    return;
+  }
+
+  const { title, description, column_id, position, labels, due_date, assignees } = req.body;
+
+  if (column_id !== undefined) {
+    const columnError = checkTargetColumn(card, column_id);
+    if (columnError) {
+      return sendValidationError(res, { column_id: columnError });
+    }
+  }
+
+  if (labels !== undefined) {
+    const labelError = checkLabels(boardIdForColumn(card.column_id), labels);
+    if (labelError) {
+      return sendValidationError(res, { labels: labelError });
+    }
+  }
+
+  if (assignees !== undefined) {
+    const assigneeError = checkAssignees(boardIdForColumn(card.column_id), assignees);
+    if (assigneeError) {
+      return sendValidationError(res, { assignees: assigneeError });
+    }
+  }
+
+  if (column_id !== undefined && column_id !== card.column_id && !checkWipLimit(req, res, db.columns.get(column_id))) {
+    return;
+  }
+
+  const changes = {};
+
+  if (title !== undefined) {
+    changes.title = title;
+  }
+
+  if (description !== undefined) {
+    changes.description = description;
+  }
+
+  if (column_id !== undefined) {
+    changes.column_id = column_id;
+  }
+
+  if (position !== undefined) {
+    changes.position = position;
+  }
+
+  if (labels !== undefined) {
+    changes.labels = labels;
+  }
+
+  if (due_date !== undefined) {
+    changes.due_date = due_date;
+  }
+
+  if (assignees !== undefined) {
+    changes.assignees = assignees;
+  }
+
+  const updatedCard = db.cards.update(card.id, changes);
+  broadcast('card.updated', boardIdForColumn(updatedCard.column_id), updatedCard);
+  logActivity({
+    action: updatedCard.column_id !== card.column_id ? 'card.moved' : 'card.updated',
+    boardId: boardIdForColumn(updatedCard.column_id),
+    entityType: 'card',
+    entityId: card.id,
+    before: card,
+    after: updatedCard,
+    actor: req.user
+  });
+  sendVersioned(res, updatedCard);
+});
+
+// POST /api/cards/:id/move - Move a card to a column and position
+// Re-sequences the source and target columns in one transaction so positions
+// stay contiguous. No If-Match needed: a move never touches card content, and
+// it leaves card versions alone so it doesn't conflict with open edits.
+// Moving into a column at its WIP limit answers 409 unless override_wip_limit is set.
+app.post('/api/cards/:id/move', validateBody('cardMove'), (req, res) => {
+  const card = getActiveCard(req.params.id);
+
+  if (!card) {
+    return res.status(404).json({ error: 'Card not found' });
+  }
+
+  if (!checkAccess(req, res, boardIdForColumn(card.column_id), 'editor')) {
+    return;
+  }
+
+  const { column_id, position } = req.body;
+  const targetColumnId = column_id === undefined ? card.column_id : column_id;
+
+  const sourceColumn = db.columns.get(card.column_id);
+  const targetColumn = getActiveColumn(targetColumnId);
+  if (!targetColumn) {
+    return res.status(404).json({ error: 'Target column not found' });
+  }
+
+  if (targetColumn.board_id !== sourceColumn.board_id) {
+    return res.status(400).json({ error: 'Target column must be on the same board' });
+  }
+
+  if (targetColumn.id !== sourceColumn.id && !checkWipLimit(req, res, targetColumn)) {
+    return;
+  }
+
+  const changedCards = db.transaction(() => {
+    const sourceCards = activeCards(sourceColumn.id).filter(c => c.id !== card.id);
+    const sameColumn = sourceColumn.id === targetColumn.id;
+    const targetCards = sameColumn ? sourceCards : activeCards(targetColumn.id);
+
+    const index = position === undefined ? targetCards.length : Math.min(position, targetCards.length);
+    targetCards.splice(index, 0, card);
+
+    return [
+      ...(sameColumn ? [] : resequenceCards(sourceCards, sourceColumn.id)),
+      ...resequenceCards(targetCards, targetColumn.id)
+    ];
+  });
+
+  const movedCard = db.cards.get(card.id);
+
+  broadcast('card.moved', targetColumn.board_id, { card: movedCard, cards: changedCards });
+  logActivity({
+    action: 'card.moved',
+    boardId: targetColumn.board_id,
+    entityType: 'card',
+    entityId: card.id,
+    before: card,
+    after: movedCard,
+    actor: req.user
+  });
+  res.json(movedCard);
+});
+
+// DELETE /api/cards/:id - Move card to the trash
 app.delete('/api/cards/:id', (req, res) => {
-  const card = db.cards.get(req.params.id);
+  const card = getActiveCard(req.params.id);
 
   if (!card) {
     return res.status(404).json({ error: 'Card not found' });
   }
 
-  db.cards.delete(card.id);
+  const boardId = boardIdForColumn(card.column_id);
+  if (!checkAccess(req, res, boardId, 'editor')) {
+    return;
+  }
+
+  db.cards.update(card.id, { deleted_at: new Date().toISOString() });
+  broadcast('card.deleted', boardId, { id: card.id, column_id: card.column_id });
+  logActivity({ action: 'card.deleted', boardId, entityType: 'card', entityId: card.id, before: card, actor: req.user });
   res.json({ success: true });
 });
 
-// ========== START SERVER ==========
+// Move cards into one column, in the order given, starting at `position`
+// (an index among the cards that stay put; appended if omitted)
+function bulkMove(req, res, cards, boardId) {
+  const { column_id: columnId, position } = req.body;
+
+  if (columnId === undefined) {
+    return sendValidationError(res, { column_id: 'Column is required' });
+  }
+
+  const columnError = checkTargetColumn(cards[0], columnId);
+  if (columnError) {
+    return sendValidationError(res, { column_id: columnError });
+  }
+
+  const target = db.columns.get(columnId);
+  const arriving = cards.filter(card => card.column_id !== target.id).length;
+  if (arriving > 0 && !checkWipLimit(req, res, target, arriving)) {
+    return;
+  }
+
+  const movingIds = new Set(cards.map(card => card.id));
+  const staying = (columnId) => activeCards(columnId).filter(card => !movingIds.has(card.id));
+
+  // The moves and their activity entries are written to the data file once
+  const { changedCards, movedCards } = db.transaction(() => {
+    const sourceIds = [...new Set(cards.map(card => card.column_id))].filter(id => id !== target.id);
+    const targetCards = staying(target.id);
+    const index = position === undefined ? targetCards.length : Math.min(position, targetCards.length);
+    targetCards.splice(index, 0, ...cards);
+
+    const changed = [
+      ...sourceIds.flatMap(sourceId => resequenceCards(staying(sourceId), sourceId)),
+      ...resequenceCards(targetCards, target.id)
+    ];
+    const moved = cards.map(card => db.cards.get(card.id));
+
+    cards.forEach((card, i) => {
+      logActivity({ action: 'card.moved', boardId, entityType: 'card', entityId: card.id, before: card, after: moved[i], actor: req.user });
+    });
+    return { changedCards: changed, movedCards: moved };
+  });
+
+  broadcast('cards.moved', boardId, { cards: changedCards });
+  res.json({ cards: movedCards });
+}
+
+// Change a field on every card that needs it, logging each change like a
+// single-card update, in one transaction
+function bulkUpdate(req, res, cards, boardId, changesFor) {
+  const changing = cards
+    .map(card => ({ card, changes: changesFor(card) }))
+    .filter(({ changes }) => changes !== null);
+
+  const updatedCards = db.transaction(() =>
+    changing.map(({ card, changes }) => {
+      const updatedCard = db.cards.update(card.id, changes);
+      logActivity({
+        action: 'card.updated',
+        boardId,
+        entityType: 'card',
+        entityId: updatedCard.id,
+        before: card,
+        after: updatedCard,
+        actor: req.user
+      });
+      return updatedCard;
+    })
+  );
+
+  updatedCards.forEach(updatedCard => broadcast('card.updated', boardId, updatedCard));
+  res.json({ cards: updatedCards });
+}
+
+// POST /api/cards/bulk - Apply one action to several cards at once
+// Actions: move (column_id, optional position), add_label and remove_label
+// (label_id), set_due_date (due_date; null clears it) and delete (to the
+// trash). The cards must all be on one board, and either every card changes
+// or none does. Answers { cards } with the cards that changed. Like a move,
+// no If-Match is needed; a move into a full column answers 409 unless
+// override_wip_limit is set.
+app.post('/api/cards/bulk', validateBody('cardBulk'), (req, res) => {
+  const { card_ids: cardIds, action, label_id: labelId, due_date: dueDate } = req.body;
+
+  if (cardIds.length === 0) {
+    return sendValidationError(res, { card_ids: 'Select at least one card' });
+  }
+
+  const cards = cardIds.map(getActiveCard);
+  const missing = cardIds.filter((id, i) => !cards[i]);
+  if (missing.length > 0) {
+    return res.status(404).json({ error: `${missing.length} card(s) not found`, card_ids: missing });
+  }
+
+  const boardId = boardIdForColumn(cards[0].column_id);
+  if (cards.some(card => boardIdForColumn(card.column_id) !== boardId)) {
+    return sendValidationError(res, { card_ids: 'Cards must all be on the same board' });
+  }
+
+  if (!checkAccess(req, res, boardId, 'editor')) {
+    return;
+  }
+
+  switch (action) {
+    case 'move':
+      return bulkMove(req, res, cards, boardId);
+
+    case 'add_label':
+    case 'remove_label': {
+      const labelError = labelId === undefined ? 'Label is required' : checkLabels(boardId, [labelId]);
+      if (labelError) {
+        return sendValidationError(res, { label_id: labelError });
+      }
+
+      const adding = action === 'add_label';
+      return bulkUpdate(req, res, cards, boardId, card => {
+        if (card.labels.includes(labelId) === adding) {
+          return null;
+        }
+        return { labels: adding ? [...card.labels, labelId] : card.labels.filter(id => id !== labelId) };
+      });
+    }
+
+    case 'set_due_date':
+      if (dueDate === undefined) {
+        return sendValidationError(res, { due_date: 'Due date is required (null clears it)' });
+      }
+      return bulkUpdate(req, res, cards, boardId, card =>
+        card.due_date === dueDate ? null : { due_date: dueDate }
+      );
+
+    case 'delete': {
+      const deletedAt = new Date().toISOString();
+      const trashedCards = db.transaction(() =>
+        cards.map(card => {
+          logActivity({ action: 'card.deleted', boardId, entityType: 'card', entityId: card.id, before: card, actor: req.user });
+          return db.cards.update(card.id, { deleted_at: deletedAt });
+        })
+      );
+
+      cards.forEach(card => broadcast('card.deleted', boardId, { id: card.id, column_id: card.column_id }));
+      return res.json({ cards: trashedCards });
+    }
+
+    default:
+      return sendValidationError(res, { action: 'Unknown action' });
+  }
+});
+
+// ========== COMMENTS API ==========
+
+// Look up a comment on an active card, sending 404 if either is missing.
+// Returns { card, comment, boardId } or null.
+function findComment(req, res) {
+  const card = getActiveCard(req.params.id);
+  const comment = card ? db.comments.get(req.params.commentId) : null;
+
+  if (!comment || comment.card_id !== card.id) {
+    res.status(404).json({ error: 'Comment not found' });
+    return null;
+  }
+
+  return { card, comment, boardId: boardIdForColumn(card.column_id) };
+}
+
+// Snapshot of a comment for the activity log, naming its card
+function commentSnapshot(comment, card) {
+  return { ...comment, card_title: card.title };
+}
+
+// GET /api/cards/:id/comments - Return a card's comments, oldest first
+app.get('/api/cards/:id/comments', (req, res) => {
+  const card = getActiveCard(req.params.id);
+
+  if (!card) {
+    return res.status(404).json({ error: 'Card not found' });
+  }
+
+  if (!checkAccess(req, res, boardIdForColumn(card.column_id), 'viewer')) {
+    return;
+  }
+
+  res.json(commentsFor(card.id));
+});
+
+// POST /api/cards/:id/comments - Add a comment as the signed-in user
+app.post('/api/cards/:id/comments', validateBody('comment'), (req, res) => {
+  const card = getActiveCard(req.params.id);
+
+  if (!card) {
+    return res.status(404).json({ error: 'Card not found' });
+  }
+
+  const boardId = boardIdForColumn(card.column_id);
+  if (!checkAccess(req, res, boardId, 'editor')) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const comment = db.comments.insert({
+    id: db.generateId(),
+    card_id: card.id,
+    author_id: req.user.id,
+    body: req.body.body,
+    created_at: now,
+    updated_at: now
+  });
+
+  const view = commentView(comment);
+  broadcast('comment.created', boardId, view);
+  logActivity({ action: 'comment.created', boardId, entityType: 'comment', entityId: comment.id, after: commentSnapshot(comment, card), actor: req.user });
+  res.status(201).json(view);
+});
+
+// PUT /api/cards/:id/comments/:commentId - Edit a comment (author only; requires If-Match)
+app.put('/api/cards/:id/comments/:commentId', validateBody('comment'), (req, res) => {
+  const found = findComment(req, res);
+  if (!found) return;
+
+  const { card, comment, boardId } = found;
+
+  if (!checkAccess(req, res, boardId, 'editor')) {
+    return;
+  }
+
+  if (comment.author_id !== req.user.id) {
+    return res.status(403).json({ error: 'Only the author can edit a comment' });
+  }
+
+  if (!checkVersion(req, res, comment)) {
+    return;
+  }
+
+  const updated = db.comments.update(comment.id, {
+    body: req.body.body,
+    updated_at: new Date().toISOString()
+  });
+
+  const view = commentView(updated);
+  broadcast('comment.updated', boardId, view);
+  logActivity({
+    action: 'comment.updated',
+    boardId,
+    entityType: 'comment',
+    entityId: comment.id,
+    before: commentSnapshot(comment, card),
+    after: commentSnapshot(updated, card),
+    actor: req.user
+  });
+  sendVersioned(res, view);
+});
+
+// DELETE /api/cards/:id/comments/:commentId - Delete a comment (author or board owner)
+app.delete('/api/cards/:id/comments/:commentId', (req, res) => {
+  const found = findComment(req, res);
+  if (!found) return;
+
+  const { card, comment, boardId } = found;
+
+  const required = comment.author_id === req.user.id ? 'editor' : 'owner';
+  if (!checkAccess(req, res, boardId, required)) {
+    return;
+  }
+
+  db.comments.delete(comment.id);
+  broadcast('comment.deleted', boardId, { id: comment.id, card_id: card.id });
+  logActivity({ action: 'comment.deleted', boardId, entityType: 'comment', entityId: comment.id, before: commentSnapshot(comment, card), actor: req.user });
+  res.json({ success: true });
+});
+
+// ========== CHECKLISTS API ==========
+// Checklist writes are small and independent (tick one item, rename one list),
+// so they don't take If-Match; each responds with the whole updated checklist.
+
+// Look up a checklist on an active card, sending 404 if either is missing.
+// Returns { card, checklist, boardId } or null.
+function findChecklist(req, res) {
+  const card = getActiveCard(req.params.id);
+  const checklist = card ? db.checklists.get(req.params.checklistId) : null;
+
+  if (!checklist || checklist.card_id !== card.id) {
+    res.status(404).json({ error: 'Checklist not found' });
+    return null;
+  }
+
+  return { card, checklist, boardId: boardIdForColumn(card.column_id) };
+}
+
+// Snapshot of a checklist for the activity log, naming its card
+function checklistSnapshot(checklist, card) {
+  return { ...checklist, card_title: card.title };
+}
+
+// Apply changes to a checklist, then broadcast and log them. Returns the updated checklist.
+function updateChecklist(req, { card, checklist, boardId }, changes) {
+  const updated = db.checklists.update(checklist.id, changes);
+
+  broadcast('checklist.updated', boardId, { ...updated, progress: checklistProgress(card.id) });
+  logActivity({
+    action: 'checklist.updated',
+    boardId,
+    entityType: 'checklist',
+    entityId: checklist.id,
+    before: checklistSnapshot(checklist, card),
+    after: checklistSnapshot(updated, card),
+    actor: req.user
+  });
+  return updated;
+}
+
+// GET /api/cards/:id/checklists - Return a card's checklists with their items
+app.get('/api/cards/:id/checklists', (req, res) => {
+  const card = getActiveCard(req.params.id);
+
+  if (!card) {
+    return res.status(404).json({ error: 'Card not found' });
+  }
+
+  if (!checkAccess(req, res, boardIdForColumn(card.column_id), 'viewer')) {
+    return;
+  }
+
+  res.json(checklistsFor(card.id));
+});
+
+// POST /api/cards/:id/checklists - Add an empty checklist to the end of a card
+app.post('/api/cards/:id/checklists', validateBody('checklist'), (req, res) => {
+  const card = getActiveCard(req.params.id);
+
+  if (!card) {
+    return res.status(404).json({ error: 'Card not found' });
+  }
+
+  const boardId = boardIdForColumn(card.column_id);
+  if (!checkAccess(req, res, boardId, 'editor')) {
+    return;
+  }
+
+  const checklist = db.checklists.insert({
+    id: db.generateId(),
+    card_id: card.id,
+    title: req.body.title,
+    position: checklistsFor(card.id).length,
+    items: [],
+    created_at: new Date().toISOString()
+  });
+
+  broadcast('checklist.created', boardId, { ...checklist, progress: checklistProgress(card.id) });
+  logActivity({ action: 'checklist.created', boardId, entityType: 'checklist', entityId: checklist.id, after: checklistSnapshot(checklist, card), actor: req.user });
+  res.status(201).json(checklist);
+});
+
+// PUT /api/cards/:id/checklists/:checklistId - Rename a checklist
+app.put('/api/cards/:id/checklists/:checklistId', validateBody('checklist'), (req, res) => {
+  const found = findChecklist(req, res);
+  if (!found || !checkAccess(req, res, found.boardId, 'editor')) {
+    return;
+  }
+
+  res.json(updateChecklist(req, found, { title: req.body.title }));
+});
+
+// DELETE /api/cards/:id/checklists/:checklistId - Delete a checklist and its items
+app.delete('/api/cards/:id/checklists/:checklistId', (req, res) => {
+  const found = findChecklist(req, res);
+  if (!found || !checkAccess(req, res, found.boardId, 'editor')) {
+    return;
+  }
+
+  const { card, checklist, boardId } = found;
+
+  db.transaction(() => {
+    db.checklists.delete(checklist.id);
+    checklistsFor(card.id).forEach((sibling, position) => {
+      if (sibling.position !== position) {
+        db.checklists.update(sibling.id, { position }, { bumpVersion: false });
+      }
+    });
+  });
+
+  broadcast('checklist.deleted', boardId, { id: checklist.id, card_id: card.id, progress: checklistProgress(card.id) });
+  logActivity({ action: 'checklist.deleted', boardId, entityType: 'checklist', entityId: checklist.id, before: checklistSnapshot(checklist, card), actor: req.user });
+  res.json({ success: true });
+});
+
+// POST /api/cards/:id/checklists/:checklistId/items - Add an item to the end of a checklist
+app.post('/api/cards/:id/checklists/:checklistId/items', validateBody('checklistItem'), (req, res) => {
+  const found = findChecklist(req, res);
+  if (!found || !checkAccess(req, res, found.boardId, 'editor')) {
+    return;
+  }
+
+  const item = { id: db.generateId(), text: req.body.text, done: req.body.done || false };
+  res.status(201).json(updateChecklist(req, found, { items: [...found.checklist.items, item] }));
+});
+
+// PUT /api/cards/:id/checklists/:checklistId/items/reorder - Reorder a checklist's items
+// Items are placed in the given order, then any the client didn't list.
+app.put('/api/cards/:id/checklists/:checklistId/items/reorder', validateBody('checklistItemReorder'), (req, res) => {
+  const found = findChecklist(req, res);
+  if (!found || !checkAccess(req, res, found.boardId, 'editor')) {
+    return;
+  }
+
+  const { items } = found.checklist;
+  const listed = req.body.item_ids
+    .map(itemId => items.find(item => item.id === itemId))
+    .filter(Boolean);
+  const unlisted = items.filter(item => !listed.includes(item));
+
+  res.json(updateChecklist(req, found, { items: [...listed, ...unlisted] }));
+});
+
+// PUT /api/cards/:id/checklists/:checklistId/items/:itemId - PARTIAL update of an item (text, done)
+// A body with neither field is rejected with 400 rather than saved as a no-op change.
+app.put('/api/cards/:id/checklists/:checklistId/items/:itemId', validateBody('checklistItem', { partial: true }), (req, res) => {
+  const found = findChecklist(req, res);
+  if (!found || !checkAccess(req, res, found.boardId, 'editor') || !checkHasChanges(res, req.body, ['text', 'done'])) {
+    return;
+  }
+
+  const { items } = found.checklist;
+  if (!items.some(item => item.id === req.params.itemId)) {
+    return res.status(404).json({ error: 'Checklist item not found' });
+  }
+
+  res.json(updateChecklist(req, found, {
+    items: items.map(item => (item.id === req.params.itemId ? { ...item, ...req.body } : item))
+  }));
+});
+
+// DELETE /api/cards/:id/checklists/:checklistId/items/:itemId - Delete an item
+app.delete('/api/cards/:id/checklists/:checklistId/items/:itemId', (req, res) => {
+  const found = findChecklist(req, res);
+  if (!found || !checkAccess(req, res, found.boardId, 'editor')) {
+    return;
+  }
+
+  const { items } = found.checklist;
+  if (!items.some(item => item.id === req.params.itemId)) {
+    return res.status(404).json({ error: 'Checklist item not found' });
+  }
+
+  res.json(updateChecklist(req, found, { items: items.filter(item => item.id !== req.params.itemId) }));
+});
 
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
+// ========== MEMBERS API ==========
+
+// Reject a change that would leave a board without an owner
+function checkKeepsOwner(res, boardId, member, newRole) {
+  const owners = membersOf(boardId).filter(m => m.role === 'owner');
+
+  if (member.role === 'owner' && newRole !== 'owner' && owners.length === 1) {
+    res.status(409).json({ error: 'A board must keep at least one owner' });
+    return false;
+  }
+
+  return true;
+}
+
+// Member as shown in responses and activity: user details plus role
+function memberView(boardId, userId) {
+  return membersOf(boardId).find(m => m.user_id === userId) || null;
+}
+
+// GET /api/boards/:id/members - Return the board's members with their roles
+app.get('/api/boards/:id/members', (req, res) => {
+  const board = getActiveBoard(req.params.id);
+
+  if (!board) {
+    return res.status(404).json({ error: 'Board not found' });
+  }
+
+  if (!checkAccess(req, res, board.id, 'viewer')) {
+    return;
+  }
+
+  res.json(membersOf(board.id));
+});
+
+// POST /api/boards/:id/members - Add a registered user to the board by email (owners only)
+app.post('/api/boards/:id/members', validateBody('member'), (req, res) => {
+  const board = getActiveBoard(req.params.id);
+
+  if (!board) {
+    return res.status(404).json({ error: 'Board not found' });
+  }
+
+  if (!checkAccess(req, res, board.id, 'owner')) {
+    return;
+  }
+
+  const { email, role } = req.body;
+  const user = findUserByEmail(email);
+
+  if (!user) {
+    return sendValidationError(res, { email: 'No account uses this email' });
+  }
+
+  if (findMember(board.id, user.id)) {
+    return sendValidationError(res, { email: 'This user is already a member' });
+  }
+
+  addMember(board.id, user.id, role);
+  const member = memberView(board.id, user.id);
+
+  broadcast('member.added', board.id, { ...member, board: { ...board, role } });
+  logActivity({ action: 'member.added', boardId: board.id, entityType: 'member', entityId: user.id, after: member, actor: req.user });
+  res.status(201).json(member);
+});
+
+// PUT /api/boards/:id/members/:userId - Change a member's role (owners only)
+app.put('/api/boards/:id/members/:userId', validateBody('memberRole'), (req, res) => {
+  const board = getActiveBoard(req.params.id);
+
+  if (!board) {
+    return res.status(404).json({ error: 'Board not found' });
+  }
+
+  if (!checkAccess(req, res, board.id, 'owner')) {
+    return;
+  }
+
+  const existing = findMember(board.id, req.params.userId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Member not found' });
+  }
+
+  const { role } = req.body;
+  if (!checkKeepsOwner(res, board.id, existing, role)) {
+    return;
+  }
+
+  const before = memberView(board.id, existing.user_id);
+  db.members.update(existing.id, { role });
+  const member = memberView(board.id, existing.user_id);
+
+  broadcast('member.updated', board.id, member);
+  logActivity({ action: 'member.updated', boardId: board.id, entityType: 'member', entityId: member.user_id, before, after: member, actor: req.user });
+  res.json(member);
+});
+
+// DELETE /api/boards/:id/members/:userId - Remove a member (owners only; anyone may remove themselves)
+app.delete('/api/boards/:id/members/:userId', (req, res) => {
+  const board = getActiveBoard(req.params.id);
+
+  if (!board) {
+    return res.status(404).json({ error: 'Board not found' });
+  }
+
+  const leaving = req.params.userId === req.user.id;
+  if (!checkAccess(req, res, board.id, leaving ? 'viewer' : 'owner')) {
+    return;
+  }
+
+  const existing = findMember(board.id, req.params.userId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Member not found' });
+  }
+
+  if (!checkKeepsOwner(res, board.id, existing, null)) {
+    return;
+  }
+
+  // The removed user still needs to hear about it
+  const recipients = memberIds(board.id);
+  const before = memberView(board.id, existing.user_id);
+
+  // Unassign them from the board's cards along with removing them
+  const columnIds = db.columns.where(col => col.board_id === board.id).map(col => col.id);
+  const unassigned = db.transaction(() => {
+    db.members.delete(existing.id);
+    return db.cards
+      .where(card => columnIds.includes(card.column_id) && (card.assignees || []).includes(existing.user_id))
+      .map(card => db.cards.update(card.id, {
+        assignees: card.assignees.filter(userId => userId !== existing.user_id)
+      }));
+  });
+
+  unassigned
+    .filter(card => !card.deleted_at)
+    .forEach(card => broadcast('card.updated', board.id, card));
+  broadcast('member.removed', board.id, { user_id: existing.user_id }, { recipients });
+  logActivity({ action: 'member.removed', boardId: board.id, entityType: 'member', entityId: existing.user_id, before, actor: req.user });
+  res.json({ success: true });
+});
+
+// ========== TRASH API ==========
+
+// Collections behind each trash item type
+const TRASH_TYPES = {
+  board: 'boards',
+  column: 'columns',
+  card: 'cards'
+};
+
+// Board a trashed record belongs to
+function boardIdForTrashed(type, record) {
+  if (type === 'board') return record.id;
+  if (type === 'column') return record.board_id;
+  return boardIdForColumn(record.column_id);
+}
+
+// GET /api/trash - Return trashed boards, columns and cards that can be restored, newest first
+// (columns and cards inside a trashed board or column come back with it, so they aren't listed).
+// Only covers boards the user is a member of.
+app.get('/api/trash', (req, res) => {
+  const { board_id } = req.query;
+
+  const boards = db.boards
+    .where(board => board.deleted_at)
+    .map(board => ({
+      type: 'board',
+      id: board.id,
+      name: board.name,
+      board_id: board.id,
+      board_name: board.name,
+      deleted_at: board.deleted_at
+    }));
+
+  const columns = db.columns
+    .where(col => col.deleted_at && getActiveBoard(col.board_id))
+    .map(col => ({
+      type: 'column',
+      id: col.id,
+      name: col.title,
+      board_id: col.board_id,
+      board_name: db.boards.get(col.board_id).name,
+      card_count: activeCards(col.id).length,
+      deleted_at: col.deleted_at
+    }));
+
+  const cards = db.cards
+    .where(card => card.deleted_at && getActiveColumn(card.column_id))
+    .map(card => {
+      const column = db.columns.get(card.column_id);
+      return {
+        type: 'card',
+        id: card.id,
+        name: card.title,
+        board_id: column.board_id,
+        board_name: db.boards.get(column.board_id).name,
+        column_id: column.id,
+        column_title: column.title,
+        deleted_at: card.deleted_at
+      };
+    });
+
+  const items = [...boards, ...columns, ...cards]
+    .filter(item => !board_id || item.board_id === board_id)
+    .filter(item => roleFor(item.board_id, req.user.id))
+    .sort((a, b) => b.deleted_at.localeCompare(a.deleted_at));
+
+  res.json(items);
 });
+
+// POST /api/trash/:type/:id/restore - Restore a board, column or card to its original place
+// (boards need the owner role, columns and cards the editor role)
+app.post('/api/trash/:type/:id/restore', (req, res) => {
+  const collection = TRASH_TYPES[req.params.type];
+  if (!collection) {
+    return res.status(400).json({ error: 'Type must be board, column or card' });
+  }
+
+  const record = db[collection].get(req.params.id);
+  if (!record || !record.deleted_at) {
+    return res.status(404).json({ error: 'Item not found in trash' });
+  }
+
+  const requiredRole = req.params.type === 'board' ? 'owner' : 'editor';
+  if (!checkAccess(req, res, boardIdForTrashed(req.params.type, record), requiredRole)) {
+    return;
+  }
+
+  if (req.params.type === 'board') {
+    const board = db.boards.update(record.id, { deleted_at: null });
+
+    broadcast('board.restored', board.id, board);
+    logActivity({ action: 'board.restored', boardId: board.id, entityType: 'board', entityId: board.id, before: record, after: board, actor: req.user });
+    return res.json(board);
+  }
+
+  if (req.params.type === 'column') {
+    if (!getActiveBoard(record.board_id)) {
+      return res.status(409).json({ error: 'Restore the board first' });
+    }
+
+    const column = db.transaction(() =>
+      reinsertAtPosition(db.columns, record, activeColumns(record.board_id))
+    );
+
+    broadcast('column.restored', column.board_id, column);
+    logActivity({ action: 'column.restored', boardId: column.board_id, entityType: 'column', entityId: column.id, before: record, after: column, actor: req.user });
+    return res.json(column);
+  }
+
+  if (!getActiveColumn(record.column_id)) {
+    return res.status(409).json({ error: 'Restore the column first' });
+  }
+
+  const card = db.transaction(() =>
+    reinsertAtPosition(db.cards, record, activeCards(record.column_id))
+  );
+  const boardId = boardIdForColumn(card.column_id);
+
+  broadcast('card.restored', boardId, card);
+  logActivity({ action: 'card.restored', boardId, entityType: 'card', entityId: card.id, before: record, after: card, actor: req.user });
+  res.json(card);
+});
+
+// DELETE /api/trash/:type/:id - Permanently delete a trashed item (and everything inside it)
+// (boards need the owner role, columns and cards the editor role)
+app.delete('/api/trash/:type/:id', (req, res) => {
+  const collection = TRASH_TYPES[req.params.type];
+  if (!collection) {
+    return res.status(400).json({ error: 'Type must be board, column or card' });
+  }
+
+  const record = db[collection].get(req.params.id);
+  if (!record || !record.deleted_at) {
+    return res.status(404).json({ error: 'Item not found in trash' });
+  }
+
+  const boardId = boardIdForTrashed(req.params.type, record);
+  const requiredRole = req.params.type === 'board' ? 'owner' : 'editor';
+  if (!checkAccess(req, res, boardId, requiredRole)) {
+    return;
+  }
+
+  // Purging a board removes its members, so tell the people who were on it
+  const recipients = memberIds(boardId);
+
+  db.transaction(() => {
+    if (req.params.type === 'board') {
+      const columnIds = db.columns
+        .where(col => col.board_id === record.id)
+        .map(col => col.id);
+
+      db.cards.deleteWhere(card => columnIds.includes(card.column_id));
+      columnIds.forEach(colId => db.columns.delete(colId));
+      db.members.deleteWhere(member => member.board_id === record.id);
+      db.labels.deleteWhere(label => label.board_id === record.id);
+      db.boards.delete(record.id);
+    } else if (req.params.type === 'column') {
+      db.cards.deleteWhere(card => card.column_id === record.id);
+      db.columns.delete(record.id);
+    } else {
+      db.cards.delete(record.id);
+    }
+
+    // Comments and checklists go with their cards
+    db.comments.deleteWhere(comment => !db.cards.get(comment.card_id));
+    db.checklists.deleteWhere(checklist => !db.cards.get(checklist.card_id));
+  });
+
+  broadcast(`${req.params.type}.purged`, boardId, { id: record.id }, { recipients });
+  logActivity({ action: `${req.params.type}.purged`, boardId, entityType: req.params.type, entityId: record.id, before: record, actor: req.user });
+  res.json({ success: true });
+});
+
+// ========== START SERVER ==========
+
+// Listen when run directly (npm start); tests import the app and listen themselves
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  app.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+  });
+}
+
+export default app;
@@ -0,0 +1,32 @@
+import db from './db.js';
+
+/**
+ * Board labels
+ * Each board has its own catalog of labels (name and color); cards refer to
+ * labels by ID. Deleting a label takes it off every card on the board.
+ */
+
+/**
+ * Get a board's label catalog, sorted by name
+ * @param {string} boardId - Board ID
+ * @returns {object[]}
+ */
+function labelsOf(boardId) {
+  return db.labels
+    .where(label => label.board_id === boardId)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Check whether another label on the board already has a name (case-insensitive)
+ * @param {string} boardId - Board ID
+ * @param {string} name - Proposed name
+ * @param {string|null} [labelId] - Label being renamed, which may keep its own name
+ * @returns {boolean}
+ */
+function isLabelNameTaken(boardId, name, labelId = null) {
+  const normalized = name.toLowerCase();
+  return labelsOf(boardId).some(label => label.id !== labelId && label.name.toLowerCase() === normalized);
+}
+
+export { labelsOf, isLabelNameTaken };
@@ -0,0 +1,115 @@
+import db from './db.js';
+
+/**
+ * Board membership
+ * Every board has members, each with one role. Roles are ordered: an owner
+ * can do everything an editor can, and an editor everything a viewer can.
+ *   viewer - read the board
+ *   editor - change columns and cards, rename the board, use the trash
+ *   owner  - also manage members and delete the board
+ */
+
+// Roles from least to most privileged
+const ROLES = ['viewer', 'editor', 'owner'];
+
+/**
+ * Get a user's role on a board
+ * @param {string} boardId - Board ID
+ * @param {string} userId - User ID
+ * @returns {string|null} Role, or null if the user is not a member
+ */
+function roleFor(boardId, userId) {
+  const member = db.members.all().find(m => m.board_id === boardId && m.user_id === userId);
+  return member ? member.role : null;
+}
+
+/**
+ * Check whether a role grants at least another role's permissions
+ * @param {string|null} role - Role held
+ * @param {string} required - Minimum role needed
+ * @returns {boolean}
+ */
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Get a board's members with their user details, owners first
+ * @param {string} boardId - Board ID
+ * @returns {object[]} { user_id, name, email, role, created_at }
+ */
+function membersOf(boardId) {
+  return db.members
+    .where(m => m.board_id === boardId)
+    .map(member => {
+      const user = db.users.get(member.user_id);
+      return {
+        user_id: member.user_id,
+        name: user ? user.name : 'Deleted user',
+        email: user ? user.email : null,
+        role: member.role,
+        created_at: member.created_at
+      };
+    })
+    .sort((a, b) => ROLES.indexOf(b.role) - ROLES.indexOf(a.role) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Get the IDs of every user on a board
+ * @param {string} boardId - Board ID
+ * @returns {string[]}
+ */
+function memberIds(boardId) {
+  return db.members.where(m => m.board_id === boardId).map(m => m.user_id);
+}
+
+/**
+ * Add a user to a board
+ * @param {string} boardId - Board ID
+ * @param {string} userId - User ID
+ * @param {string} role - One of ROLES
+ * @returns {object} The stored membership
+ */
+function addMember(boardId, userId, role) {
+  return db.members.insert({
+    id: db.generateId(),
+    board_id: boardId,
+    user_id: userId,
+    role,
+    created_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Find a user's membership record on a board
+ * @param {string} boardId - Board ID
+ * @param {string} userId - User ID
+ * @returns {object|null}
+ */
+function findMember(boardId, userId) {
+  return db.members.all().find(m => m.board_id === boardId && m.user_id === userId) || null;
+}
+
+/**
+ * Make a user the owner of every board that has no members
+ * Boards created before accounts existed have nobody to own them; the first
+ * account registered adopts them.
+ * @param {string} userId - User ID
+ * @returns {number} Number of boards adopted
+ */
+function adoptUnownedBoards(userId) {
+  const unowned = db.boards.where(board => memberIds(board.id).length === 0);
+  unowned.forEach(board => addMember(board.id, userId, 'owner'));
+  return unowned.length;
+}
+
+export {
+  ROLES,
+  roleFor,
+  hasRole,
+  membersOf,
+  memberIds,
+  addMember,
+  findMember,
+  adoptUnownedBoards
+};
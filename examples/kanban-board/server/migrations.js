@@ -0,0 +1,182 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Schema migrations
+ * Each migration upgrades the persisted document by one schema version.
+ * Append new migrations to the end of the list; never edit one that has
+ * already shipped, since existing data files have been upgraded by it.
+ */
+const migrations = [
+  {
+    version: 1,
+    description: 'Initial schema: boards, columns and cards collections',
+    up(data) {
+      data.boards = data.boards || [];
+      data.columns = data.columns || [];
+      data.cards = data.cards || [];
+    }
+  },
+  {
+    version: 2,
+    description: 'Add version numbers to boards, columns and cards',
+    up(data) {
+      ['boards', 'columns', 'cards'].forEach(name => {
+        data[name].forEach(record => {
+          record.version = record.version || 1;
+        });
+      });
+    }
+  },
+  {
+    version: 3,
+    description: 'Add activity log collection',
+    up(data) {
+      data.activity = data.activity || [];
+    }
+  },
+  {
+    version: 4,
+    description: 'Add deleted_at to boards, columns and cards for the trash',
+    up(data) {
+      ['boards', 'columns', 'cards'].forEach(name => {
+        data[name].forEach(record => {
+          record.deleted_at = record.deleted_at || null;
+        });
+      });
+    }
+  },
+  {
+    version: 5,
+    description: 'Add users, sessions and board members collections',
+    up(data) {
+      data.users = data.users || [];
+      data.sessions = data.sessions || [];
+      data.members = data.members || [];
+    }
+  },
+  {
+    version: 6,
+    description: 'Add assignees to cards',
+    up(data) {
+      data.cards.forEach(card => {
+        card.assignees = card.assignees || [];
+      });
+    }
+  },
+  {
+    version: 7,
+    description: 'Add card comments collection',
+    up(data) {
+      data.comments = data.comments || [];
+    }
+  },
+  {
+    version: 8,
+    description: 'Add card checklists collection',
+    up(data) {
+      data.checklists = data.checklists || [];
+    }
+  },
+  {
+    version: 9,
+    description: 'Move card labels into a per-board label catalog',
+    up(data) {
+      // Colors the card editor offered when labels were bare color names
+      const palette = ['red', 'orange', 'yellow', 'green', 'blue', 'purple'];
+      const now = new Date().toISOString();
+      data.labels = data.labels || [];
+
+      // Each distinct label string on a board becomes a catalog label;
+      // color names keep their color, anything else gets the next one
+      data.boards.forEach(board => {
+        const columnIds = data.columns
+          .filter(column => column.board_id === board.id)
+          .map(column => column.id);
+        const byName = new Map();
+
+        data.cards
+          .filter(card => columnIds.includes(card.column_id))
+          .forEach(card => {
+            card.labels = (card.labels || []).map(name => {
+              if (!byName.has(name)) {
+                const label = {
+                  id: uuidv4(),
+                  board_id: board.id,
+                  name,
+                  color: palette.includes(name) ? name : palette[byName.size % palette.length],
+                  created_at: now,
+                  version: 1
+                };
+                byName.set(name, label);
+                data.labels.push(label);
+              }
+              return byName.get(name).id;
+            });
+          });
+      });
+    }
+  },
+  {
+    version: 10,
+    description: 'Add optional WIP limits to columns',
+    up(data) {
+      data.columns.forEach(column => {
+        column.wip_limit = column.wip_limit === undefined ? null : column.wip_limit;
+      });
+    }
+  },
+  {
+    version: 11,
+    description: 'Add user-saved board templates collection',
+    up(data) {
+      data.templates = data.templates || [];
+    }
+  },
+  {
+    version: 12,
+    description: 'Drop activity snapshots and keep the newest 500 entries per board',
+    up(data) {
+      const kept = new Map();
+      data.activity = data.activity
+        .sort((a, b) => b.seq - a.seq)
+        .filter(item => {
+          const count = kept.get(item.board_id) || 0;
+          kept.set(item.board_id, count + 1);
+          return count < 500;
+        })
+        .map(({ before, after, ...item }) => item);
+    }
+  }
+];
+
+/**
+ * The schema version a fully migrated document is at
+ */
+const LATEST_VERSION = migrations[migrations.length - 1].version;
+
+/**
+ * Run every migration newer than the document's schema version
+ * @param {object} data - Persisted document (mutated in place)
+ * @returns {boolean} True if any migration was applied
+ */
+function migrate(data) {
+  const currentVersion = data.schema_version || 0;
+
+  if (currentVersion > LATEST_VERSION) {
+    throw new Error(
+      `Data file schema version ${currentVersion} is newer than this server supports (${LATEST_VERSION})`
+    );
+  }
+
+  const pending = migrations.filter(migration => migration.version > currentVersion);
+
+  pending.forEach(migration => {
+    console.log(`Applying migration ${migration.version}: ${migration.description}`);
+    migration.up(data);
+    data.schema_version = migration.version;
+  });
+
+  return pending.length > 0;
+}
+
+export { migrate, LATEST_VERSION };
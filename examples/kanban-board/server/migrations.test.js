@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { migrate, LATEST_VERSION } from './migrations.js';
+
+test('migration 12 drops activity snapshots and keeps the newest 500 entries per board', () => {
+  const activity = [];
+  for (let seq = 1; seq <= 502; seq++) {
+    activity.push({ id: `a${seq}`, seq, board_id: 'a', before: { title: 'x' }, after: null, changes: {} });
+  }
+  activity.push({ id: 'b1', seq: 503, board_id: 'b', before: null, after: { title: 'y' }, changes: {} });
+
+  const data = { schema_version: 11, activity };
+  migrate(data);
+
+  assert.equal(data.schema_version, LATEST_VERSION);
+  assert.equal(data.activity.length, 501);
+  assert.ok(!data.activity.some(item => item.id === 'a1' || item.id === 'a2'));
+  assert.ok(data.activity.every(item => !('before' in item) && !('after' in item)));
+});
@@ -0,0 +1,74 @@
+/**
+ * Card pagination
+ * Pages through a column's cards for GET /api/columns/:columnId/cards.
+ * Positions are not unique (an explicit position on create or update can
+ * repeat one), so cards are ordered by position and then ID, and the cursor
+ * names the last card returned by both. Clients should treat it as opaque;
+ * one that doesn't parse is an error rather than a restart from the top, so
+ * a client can't loop over the same cards.
+ */
+
+// Page sizes for GET /api/columns/:columnId/cards when it is paginated
+const DEFAULT_CARD_PAGE_SIZE = 50;
+const MAX_CARD_PAGE_SIZE = 200;
+
+const byPositionThenId = (a, b) => a.position - b.position || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+/**
+ * Read a cursor back into the card it names
+ * @param {string} [cursor] - next_cursor from a previous page
+ * @returns {{ position: number, id: string }|null} null for a missing or malformed cursor
+ */
+function parseCursor(cursor) {
+  const text = typeof cursor === 'string' ? cursor : '';
+  const separator = text.indexOf(':');
+  const position = Number(text.slice(0, separator));
+
+  if (separator < 1 || !Number.isInteger(position) || separator === text.length - 1) {
+    return null;
+  }
+  return { position, id: text.slice(separator + 1) };
+}
+
+/**
+ * Get one page of a column's cards, in position order (ties by ID)
+ * @param {object[]} cards - The column's active cards
+ * @param {object} options - { cursor?: string, limit?: string|number } from the query,
+ *   where cursor is the next_cursor from the previous page (the page starts at the
+ *   top without one) and limit is at least 1 (capped at MAX_CARD_PAGE_SIZE)
+ * @returns {{ value: { items: object[], next_cursor: string|null }|null, fields: Object<string, string>|null }}
+ *   The page, or field errors for a malformed cursor or limit
+ */
+function pageOfCards(cards, { cursor, limit } = {}) {
+  const fields = {};
+
+  const after = cursor === undefined ? null : parseCursor(cursor);
+  if (cursor !== undefined && !after) {
+    fields.cursor = 'Cursor must be the next_cursor of a previous page';
+  }
+
+  const requested = limit === undefined ? DEFAULT_CARD_PAGE_SIZE : Number(limit);
+  if (!Number.isInteger(requested) || requested < 1) {
+    fields.limit = 'Limit must be a whole number of at least 1';
+  }
+
+  if (Object.keys(fields).length > 0) {
+    return { value: null, fields };
+  }
+
+  const pageSize = Math.min(requested, MAX_CARD_PAGE_SIZE);
+  const sorted = cards.slice().sort(byPositionThenId);
+  const remaining = after ? sorted.filter(card => byPositionThenId(card, after) > 0) : sorted;
+  const items = remaining.slice(0, pageSize);
+  const last = items[items.length - 1];
+
+  return {
+    value: {
+      items,
+      next_cursor: remaining.length > pageSize ? `${last.position}:${last.id}` : null
+    },
+    fields: null
+  };
+}
+
+export { pageOfCards, byPositionThenId };
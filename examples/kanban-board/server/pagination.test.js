@@ -0,0 +1,97 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pageOfCards } from './pagination.js';
+import { startTestServer } from './testing.js';
+
+// Every card the pages hand out, following next_cursor to the end
+function readAllPages(cards, limit) {
+  const seen = [];
+  let cursor;
+  do {
+    const { value: page } = pageOfCards(cards, { cursor, limit });
+    seen.push(...page.items.map(card => card.id));
+    cursor = page.next_cursor === null ? undefined : page.next_cursor;
+  } while (cursor !== undefined);
+  return seen;
+}
+
+test('pages through cards in position order', () => {
+  const cards = [{ id: 'c', position: 2 }, { id: 'a', position: 0 }, { id: 'b', position: 1 }];
+
+  const first = pageOfCards(cards, { limit: '2' }).value;
+  assert.deepEqual(first.items.map(card => card.id), ['a', 'b']);
+  assert.equal(typeof first.next_cursor, 'string');
+
+  const second = pageOfCards(cards, { cursor: first.next_cursor, limit: '2' }).value;
+  assert.deepEqual(second.items.map(card => card.id), ['c']);
+  assert.equal(second.next_cursor, null);
+});
+
+test('returns every card once when positions repeat', () => {
+  const cards = ['d', 'b', 'a', 'c'].map(id => ({ id, position: 1 }));
+  cards.push({ id: 'e', position: 0 }, { id: 'f', position: 2 });
+
+  assert.deepEqual(readAllPages(cards, '2'), ['e', 'a', 'b', 'c', 'd', 'f']);
+  assert.deepEqual(readAllPages(cards, '1'), ['e', 'a', 'b', 'c', 'd', 'f']);
+});
+
+test('rejects a malformed cursor and a limit below 1, and caps large limits', () => {
+  const cards = Array.from({ length: 250 }, (_, i) => ({ id: `c${i}`, position: i }));
+
+  ['nonsense', '1', ':abc', '1:'].forEach(cursor => {
+    assert.ok(pageOfCards(cards, { cursor }).fields.cursor, cursor);
+  });
+  ['0', '-5', '2.5', 'ten', ''].forEach(limit => {
+    assert.ok(pageOfCards(cards, { limit }).fields.limit, limit);
+  });
+  assert.equal(pageOfCards(cards, { limit: '1000' }).value.items.length, 200);
+  assert.equal(pageOfCards(cards, {}).value.items.length, 50);
+});
+
+test.describe('GET /api/columns/:columnId/cards', () => {
+  let server;
+  let columnId;
+
+  before(async () => {
+    server = await startTestServer();
+    const [board] = (await server.request('GET', '/api/boards')).body;
+    columnId = (await server.request('GET', `/api/boards/${board.id}`)).body.columns[1].id;
+
+    // Explicit positions can repeat
+    for (const title of ['w', 'x', 'y', 'z']) {
+      await server.request('POST', `/api/columns/${columnId}/cards`, { title, position: 1 });
+    }
+  });
+
+  after(() => server.close());
+
+  test('pages through cards that share a position without skipping any', async () => {
+    const titles = [];
+    let url = `/api/columns/${columnId}/cards?limit=2`;
+    for (;;) {
+      const { status, body } = await server.request('GET', url);
+      assert.equal(status, 200);
+      titles.push(...body.items.map(card => card.title));
+      if (body.next_cursor === null) break;
+      url = `/api/columns/${columnId}/cards?limit=2&cursor=${encodeURIComponent(body.next_cursor)}`;
+    }
+
+    assert.deepEqual(titles.sort(), ['w', 'x', 'y', 'z']);
+  });
+
+  test('answers 400 with fields for a numeric cursor or a zero limit', async () => {
+    const oldCursor = await server.request('GET', `/api/columns/${columnId}/cards?cursor=1`);
+    assert.equal(oldCursor.status, 400);
+    assert.ok(oldCursor.body.fields.cursor);
+
+    const zero = await server.request('GET', `/api/columns/${columnId}/cards?limit=0`);
+    assert.equal(zero.status, 400);
+    assert.ok(zero.body.fields.limit);
+  });
+
+  test('still returns the plain array without paging parameters', async () => {
+    const { body } = await server.request('GET', `/api/columns/${columnId}/cards`);
+    assert.ok(Array.isArray(body));
+    assert.equal(body.length, 4);
+  });
+});
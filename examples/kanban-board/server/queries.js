@@ -0,0 +1,92 @@
+import db from './db.js';
+import { byPositionThenId } from './pagination.js';
+
+/**
+ * Read helpers that hide trashed records
+ * A record counts as trashed when it, or any of its parents, has a
+ * deleted_at timestamp. Routes should look records up through these
+ * rather than through db directly.
+ */
+
+const byPosition = (a, b) => a.position - b.position;
+
+/**
+ * Get a board unless it is in the trash
+ * @param {string} id - Board ID
+ * @returns {object|null}
+ */
+function getActiveBoard(id) {
+  const board = db.boards.get(id);
+  return board && !board.deleted_at ? board : null;
+}
+
+/**
+ * Get a column unless it or its board is in the trash
+ * @param {string} id - Column ID
+ * @returns {object|null}
+ */
+function getActiveColumn(id) {
+  const column = db.columns.get(id);
+  return column && !column.deleted_at && getActiveBoard(column.board_id) ? column : null;
+}
+
+/**
+ * Get a card unless it, its column or its board is in the trash
+ * @param {string} id - Card ID
+ * @returns {object|null}
+ */
+function getActiveCard(id) {
+  const card = db.cards.get(id);
+  return card && !card.deleted_at && getActiveColumn(card.column_id) ? card : null;
+}
+
+/**
+ * Get every board that is not in the trash
+ * @returns {object[]}
+ */
+function activeBoards() {
+  return db.boards.where(board => !board.deleted_at);
+}
+
+/**
+ * Get a board's columns that are not in the trash, sorted by position
+ * @param {string} boardId - Board ID
+ * @returns {object[]}
+ */
+function activeColumns(boardId) {
+  return db.columns
+    .where(col => col.board_id === boardId && !col.deleted_at)
+    .sort(byPosition);
+}
+
+/**
+ * Get a column's cards that are not in the trash, sorted by position (cards
+ * sharing a position by ID, the order pages of them come in)
+ * @param {string} columnId - Column ID
+ * @returns {object[]}
+ */
+function activeCards(columnId) {
+  return db.cards
+    .where(card => card.column_id === columnId && !card.deleted_at)
+    .sort(byPositionThenId);
+}
+
+/**
+ * Look up the board a column belongs to (trashed or not)
+ * @param {string} columnId - Column ID
+ * @returns {string|null}
+ */
+function boardIdForColumn(columnId) {
+  const column = db.columns.get(columnId);
+  return column ? column.board_id : null;
+}
+
+export {
+  getActiveBoard,
+  getActiveColumn,
+  getActiveCard,
+  activeBoards,
+  activeColumns,
+  activeCards,
+  boardIdForColumn
+};
@@ -0,0 +1,98 @@
+import { activeColumns, activeCards } from './queries.js';
+
+/**
+ * Card search
+ * Matches a board's cards against free text, label IDs and a due-date
+ * range. Every filter given must match; an empty filter set matches all.
+ */
+
+// Due-date ranges accepted by ?due=
+const DUE_RANGES = ['overdue', 'week', 'none'];
+
+// Local calendar date as YYYY-MM-DD, offset by a number of days
+function localDate(offsetDays = 0) {
+  const date = new Date();
+  date.setDate(date.getDate() + offsetDays);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Parse search filters from a query string
+ * @param {object} query - { q?: string, labels?: string (comma-separated), due?: string }
+ * @returns {{ filters: object, fields: Object<string, string>|null }} Filters and
+ *   field errors (same shape as body validation), or null when valid
+ */
+function parseFilters(query) {
+  const fields = {};
+
+  const terms = String(query.q || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  // Label IDs; ones not on the board simply match nothing
+  const labels = String(query.labels || '')
+    .split(',')
+    .map(label => label.trim())
+    .filter(Boolean);
+
+  const due = query.due || null;
+  if (due && !DUE_RANGES.includes(due)) {
+    fields.due = `Due must be one of: ${DUE_RANGES.join(', ')}`;
+  }
+
+  return {
+    filters: { terms, labels, due },
+    fields: Object.keys(fields).length > 0 ? fields : null
+  };
+}
+
+/**
+ * Check a card's due date against a range
+ * "week" covers today and the six days after it.
+ */
+function matchesDue(card, due) {
+  const date = card.due_date ? card.due_date.slice(0, 10) : null;
+
+  switch (due) {
+    case 'none':
+      return !date;
+    case 'overdue':
+      return Boolean(date) && date < localDate();
+    case 'week':
+      return Boolean(date) && date >= localDate() && date <= localDate(6);
+    default:
+      return true;
+  }
+}
+
+function matchesCard(card, { terms, labels, due }) {
+  if (terms.length > 0) {
+    const text = `${card.title} ${card.description || ''}`.toLowerCase();
+    if (!terms.every(term => text.includes(term))) {
+      return false;
+    }
+  }
+
+  if (labels.length > 0 && !labels.some(label => (card.labels || []).includes(label))) {
+    return false;
+  }
+
+  return matchesDue(card, due);
+}
+
+/**
+ * Find the cards on a board that match every filter
+ * @param {string} boardId - Board ID
+ * @param {object} filters - From parseFilters
+ * @returns {object[]} Matching cards in board order (by column, then position)
+ */
+function searchCards(boardId, filters) {
+  return activeColumns(boardId).flatMap(column =>
+    activeCards(column.id).filter(card => matchesCard(card, filters))
+  );
+}
+
+export { parseFilters, searchCards };
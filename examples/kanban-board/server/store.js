@@ -0,0 +1,44 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * JSON file store
+ * Persists the whole database as a single JSON document. Writes go to a
+ * temporary file first and are renamed into place, so a crash mid-write
+ * never leaves a truncated data file behind.
+ */
+class JsonFileStore {
+  /**
+   * @param {string} filePath - Path of the JSON data file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Read the data file
+   * @returns {object|null} Parsed document, or null if the file does not exist yet
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+
+    const raw = fs.readFileSync(this.filePath, 'utf8');
+    return JSON.parse(raw);
+  }
+
+  /**
+   * Atomically replace the data file with the given document
+   * @param {object} data - Document to persist
+   */
+  save(data) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+export default JsonFileStore;
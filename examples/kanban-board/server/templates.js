@@ -0,0 +1,130 @@
+import db from './db.js';
+import { boardContent } from './transfer.js';
+
+/**
+ * Board templates
+ * A template holds a board's starting columns, labels and optional starter
+ * cards, in the shape importBoard creates boards from. Built-in templates
+ * ship with the server; users save their own from any board they can see,
+ * and only they can see or delete those. A new board gets a copy of its
+ * template, so later changes to one don't affect the other.
+ */
+
+// Templates offered to everyone; their IDs are fixed so clients can refer to them
+const BUILTIN_TEMPLATES = [
+  {
+    id: 'builtin-kanban',
+    name: 'Kanban',
+    labels: [],
+    columns: [
+      { title: 'To Do', wip_limit: null, cards: [] },
+      { title: 'In Progress', wip_limit: null, cards: [] },
+      { title: 'Review', wip_limit: null, cards: [] },
+      { title: 'Done', wip_limit: null, cards: [] }
+    ]
+  },
+  {
+    id: 'builtin-sprint',
+    name: 'Software sprint',
+    labels: [
+      { name: 'bug', color: 'red' },
+      { name: 'feature', color: 'blue' },
+      { name: 'chore', color: 'yellow' }
+    ],
+    columns: [
+      {
+        title: 'Backlog',
+        wip_limit: null,
+        cards: [
+          {
+            title: 'Plan the sprint',
+            description: 'Pick the stories for this sprint and move them to To Do.',
+            due_date: null,
+            labels: ['chore'],
+            checklists: [
+              {
+                title: 'Planning',
+                items: [
+                  { text: 'Agree on the sprint goal', done: false },
+                  { text: 'Estimate the top of the backlog', done: false },
+                  { text: 'Move committed stories to To Do', done: false }
+                ]
+              }
+            ]
+          }
+        ]
+      },
+      { title: 'To Do', wip_limit: null, cards: [] },
+      { title: 'In Progress', wip_limit: 3, cards: [] },
+      { title: 'Review', wip_limit: 2, cards: [] },
+      { title: 'Done', wip_limit: null, cards: [] }
+    ]
+  },
+  {
+    id: 'builtin-personal',
+    name: 'Personal tasks',
+    labels: [
+      { name: 'urgent', color: 'red' },
+      { name: 'someday', color: 'purple' }
+    ],
+    columns: [
+      { title: 'To Do', wip_limit: null, cards: [] },
+      { title: 'Doing', wip_limit: 2, cards: [] },
+      { title: 'Done', wip_limit: null, cards: [] }
+    ]
+  }
+];
+
+// A template as the API returns it
+function templateView({ id, name, labels, columns, created_at: createdAt = null }, builtin) {
+  return { id, name, builtin, labels, columns, created_at: createdAt };
+}
+
+/**
+ * Get the templates a user can start a board from: built-ins first, then
+ * their own by name
+ * @param {string} userId - User ID
+ * @returns {object[]}
+ */
+function templatesFor(userId) {
+  const own = db.templates
+    .where(template => template.owner_id === userId)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return [
+    ...BUILTIN_TEMPLATES.map(template => templateView(template, true)),
+    ...own.map(template => templateView(template, false))
+  ];
+}
+
+/**
+ * Find a template the user can use
+ * @param {string} templateId - Template ID
+ * @param {string} userId - User ID
+ * @returns {object|null} The template (with `builtin`), or null if it doesn't
+ *   exist or belongs to someone else
+ */
+function findTemplate(templateId, userId) {
+  return templatesFor(userId).find(template => template.id === templateId) || null;
+}
+
+/**
+ * Copy a board's columns, labels and (optionally) cards for a new template.
+ * Starter cards drop their due dates, which wouldn't suit later boards.
+ * @param {object} board - Active board
+ * @param {boolean} includeCards - Keep the board's cards as starter cards
+ * @returns {{ labels: object[], columns: object[] }}
+ */
+function templateContent(board, includeCards) {
+  const { labels, columns } = boardContent(board, { includeCards });
+
+  return {
+    labels,
+    columns: columns.map(column => ({
+      ...column,
+      cards: column.cards.map(card => ({ ...card, due_date: null }))
+    }))
+  };
+}
+
+export { templatesFor, findTemplate, templateContent };
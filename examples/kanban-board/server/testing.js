@@ -0,0 +1,52 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Test helpers
+ * Starts the API on a free port against a scratch data file and signs a
+ * user in, so route tests can call it the way the client does.
+ */
+
+/**
+ * Start the app for one test file
+ * @returns {Promise<{ request: function(string, string, object=, object=): Promise<{ status: number, body: any }>, close: function(): void }>}
+ *   request(method, url, body, headers) sends as the signed-in user; a string body
+ *   goes as is (set its Content-Type), anything else as JSON
+ */
+async function startTestServer() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-test-'));
+  process.env.KANBAN_DATA_FILE = path.join(dataDir, 'kanban.json');
+
+  const { default: app } = await import('./index.js');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  let cookie = '';
+
+  const request = async (method, url, body, headers = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Cookie: cookie, ...headers },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    cookie = (response.headers.get('set-cookie') || cookie).split(';')[0];
+
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('json');
+    return { status: response.status, body: isJson ? JSON.parse(text) : text };
+  };
+
+  await request('POST', '/api/auth/register', { email: 'tester@example.com', name: 'Tester', password: 'password123' });
+
+  return {
+    request,
+    close() {
+      server.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+export { startTestServer };
@@ -0,0 +1,430 @@
+import db from './db.js';
+import { activeColumns, activeCards } from './queries.js';
+import { labelsOf } from './labels.js';
+import { checklistsFor } from './checklists.js';
+import { validateRecord, LABEL_COLORS } from './validation.js';
+
+/**
+ * Board export and import
+ * A board exports as a versioned JSON document holding its name, label
+ * catalog and columns with their cards, or as CSV with one row per card.
+ * Cards refer to labels by name, so a document can move between instances
+ * and be edited by hand. Importing either format creates a new board with
+ * fresh IDs. Comments, checklists, assignees and history are not exported.
+ */
+
+// Identifies an export document and the version of its layout
+const EXPORT_FORMAT = 'kanban-board';
+const EXPORT_VERSION = 1;
+
+// Header of the CSV export, one card per row
+const CSV_COLUMNS = ['column', 'title', 'description', 'labels', 'due_date'];
+
+// Separator between label names in a CSV cell
+const CSV_LABEL_SEPARATOR = ';';
+
+// Leading characters that make a spreadsheet read a cell as a formula; the
+// CSV export puts a ' before them and the CSV import takes it off again
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Copy a board's labels, columns and (optionally) cards with their checklists
+ * into the shape importBoard creates boards from. Assignees, comments and
+ * anything in the trash are left behind.
+ * @param {object} board - Active board
+ * @param {object} [options] - { includeCards?: boolean } (default true)
+ * @returns {object}
+ */
+function boardContent(board, { includeCards = true } = {}) {
+  const labels = labelsOf(board.id);
+  const labelNames = new Map(labels.map(label => [label.id, label.name]));
+
+  return {
+    name: board.name,
+    labels: labels.map(({ name, color }) => ({ name, color })),
+    columns: activeColumns(board.id).map(column => ({
+      title: column.title,
+      wip_limit: column.wip_limit || null,
+      cards: !includeCards ? [] : activeCards(column.id).map(card => ({
+        title: card.title,
+        description: card.description,
+        due_date: card.due_date,
+        labels: (card.labels || []).map(labelId => labelNames.get(labelId)).filter(Boolean),
+        checklists: checklistsFor(card.id).map(({ title, items }) => ({
+          title,
+          items: items.map(({ text, done }) => ({ text, done }))
+        }))
+      }))
+    }))
+  };
+}
+
+/**
+ * Build the JSON export of a board
+ * @param {object} board - Active board
+ * @returns {object} Export document
+ */
+function exportBoard(board) {
+  const { labels, columns } = boardContent(board);
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    board: { name: board.name },
+    labels,
+    columns: columns.map(column => ({
+      ...column,
+      cards: column.cards.map(({ checklists, ...card }) => card)
+    }))
+  };
+}
+
+// Quote a CSV cell when it holds a separator, quote or line break, and
+// defuse text a spreadsheet would run as a formula
+function csvCell(value) {
+  const raw = value === null || value === undefined ? '' : String(value);
+  const text = CSV_FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build the CSV export of a board: a header row, then one row per card in board order
+ * @param {object} board - Active board
+ * @returns {string}
+ */
+function exportBoardCsv(board) {
+  const document = exportBoard(board);
+
+  const rows = [CSV_COLUMNS];
+  document.columns.forEach(column => {
+    column.cards.forEach(card => {
+      rows.push([
+        column.title,
+        card.title,
+        card.description,
+        card.labels.join(`${CSV_LABEL_SEPARATOR} `),
+        card.due_date
+      ]);
+    });
+  });
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180: quoted cells may hold commas,
+ * doubled quotes and line breaks)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  // Skip a byte order mark left by spreadsheet programs
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Turn a CSV export into an export document. Columns are created in the order
+ * they first appear; labels get colors in turn since CSV does not carry them.
+ * @param {string} text - CSV with a header row naming at least `column` and `title`
+ * @param {string} name - Name for the new board
+ * @returns {{ document: object|null, rowNumbers: number[], fields: Object<string, string>|null, rows: object[] }}
+ *   The document, the spreadsheet row of each of its cards in document order
+ *   (the header is row 1), errors about the file as a whole, and rows with no column
+ */
+function csvToDocument(text, name) {
+  const [header = [], ...records] = parseCsv(text);
+  const indexes = Object.fromEntries(header.map((heading, index) => [heading.trim().toLowerCase(), index]));
+
+  const missing = ['column', 'title'].filter(heading => indexes[heading] === undefined);
+  if (missing.length > 0) {
+    return {
+      document: null,
+      rowNumbers: [],
+      fields: { file: `CSV header must include: ${missing.join(', ')}` },
+      rows: []
+    };
+  }
+
+  // Cell text, without the ' the export adds before formula-like text
+  const cellOf = (record, heading) => {
+    const index = indexes[heading];
+    const cell = index === undefined ? '' : (record[index] || '').trim();
+    return cell.startsWith("'") && CSV_FORMULA_START.test(cell.slice(1)) ? cell.slice(1).trim() : cell;
+  };
+
+  const columns = new Map();
+  const labels = new Map();
+  const rows = [];
+
+  records.forEach((record, index) => {
+    // Blank lines are ignored
+    if (record.every(cell => cell.trim() === '')) return;
+
+    const columnTitle = cellOf(record, 'column');
+    if (columnTitle === '') {
+      rows.push({ row: index + 2, fields: { column: 'Column is required' } });
+      return;
+    }
+    if (!columns.has(columnTitle)) {
+      columns.set(columnTitle, { title: columnTitle, wip_limit: null, cards: [], rows: [] });
+    }
+
+    const cardLabels = cellOf(record, 'labels')
+      .split(CSV_LABEL_SEPARATOR)
+      .map(label => label.trim())
+      .filter(Boolean);
+
+    cardLabels.forEach(label => {
+      if (!labels.has(label.toLowerCase())) {
+        labels.set(label.toLowerCase(), { name: label, color: LABEL_COLORS[labels.size % LABEL_COLORS.length] });
+      }
+    });
+
+    const column = columns.get(columnTitle);
+    column.cards.push({
+      title: cellOf(record, 'title'),
+      description: cellOf(record, 'description') || null,
+      due_date: cellOf(record, 'due_date') || null,
+      labels: cardLabels
+    });
+    column.rows.push(index + 2);
+  });
+
+  const rowNumbers = [...columns.values()].flatMap(column => column.rows);
+
+  return {
+    document: {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      board: { name },
+      labels: [...labels.values()],
+      columns: [...columns.values()].map(({ rows, ...column }) => column)
+    },
+    rowNumbers,
+    fields: null,
+    rows
+  };
+}
+
+/**
+ * Check an export document and clean it into what importBoard needs
+ * @param {object} document - Export document
+ * @param {number[]} [rowNumbers] - Row to report for each card in document order;
+ *   defaults to counting cards from 1
+ * @returns {{ value: object|null, fields: Object<string, string>|null, rows: object[] }}
+ *   The cleaned board, errors about the document as a whole (keyed by path,
+ *   e.g. "columns[1].title"), and per-card errors as [{ row, fields }]
+ */
+function validateDocument(document, rowNumbers = null) {
+  const fields = {};
+  const rows = [];
+
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return { value: null, fields: { file: 'Import must be a board export document' }, rows };
+  }
+
+  if (document.format !== EXPORT_FORMAT) {
+    fields.format = `Format must be "${EXPORT_FORMAT}"`;
+  } else if (document.version !== EXPORT_VERSION) {
+    fields.version = `Version ${document.version} is not supported (expected ${EXPORT_VERSION})`;
+  }
+
+  const board = validateRecord('board', document.board);
+  Object.entries(board.fields || {}).forEach(([field, message]) => {
+    fields[`board.${field}`] = message;
+  });
+
+  if (!Array.isArray(document.labels || [])) {
+    fields.labels = 'Labels must be an array';
+  }
+  if (!Array.isArray(document.columns)) {
+    fields.columns = 'Columns must be an array';
+  }
+  if (Object.keys(fields).length > 0) {
+    return { value: null, fields, rows };
+  }
+
+  // Labels, looked up by lowercased name
+  const labels = new Map();
+  (document.labels || []).forEach((input, index) => {
+    const label = validateRecord('label', input);
+    if (label.fields) {
+      Object.entries(label.fields).forEach(([field, message]) => {
+        fields[`labels[${index}].${field}`] = message;
+      });
+    } else if (labels.has(label.value.name.toLowerCase())) {
+      fields[`labels[${index}].name`] = `Label "${label.value.name}" is listed more than once`;
+    } else {
+      labels.set(label.value.name.toLowerCase(), label.value);
+    }
+  });
+
+  let cardCount = 0;
+  const columns = document.columns.map((input, columnIndex) => {
+    const column = validateRecord('column', input);
+    Object.entries(column.fields || {}).forEach(([field, message]) => {
+      fields[`columns[${columnIndex}].${field}`] = message;
+    });
+
+    const cardsInput = input && Array.isArray(input.cards) ? input.cards : [];
+    if (input && input.cards !== undefined && !Array.isArray(input.cards)) {
+      fields[`columns[${columnIndex}].cards`] = 'Cards must be an array';
+    }
+
+    const cards = cardsInput.map(cardInput => {
+      const row = rowNumbers ? rowNumbers[cardCount] : cardCount + 1;
+      cardCount++;
+
+      const card = validateRecord('card', cardInput);
+      const cardFields = { ...card.fields };
+
+      if (!card.fields && card.value.labels) {
+        const unknown = card.value.labels.find(name => !labels.has(name.toLowerCase()));
+        if (unknown) {
+          cardFields.labels = `Label "${unknown}" is not in the document's labels`;
+        }
+      }
+
+      if (Object.keys(cardFields).length > 0) {
+        rows.push({ row, fields: cardFields });
+        return null;
+      }
+
+      return {
+        title: card.value.title,
+        description: card.value.description || null,
+        due_date: card.value.due_date || null,
+        labels: (card.value.labels || []).map(name => labels.get(name.toLowerCase()).name)
+      };
+    });
+
+    return { title: column.value.title, wip_limit: column.value.wip_limit || null, cards };
+  });
+
+  if (Object.keys(fields).length > 0 || rows.length > 0) {
+    return { value: null, fields: Object.keys(fields).length > 0 ? fields : null, rows };
+  }
+
+  return {
+    value: { name: board.value.name, labels: [...labels.values()], columns },
+    fields: null,
+    rows
+  };
+}
+
+/**
+ * Create a board from a validated document. Call inside db.transaction();
+ * the caller makes the importing user its owner.
+ * @param {object} value - `value` from validateDocument, or the same shape from
+ *   boardContent or parseTrelloBoard, whose cards may carry `checklists` (and
+ *   columns and cards may be `archived`)
+ * @returns {object} The new board
+ */
+function importBoard(value) {
+  const now = new Date().toISOString();
+
+  const board = db.boards.insert({
+    id: db.generateId(),
+    name: value.name,
+    created_at: now,
+    updated_at: now,
+    deleted_at: null
+  });
+
+  const labelIds = new Map();
+  value.labels.forEach(({ name, color }) => {
+    const label = db.labels.insert({
+      id: db.generateId(),
+      board_id: board.id,
+      name,
+      color,
+      created_at: now
+    });
+    labelIds.set(name, label.id);
+  });
+
+  value.columns.forEach((columnValue, columnPosition) => {
+    const column = db.columns.insert({
+      id: db.generateId(),
+      board_id: board.id,
+      title: columnValue.title,
+      position: columnPosition,
+      wip_limit: columnValue.wip_limit,
+      created_at: now,
+      deleted_at: columnValue.archived ? now : null
+    });
+
+    columnValue.cards.forEach((cardValue, cardPosition) => {
+      const card = db.cards.insert({
+        id: db.generateId(),
+        column_id: column.id,
+        title: cardValue.title,
+        description: cardValue.description,
+        position: cardPosition,
+        labels: cardValue.labels.map(name => labelIds.get(name)),
+        due_date: cardValue.due_date,
+        assignees: [],
+        created_at: now,
+        deleted_at: cardValue.archived ? now : null
+      });
+
+      (cardValue.checklists || []).forEach((checklistValue, checklistPosition) => {
+        db.checklists.insert({
+          id: db.generateId(),
+          card_id: card.id,
+          title: checklistValue.title,
+          position: checklistPosition,
+          items: checklistValue.items.map(item => ({ id: db.generateId(), text: item.text, done: item.done })),
+          created_at: now
+        });
+      });
+    });
+  });
+
+  return board;
+}
+
+export { boardContent, exportBoard, exportBoardCsv, csvToDocument, validateDocument, importBoard };
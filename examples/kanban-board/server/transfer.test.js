@@ -0,0 +1,52 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './testing.js';
+
+let server;
+let board;
+
+before(async () => {
+  server = await startTestServer();
+
+  board = (await server.request('POST', '/api/boards', { name: 'CSV' })).body;
+  const column = (await server.request('POST', `/api/boards/${board.id}/columns`, { title: '@Inbox' })).body;
+  for (const card of [
+    { title: '=HYPERLINK("http://example.com","click")', description: '+1 from review' },
+    { title: '-5 estimate', description: 'Line one\nLine two, with a comma' },
+    { title: "'Tis the season", description: 'Quote "this"' }
+  ]) {
+    await server.request('POST', `/api/columns/${column.id}/cards`, card);
+  }
+});
+
+after(() => server.close());
+
+const exportCsv = async () => (await server.request('GET', `/api/boards/${board.id}/export?format=csv`)).body;
+
+test('CSV export puts a quote before cells a spreadsheet would run as formulas', async () => {
+  const lines = (await exportCsv()).split('\r\n');
+
+  assert.ok(lines[1].startsWith(`'@Inbox,"'=HYPERLINK(""http://example.com"",""click"")",'+1 from review`));
+  assert.ok(lines[2].startsWith("'@Inbox,'-5 estimate,"));
+});
+
+test('CSV export quotes cells holding commas, quotes and line breaks', async () => {
+  const csv = await exportCsv();
+
+  assert.ok(csv.includes('"Line one\nLine two, with a comma"'));
+  assert.ok(csv.includes('"Quote ""this"""'));
+  assert.ok(csv.includes(",'Tis the season,"));
+});
+
+test('importing the CSV export gives back the same text', async () => {
+  const imported = await server.request('POST', '/api/boards/import?name=Copy', await exportCsv(), { 'Content-Type': 'text/csv' });
+  assert.equal(imported.status, 201);
+
+  const [column] = (await server.request('GET', `/api/boards/${imported.body.id}`)).body.columns;
+  assert.equal(column.title, '@Inbox');
+  assert.deepEqual(column.cards.map(card => [card.title, card.description]), [
+    ['=HYPERLINK("http://example.com","click")', '+1 from review'],
+    ['-5 estimate', 'Line one\nLine two, with a comma'],
+    ["'Tis the season", 'Quote "this"']
+  ]);
+});
@@ -0,0 +1,231 @@
+/**
+ * Trello import
+ * Maps a Trello board export (Menu > Print, export and share > Export as
+ * JSON) onto the shape importBoard in transfer.js creates boards from. Lists
+ * become columns; cards keep their name, description, due date, labels and
+ * checklists; archived lists and cards land in the trash. Trello label colors
+ * are mapped to the nearest of ours, and text longer than our limits is cut
+ * short with a warning rather than rejected. Entries that aren't objects are
+ * skipped, and values that fail our validation schemas (such as a malformed
+ * due date) are left out, each with a warning.
+ */
+
+import { validateRecord } from './validation.js';
+
+// Nearest of our label colors for each Trello color (shades like
+// "green_dark" map as their base color)
+const TRELLO_COLORS = {
+  green: 'green',
+  lime: 'green',
+  yellow: 'yellow',
+  orange: 'orange',
+  red: 'red',
+  pink: 'red',
+  purple: 'purple',
+  black: 'purple',
+  blue: 'blue',
+  sky: 'blue'
+};
+
+// Color for Trello labels that have none
+const DEFAULT_COLOR = 'blue';
+
+// Longest text each field accepts (mirrors server/validation.js)
+const LIMITS = {
+  board: 100,
+  column: 100,
+  card: 200,
+  description: 5000,
+  label: 50,
+  checklist: 100,
+  item: 500
+};
+
+const byPos = (a, b) => (a.pos || 0) - (b.pos || 0);
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Map a Trello color name onto one of ours
+ * @param {string|null} trelloColor - e.g. "sky" or "green_dark"
+ * @returns {string}
+ */
+function mapColor(trelloColor) {
+  const base = String(trelloColor || '').split('_')[0];
+  return TRELLO_COLORS[base] || DEFAULT_COLOR;
+}
+
+/**
+ * Convert a Trello board export
+ * @param {object} data - Parsed Trello JSON export
+ * @returns {{ value: object|null, summary: object|null, fields: Object<string, string>|null }}
+ *   The board for importBoard, a summary of what it holds (with any
+ *   warnings), or field errors when the file isn't a Trello board export
+ */
+function parseTrelloBoard(data) {
+  if (!isObject(data) || !Array.isArray(data.lists) || !Array.isArray(data.cards)) {
+    return { value: null, summary: null, fields: { file: 'Not a Trello board export (lists and cards are missing)' } };
+  }
+
+  const fields = {};
+  ['labels', 'checklists'].forEach(field => {
+    if (data[field] !== undefined && data[field] !== null && !Array.isArray(data[field])) {
+      fields[field] = `${field.charAt(0).toUpperCase()}${field.slice(1)} must be an array`;
+    }
+  });
+  if (Object.keys(fields).length > 0) {
+    return { value: null, summary: null, fields };
+  }
+
+  const warnings = [];
+
+  // Keep the objects in one of the export's lists, noting any other entries
+  const objectsIn = (entries, what) => {
+    const objects = (entries || []).filter(isObject);
+    const skipped = (entries || []).length - objects.length;
+    if (skipped > 0) {
+      warnings.push(`${skipped} ${what} ${skipped === 1 ? 'entry was' : 'entries were'} skipped because ${skipped === 1 ? 'it is' : 'they are'} not an object`);
+    }
+    return objects;
+  };
+
+  // Check a mapped record against its schema in server/validation.js. Any
+  // `optional` field that fails is left out with a warning; a record that
+  // still fails is skipped with one (returns null).
+  const checked = (schemaName, record, optional, what) => {
+    const result = validateRecord(schemaName, record);
+    if (!result.fields) {
+      return record;
+    }
+
+    const kept = { ...record };
+    const failed = Object.entries(result.fields);
+    failed.filter(([field]) => optional.includes(field)).forEach(([field, message]) => {
+      warnings.push(`${what}: ${message}, so it was left out`);
+      kept[field] = null;
+    });
+
+    const fatal = failed.filter(([field]) => !optional.includes(field));
+    if (fatal.length > 0) {
+      warnings.push(`${what} was skipped: ${fatal.map(([, message]) => message).join('; ')}`);
+      return null;
+    }
+    return kept;
+  };
+
+  // Trim text to a limit, noting what was cut (anything but text counts as empty)
+  const fit = (text, limit, what) => {
+    const trimmed = (typeof text === 'string' ? text : '').trim();
+    if (trimmed.length <= limit) {
+      return trimmed;
+    }
+    warnings.push(`${what} was shortened to ${limit} characters`);
+    return trimmed.slice(0, limit);
+  };
+
+  const name = fit(data.name, LIMITS.board, 'The board name') || 'Imported Trello board';
+
+  // Labels by Trello ID; unnamed labels are named after their color, and
+  // labels sharing a name are merged into the first
+  const labels = [];
+  const labelNames = new Map();
+  objectsIn(data.labels, 'label').forEach(trelloLabel => {
+    const trelloColor = typeof trelloLabel.color === 'string' && trelloLabel.color ? trelloLabel.color : null;
+    const labelName = fit(trelloLabel.name, LIMITS.label, `Label "${trelloLabel.name}"`) ||
+      (trelloColor ? trelloColor.charAt(0).toUpperCase() + trelloColor.slice(1).replace(/_/g, ' ') : '');
+    if (!labelName) return;
+
+    const existing = labels.find(label => label.name.toLowerCase() === labelName.toLowerCase());
+    if (existing) {
+      warnings.push(`Labels named "${labelName}" were merged`);
+    } else {
+      const label = checked('label', { name: labelName, color: mapColor(trelloColor) }, [], `Label "${labelName}"`);
+      if (!label) return;
+      labels.push({ ...label, trello_color: trelloColor });
+    }
+    labelNames.set(trelloLabel.id, existing ? existing.name : labelName);
+  });
+
+  // Checklists by Trello card ID
+  const checklistsByCard = new Map();
+  objectsIn(data.checklists, 'checklist').sort(byPos).forEach(trelloChecklist => {
+    const title = fit(trelloChecklist.name, LIMITS.checklist, `Checklist "${trelloChecklist.name}"`) || 'Checklist';
+    const checklist = checked('checklist', { title }, [], `Checklist "${title}"`);
+    if (!checklist) return;
+
+    let checkItems = trelloChecklist.checkItems || [];
+    if (!Array.isArray(checkItems)) {
+      warnings.push(`The items of checklist "${title}" were skipped because they are not a list`);
+      checkItems = [];
+    }
+    checklist.items = objectsIn(checkItems, `checklist "${title}" item`).sort(byPos)
+      .map(item => checked('checklistItem', {
+        text: fit(item.name, LIMITS.item, 'A checklist item') || '(empty item)',
+        done: item.state === 'complete'
+      }, [], `An item of checklist "${title}"`))
+      .filter(Boolean);
+
+    if (!checklistsByCard.has(trelloChecklist.idCard)) {
+      checklistsByCard.set(trelloChecklist.idCard, []);
+    }
+    checklistsByCard.get(trelloChecklist.idCard).push(checklist);
+  });
+
+  const columns = objectsIn(data.lists, 'list').sort(byPos).map(list => ({
+    id: list.id,
+    title: fit(list.name, LIMITS.column, `List "${list.name}"`) || 'Untitled list',
+    wip_limit: null,
+    archived: Boolean(list.closed),
+    cards: []
+  }));
+
+  objectsIn(data.cards, 'card').sort(byPos).forEach(trelloCard => {
+    const column = columns.find(c => c.id === trelloCard.idList);
+    if (!column) {
+      warnings.push(`Card "${trelloCard.name}" was skipped because its list is missing`);
+      return;
+    }
+
+    const title = fit(trelloCard.name, LIMITS.card, `Card "${trelloCard.name}"`) || 'Untitled card';
+    const card = checked('card', {
+      title,
+      description: fit(trelloCard.desc, LIMITS.description, `The description of "${trelloCard.name}"`) || null,
+      // Trello dues are timestamps; cards keep just the date (YYYY-MM-DD)
+      due_date: typeof trelloCard.due === 'string' ? trelloCard.due.slice(0, 10) : trelloCard.due || null,
+      labels: [...new Set((Array.isArray(trelloCard.idLabels) ? trelloCard.idLabels : []).map(id => labelNames.get(id)).filter(Boolean))],
+      archived: Boolean(trelloCard.closed),
+      checklists: checklistsByCard.get(trelloCard.id) || []
+    }, ['description', 'due_date'], `Card "${title}"`);
+
+    if (card) {
+      column.cards.push(card);
+    }
+  });
+
+  const cards = columns.flatMap(column => column.cards);
+  const checklists = cards.flatMap(card => card.checklists);
+
+  const summary = {
+    name,
+    columns: columns.length,
+    archived_columns: columns.filter(column => column.archived).length,
+    cards: cards.length,
+    archived_cards: cards.filter(card => card.archived).length,
+    labels: labels.map(({ name: labelName, trello_color: trelloColor, color }) => ({ name: labelName, trello_color: trelloColor, color })),
+    checklists: checklists.length,
+    checklist_items: checklists.reduce((total, checklist) => total + checklist.items.length, 0),
+    warnings
+  };
+
+  return {
+    value: {
+      name,
+      labels: labels.map(({ name: labelName, color }) => ({ name: labelName, color })),
+      columns: columns.map(({ id, ...column }) => column)
+    },
+    summary,
+    fields: null
+  };
+}
+
+export { parseTrelloBoard };
@@ -0,0 +1,28 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// trello.js validates through validation.js, which loads the store
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-trello-test-'));
+process.env.KANBAN_DATA_FILE = path.join(dataDir, 'kanban.json');
+const { parseTrelloBoard } = await import('./trello.js');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const exportWith = (cards) => ({ name: 'Trello', lists: [{ id: 'l1', name: 'To Do' }], cards });
+
+test('due timestamps become dates', () => {
+  const { value } = parseTrelloBoard(exportWith([{ id: 'c1', idList: 'l1', name: 'Ship', due: '2024-01-15T12:00:00.000Z' }]));
+  assert.equal(value.columns[0].cards[0].due_date, '2024-01-15');
+});
+
+test('malformed dues are left out with a warning', () => {
+  const { value, summary } = parseTrelloBoard(exportWith([
+    { id: 'c1', idList: 'l1', name: 'Object', due: {} },
+    { id: 'c2', idList: 'l1', name: 'Text', due: 'soon' }
+  ]));
+  assert.deepEqual(value.columns[0].cards.map(card => card.due_date), [null, null]);
+  assert.equal(summary.warnings.filter(warning => warning.includes('Due date')).length, 2);
+});
@@ -0,0 +1,310 @@
+import { ROLES } from './members.js';
+
+/**
+ * Request body validation
+ * Declarative schemas for every request body the API accepts. A failed
+ * check responds 400 with { error, fields } where `fields` maps each bad
+ * field to a message, so clients can show errors next to the right input.
+ */
+
+// Colors a board label can have
+const LABEL_COLORS = ['red', 'orange', 'yellow', 'green', 'blue', 'purple'];
+
+/**
+ * Field rules:
+ *   type      - 'string' | 'email' | 'password' | 'integer' | 'boolean' | 'date' | 'array'
+ *   label     - Name used in messages
+ *   required  - Must be present on create (and may never be emptied)
+ *   nullable  - null (or '') is allowed and stored as null
+ *   minLength - Shortest allowed string
+ *   maxLength - Longest allowed string
+ *   min       - Smallest allowed integer
+ *   items     - Rule for each array element
+ *   enum      - Allowed values
+ */
+const schemas = {
+  board: {
+    name: { type: 'string', label: 'Name', required: true, maxLength: 100 },
+    template_id: { type: 'string', label: 'Template' }
+  },
+
+  boardDuplicate: {
+    name: { type: 'string', label: 'Name', maxLength: 100 },
+    include_cards: { type: 'boolean', label: 'Include cards' }
+  },
+
+  template: {
+    name: { type: 'string', label: 'Name', required: true, maxLength: 100 },
+    board_id: { type: 'string', label: 'Board', required: true },
+    include_cards: { type: 'boolean', label: 'Include cards' }
+  },
+
+  column: {
+    title: { type: 'string', label: 'Title', required: true, maxLength: 100 },
+    position: { type: 'integer', label: 'Position', min: 0 },
+    wip_limit: { type: 'integer', label: 'WIP limit', min: 1, nullable: true }
+  },
+
+  card: {
+    title: { type: 'string', label: 'Title', required: true, maxLength: 200 },
+    description: { type: 'string', label: 'Description', nullable: true, maxLength: 5000 },
+    column_id: { type: 'string', label: 'Column' },
+    position: { type: 'integer', label: 'Position', min: 0 },
+    labels: {
+      type: 'array',
+      label: 'Labels',
+      items: { type: 'string', label: 'Label' }
+    },
+    due_date: { type: 'date', label: 'Due date', nullable: true },
+    assignees: {
+      type: 'array',
+      label: 'Assignees',
+      items: { type: 'string', label: 'Assignee' }
+    },
+    override_wip_limit: { type: 'boolean', label: 'override_wip_limit' }
+  },
+
+  cardMove: {
+    column_id: { type: 'string', label: 'Column' },
+    position: { type: 'integer', label: 'Position', min: 0 },
+    override_wip_limit: { type: 'boolean', label: 'override_wip_limit' }
+  },
+
+  cardReorder: {
+    card_ids: { type: 'array', label: 'card_ids', required: true, items: { type: 'string', label: 'Card ID' } }
+  },
+
+  cardBulk: {
+    card_ids: { type: 'array', label: 'card_ids', required: true, items: { type: 'string', label: 'Card ID' } },
+    action: {
+      type: 'string',
+      label: 'Action',
+      required: true,
+      enum: ['move', 'add_label', 'remove_label', 'set_due_date', 'delete']
+    },
+    column_id: { type: 'string', label: 'Column' },
+    position: { type: 'integer', label: 'Position', min: 0 },
+    label_id: { type: 'string', label: 'Label' },
+    due_date: { type: 'date', label: 'Due date', nullable: true },
+    override_wip_limit: { type: 'boolean', label: 'override_wip_limit' }
+  },
+
+  columnReorder: {
+    column_ids: { type: 'array', label: 'column_ids', required: true, items: { type: 'string', label: 'Column ID' } }
+  },
+
+  register: {
+    email: { type: 'email', label: 'Email', required: true },
+    name: { type: 'string', label: 'Name', required: true, maxLength: 100 },
+    password: { type: 'password', label: 'Password', required: true, minLength: 8, maxLength: 200 }
+  },
+
+  login: {
+    email: { type: 'email', label: 'Email', required: true },
+    password: { type: 'password', label: 'Password', required: true }
+  },
+
+  member: {
+    email: { type: 'email', label: 'Email', required: true },
+    role: { type: 'string', label: 'Role', required: true, enum: ROLES }
+  },
+
+  memberRole: {
+    role: { type: 'string', label: 'Role', required: true, enum: ROLES }
+  },
+
+  label: {
+    name: { type: 'string', label: 'Name', required: true, maxLength: 50 },
+    color: { type: 'string', label: 'Color', required: true, enum: LABEL_COLORS }
+  },
+
+  comment: {
+    body: { type: 'string', label: 'Comment', required: true, maxLength: 5000 }
+  },
+
+  checklist: {
+    title: { type: 'string', label: 'Title', required: true, maxLength: 100 }
+  },
+
+  checklistItem: {
+    text: { type: 'string', label: 'Item', required: true, maxLength: 500 },
+    done: { type: 'boolean', label: 'Done' }
+  },
+
+  checklistItemReorder: {
+    item_ids: { type: 'array', label: 'item_ids', required: true, items: { type: 'string', label: 'Item ID' } }
+  }
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Check a single value against a rule
+ * @returns {{ value?: any, error?: string }}
+ */
+function checkValue(rule, value) {
+  const { label } = rule;
+
+  if (value === null || (value === '' && rule.nullable)) {
+    if (rule.nullable) return { value: null };
+    return { error: rule.required ? `${label} is required` : `${label} cannot be empty` };
+  }
+
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') {
+        return { error: `${label} must be a string` };
+      }
+      const trimmed = value.trim();
+      if (rule.required && trimmed === '') {
+        return { error: `${label} is required` };
+      }
+      if (rule.maxLength && trimmed.length > rule.maxLength) {
+        return { error: `${label} must be at most ${rule.maxLength} characters` };
+      }
+      if (rule.enum && !rule.enum.includes(trimmed)) {
+        return { error: `${label} must be one of: ${rule.enum.join(', ')}` };
+      }
+      return { value: trimmed };
+    }
+
+    case 'email':
+      if (typeof value !== 'string' || !EMAIL_PATTERN.test(value.trim())) {
+        return { error: `${label} must be a valid email address` };
+      }
+      return { value: value.trim().toLowerCase() };
+
+    // Passwords are kept exactly as typed (no trimming)
+    case 'password':
+      if (typeof value !== 'string' || value === '') {
+        return { error: `${label} is required` };
+      }
+      if (rule.minLength && value.length < rule.minLength) {
+        return { error: `${label} must be at least ${rule.minLength} characters` };
+      }
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return { error: `${label} must be at most ${rule.maxLength} characters` };
+      }
+      return { value };
+
+    case 'integer':
+      if (!Number.isInteger(value) || (rule.min !== undefined && value < rule.min)) {
+        let error = `${label} must be an integer`;
+        if (rule.min === 0) {
+          error = `${label} must be a non-negative integer`;
+        } else if (rule.min !== undefined) {
+          error = `${label} must be a whole number of at least ${rule.min}`;
+        }
+        return { error };
+      }
+      return { value };
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return { error: `${label} must be true or false` };
+      }
+      return { value };
+
+    case 'date':
+      if (typeof value !== 'string' || !DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+        return { error: `${label} must be a valid date (YYYY-MM-DD)` };
+      }
+      return { value };
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return { error: `${label} must be an array` };
+      }
+      const items = [];
+      for (const item of value) {
+        const result = checkValue(rule.items, item);
+        if (result.error) {
+          return { error: result.error };
+        }
+        if (!items.includes(result.value)) {
+          items.push(result.value);
+        }
+      }
+      return { value: items };
+    }
+
+    default:
+      return { value };
+  }
+}
+
+/**
+ * Validate a request body against a schema
+ * @param {object} schema - One of `schemas`
+ * @param {object} body - Request body
+ * @param {object} [options] - { partial?: boolean } skips required checks for absent fields
+ * @returns {{ value: object, fields: Object<string, string>|null }} Cleaned body
+ *   (schema fields only) and field errors, or null when valid
+ */
+function validate(schema, body, { partial = false } = {}) {
+  const value = {};
+  const fields = {};
+  const input = body && typeof body === 'object' ? body : {};
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    if (input[field] === undefined) {
+      if (rule.required && !partial) {
+        fields[field] = `${rule.label} is required`;
+      }
+      return;
+    }
+
+    const result = checkValue(rule, input[field]);
+    if (result.error) {
+      fields[field] = result.error;
+    } else {
+      value[field] = result.value;
+    }
+  });
+
+  return { value, fields: Object.keys(fields).length > 0 ? fields : null };
+}
+
+/**
+ * Validate a record that did not arrive as a request body (e.g. one row of
+ * an imported board) against a named schema
+ * @param {string} schemaName - Key of `schemas`
+ * @param {object} record
+ * @returns {{ value: object, fields: Object<string, string>|null }}
+ */
+function validateRecord(schemaName, record) {
+  return validate(schemas[schemaName], record);
+}
+
+/**
+ * Send the standard validation error response
+ * @param {import('express').Response} res
+ * @param {Object<string, string>} fields - Field name to message
+ */
+function sendValidationError(res, fields) {
+  res.status(400).json({ error: 'Validation failed', fields });
+}
+
+/**
+ * Express middleware that validates req.body and replaces it with the
+ * cleaned value
+ * @param {string} schemaName - Key of `schemas`
+ * @param {object} [options] - { partial?: boolean } for PATCH-style updates
+ */
+function validateBody(schemaName, options) {
+  const schema = schemas[schemaName];
+
+  return (req, res, next) => {
+    const { value, fields } = validate(schema, req.body, options);
+
+    if (fields) {
+      return sendValidationError(res, fields);
+    }
+
+    req.body = value;
+    next();
+  };
+}
+
+export { validateBody, validateRecord, sendValidationError, LABEL_COLORS };